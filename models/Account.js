@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+const accountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  type: { type: String, enum: ['checking', 'savings', 'cash', 'credit_card'], required: true },
+  openingBalance: { type: Number, default: 0 }, // in the base currency; credit cards start negative when a balance is owed
+  color: { type: String, default: '#3B82F6' },
+  archived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
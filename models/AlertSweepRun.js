@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One run of the all-users budget alert sweep, scheduled or triggered by an admin
+const alertSweepRunSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ['scheduled', 'manual'], required: true },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  concurrency: { type: Number },
+  totalUsers: { type: Number, default: 0 },
+  alertsSent: { type: Number, default: 0 },
+  milestones: { type: Number, default: 0 },
+  warnings: { type: Number, default: 0 },
+  critical: { type: Number, default: 0 },
+  projected: { type: Number, default: 0 },
+  errorCount: { type: Number, default: 0 },
+  errorDetails: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    error: { type: String }
+  }],
+  failureReason: { type: String }
+}, { timestamps: true });
+
+alertSweepRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('AlertSweepRun', alertSweepRunSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A receipt or document attached to a transaction; the contents live in the attachment storage backend
+const attachmentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+  fileName: { type: String, required: true }, // original name, used for downloads
+  mimeType: { type: String, required: true }, // detected from the file contents
+  size: { type: Number, required: true }, // bytes
+  storage: { type: String, required: true }, // backend the file was saved with
+  storageKey: { type: String, required: true }
+}, { timestamps: true });
+
+attachmentSchema.index({ userId: 1, transactionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
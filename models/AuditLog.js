@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One changed field of an audited record; before is missing on creates and after on deletes
+const auditChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // owner of the record
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // who made the change, empty for scheduled jobs
+  entityType: { type: String, enum: ['transaction', 'category', 'budget', 'categoryBudget'], required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true }, // the user for budgets, the category for category budgets
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore', 'purge'], required: true }, // delete moves to the trash
+  source: { type: String, enum: ['api', 'import', 'recurring', 'system'], default: 'api' }, // system: scheduled clean-up
+  changes: [auditChangeSchema]
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ userId: 1, _id: -1 });
+auditLogSchema.index({ userId: 1, entityType: 1, entityId: 1, _id: 1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Every budget alert sent; also the de-duplication state, since alerts are keyed by budget period
+const budgetAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scope: { type: String, enum: ['overall', 'category'], required: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }, // category budgets only
+  alertType: { type: String, required: true }, // threshold severity, or 'projected' for forecast overruns
+  threshold: { type: Number }, // percentage of the threshold that fired
+  channel: { type: String, enum: ['email', 'in-app', 'both'] },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  step: { type: Number, default: 0 }, // how many re-alert increments past the threshold this alert covers
+  percentageUsed: { type: Number },
+  spent: { type: Number },
+  budget: { type: Number },
+  message: { type: String }
+}, { timestamps: true });
+
+budgetAlertSchema.index({ userId: 1, periodStart: 1 });
+budgetAlertSchema.index({ userId: 1, createdAt: -1 });
+// One alert per budget, period, threshold and re-alert step: concurrent checks cannot both send it
+budgetAlertSchema.index(
+  { userId: 1, scope: 1, categoryId: 1, periodStart: 1, threshold: 1, step: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('BudgetAlert', budgetAlertSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, enum: ['title', 'description'], default: 'title' },
+  operator: { type: String, enum: ['contains', 'equals', 'startsWith', 'endsWith', 'regex'], default: 'contains' },
+  value: { type: String, required: true },
+  caseSensitive: { type: Boolean, default: false }
+}, { _id: false });
+
+const categorizationRuleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  priority: { type: Number, default: 0 }, // higher runs first
+  matchType: { type: String, enum: ['all', 'any'], default: 'all' },
+  conditions: { type: [conditionSchema], validate: v => v.length > 0 },
+  transactionType: { type: String, enum: ['income', 'expense'] }, // only match this type when set
+  minAmount: { type: Number },
+  maxAmount: { type: Number },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  addTags: [{ type: String, trim: true, lowercase: true }],
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+categorizationRuleSchema.index({ userId: 1, active: 1, priority: -1 });
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
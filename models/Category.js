@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const categorySchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -8,4 +9,7 @@ const categorySchema = new mongoose.Schema({
   icon: { type: String, default: 'category' }
 }, { timestamps: true });
 
+// Deleted categories go to the trash and are purged after the retention window
+categorySchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
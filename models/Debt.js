@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A payment towards a debt: a linked expense transaction or a manual entry
+const debtPaymentSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0.01 },
+  date: { type: Date, default: Date.now },
+  source: { type: String, enum: ['transaction', 'manual'], required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // transaction payments only
+  trashed: { type: Boolean, default: false }, // linked transaction is in the trash, not counted until restored
+  note: { type: String }
+});
+
+const debtSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  type: { type: String, enum: ['loan', 'credit_card', 'mortgage', 'student_loan', 'other'], default: 'loan' },
+  principal: { type: Number, required: true, min: 0 }, // balance owed on startDate
+  apr: { type: Number, required: true, min: 0 }, // annual percentage rate, e.g. 19.99
+  minimumPayment: { type: Number, required: true, min: 0 },
+  dueDay: { type: Number, required: true, min: 1, max: 31 }, // day of month payments are due
+  startDate: { type: Date, default: Date.now },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }, // e.g. the credit card account
+  payments: [debtPaymentSchema],
+  paidOffAt: { type: Date },
+  archived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+debtSchema.index({ userId: 1, archived: 1 });
+debtSchema.index({ userId: 1, 'payments.transactionId': 1 });
+
+module.exports = mongoose.model('Debt', debtSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One day's rate from a feed: 1 unit of `base` buys `rate` units of `currency`
+const exchangeRateSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  base: { type: String, required: true, uppercase: true, trim: true },
+  currency: { type: String, required: true, uppercase: true, trim: true },
+  rate: { type: Number, required: true, min: 0 },
+  source: { type: String } // file the rate was loaded from
+}, { timestamps: true });
+
+exchangeRateSchema.index({ base: 1, currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
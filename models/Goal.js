@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Money put towards a goal: a linked transaction (e.g. a transfer to savings) or a manual entry
+const contributionSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },
+  date: { type: Date, default: Date.now },
+  source: { type: String, enum: ['transaction', 'manual'], required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // transaction contributions only
+  trashed: { type: Boolean, default: false }, // linked transaction is in the trash, not counted until restored
+  note: { type: String }
+});
+
+const goalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  targetAmount: { type: Number, required: true, min: 0.01 },
+  deadline: { type: Date },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }, // where the money is kept, informational
+  contributions: [contributionSchema],
+  milestones: { type: [Number], default: [25, 50, 75, 100] }, // progress percentages worth a notification
+  milestonesReached: [{ type: Number }],
+  completedAt: { type: Date },
+  archived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+goalSchema.index({ userId: 1, archived: 1 });
+goalSchema.index({ userId: 1, 'contributions.transactionId': 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
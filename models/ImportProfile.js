@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Column reference: a header name, or a zero-based column index when the file has no header row
+const columnRef = { type: mongoose.Schema.Types.Mixed };
+
+const importProfileSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true }, // usually the bank name
+  columns: {
+    date: columnRef,
+    amount: columnRef,
+    debit: columnRef,
+    credit: columnRef,
+    title: columnRef,
+    description: columnRef
+  },
+  signConvention: {
+    type: String,
+    enum: ['negative-is-expense', 'positive-is-expense', 'debit-credit-columns'],
+    default: 'negative-is-expense'
+  },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'],
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: { type: String, enum: ['.', ','], default: '.' },
+  delimiter: { type: String, default: ',' },
+  hasHeader: { type: Boolean, default: true },
+  skipRows: { type: Number, default: 0 }
+}, { timestamps: true });
+
+importProfileSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
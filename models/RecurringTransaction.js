@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const recurringTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, uppercase: true, trim: true }, // base currency when not set
+  type: { type: String, enum: ['income', 'expense'], required: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  description: { type: String },
+  frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
+  interval: { type: Number, default: 1, min: 1 }, // every N days/weeks/months/years
+  startDate: { type: Date, required: true },
+  endDate: { type: Date },
+  maxOccurrences: { type: Number, min: 1 },
+  occurrencesCount: { type: Number, default: 0 },
+  nextRunDate: { type: Date },
+  lastRunDate: { type: Date },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+recurringTransactionSchema.index({ active: 1, nextRunDate: 1 });
+recurringTransactionSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('RecurringTransaction', recurringTransactionSchema);
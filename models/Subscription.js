@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A periodic charge found in the transaction history; proposed as a candidate until the user confirms or dismisses it
+const subscriptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  merchantKey: { type: String, required: true }, // normalized title the charges share
+  name: { type: String, required: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  status: { type: String, enum: ['candidate', 'confirmed', 'dismissed'], default: 'candidate' },
+  cadence: { type: String, enum: ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'], required: true },
+  amount: { type: Number, required: true }, // latest charge, in the charge's currency
+  currency: { type: String },
+  averageAmount: { type: Number },
+  occurrences: { type: Number, default: 0 },
+  firstChargeDate: { type: Date },
+  lastChargeDate: { type: Date },
+  nextExpectedDate: { type: Date },
+  transactionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+  priceIncrease: {
+    previousAmount: { type: Number },
+    newAmount: { type: Number },
+    percentage: { type: Number },
+    date: { type: Date }, // date of the first charge at the new price
+    notifiedAt: { type: Date }
+  },
+  confirmedAt: { type: Date },
+  dismissedAt: { type: Date }
+}, { timestamps: true });
+
+subscriptionSchema.index({ userId: 1, merchantKey: 1 }, { unique: true });
+subscriptionSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
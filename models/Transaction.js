@@ -1,13 +1,47 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// One line of a transaction split across several categories; lines must add up to the transaction amount
+const splitSchema = new mongoose.Schema({
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  amount: { type: Number, required: true },
+  description: { type: String }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   title: { type: String, required: true },
-  amount: { type: Number, required: true },
-  type: { type: String, enum: ['income', 'expense'], required: true },
+  amount: { type: Number, required: true }, // in the transaction's own currency
+  currency: { type: String, uppercase: true, trim: true },
+  // Multiplier into the user's base currency on the transaction date (1 for base-currency transactions)
+  exchangeRate: { type: Number, default: 1 },
+  type: { type: String, enum: ['income', 'expense', 'transfer'], required: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }, // source account for transfers
+  toAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }, // destination account, transfers only
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  splits: [splitSchema],
   description: { type: String },
-  date: { type: Date, default: Date.now }
+  tags: [{ type: String, trim: true, lowercase: true }], // free-form labels across categories (e.g. vacation-2026)
+  date: { type: Date, default: Date.now },
+  recurringTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringTransaction' },
+  externalId: { type: String }, // bank-provided id (e.g. OFX FITID) used to skip re-imports
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // set when merged as a linked duplicate
+  alertRuleIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TransactionAlertRule' }] // alert rules that already fired for it
 }, { timestamps: true });
 
+// Deleted transactions go to the trash and are purged after the retention window
+transactionSchema.plugin(softDeletePlugin);
+
+// Listing is always scoped to a user and sorted newest first (with _id as the cursor tie-breaker)
+transactionSchema.index({ userId: 1, date: -1, _id: -1 });
+transactionSchema.index({ userId: 1, type: 1, date: -1 });
+transactionSchema.index({ userId: 1, categoryId: 1, date: -1 });
+transactionSchema.index({ userId: 1, tags: 1, date: -1 });
+transactionSchema.index({ userId: 1, accountId: 1, date: 1 });
+transactionSchema.index({ userId: 1, toAccountId: 1, date: 1 }, { sparse: true });
+transactionSchema.index(
+  { userId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Notify the user about a single large or unusual transaction, e.g. "any expense over 500"
+// or "any expense more than 3x my usual for this category"
+const transactionAlertRuleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  condition: { type: String, enum: ['amountAbove', 'multipleOfUsual'], required: true },
+  amount: { type: Number, min: 0 }, // amountAbove only, in the base currency
+  multiplier: { type: Number, min: 1 }, // multipleOfUsual only
+  transactionType: { type: String, enum: ['income', 'expense'], default: 'expense' },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }, // only watch this category when set
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+transactionAlertRuleSchema.index({ userId: 1, active: 1 });
+
+module.exports = mongoose.model('TransactionAlertRule', transactionAlertRuleSchema);
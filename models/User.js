@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Budget window; without one a budget runs over calendar months
+const budgetPeriodSchema = new mongoose.Schema({
+  frequency: { type: String, enum: ['weekly', 'biweekly', 'monthly', 'quarterly'], default: 'monthly' },
+  startDay: { type: Number }, // weekday 0-6 for weekly, day of month 1-31 for monthly
+  anchorDate: { type: Date } // a pay date that bi-weekly periods start from
+}, { _id: false });
+
+// One alert milestone of a budget; thresholds are evaluated in ascending percentage order
+const budgetThresholdSchema = new mongoose.Schema({
+  percentage: { type: Number, required: true, min: 0 },
+  severity: { type: String, enum: ['info', 'warning', 'critical'], default: 'warning' },
+  channel: { type: String, enum: ['email', 'in-app', 'both'], default: 'both' },
+  message: { type: String } // replaces the default alert text when set
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String },
@@ -13,19 +28,34 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: { type: Date },
   monthlyBudget: {
     amount: { type: Number, default: 0 },
-    currency: { type: String, default: 'USD' },
-    alertThresholds: {
-      warning: { type: Number, default: 80 }, // 80% of budget
-      critical: { type: Number, default: 95 } // 95% of budget
+    // Base currency: budgets are set in it and transactions in other currencies are converted into it
+    currency: { type: String, uppercase: true, trim: true, default: 'USD' },
+    // Empty means the defaults: warning at 80%, critical at 95%
+    thresholds: [budgetThresholdSchema],
+    // Percentage points past a threshold that trigger another alert in the same period (0 = alert once)
+    realertEvery: { type: Number, default: 0, min: 0 },
+    // Envelope-style carryover: unspent budget (or overspend) moves into the next month
+    rollover: {
+      enabled: { type: Boolean, default: false },
+      since: { type: Date }
     },
-    lastAlertSent: {
-      warning: { type: Date },
-      critical: { type: Date }
-    }
+    period: budgetPeriodSchema
   },
+  categoryBudgets: [{
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    thresholds: [budgetThresholdSchema],
+    realertEvery: { type: Number, default: 0, min: 0 },
+    rollover: {
+      enabled: { type: Boolean, default: false },
+      since: { type: Date }
+    },
+    period: budgetPeriodSchema
+  }],
   settings: {
     emailNotifications: { type: Boolean, default: true },
     budgetAlerts: { type: Boolean, default: true },
+    anomalyAlerts: { type: Boolean, default: false }, // weekly unusual-spending notifications
     monthlyReports: { type: Boolean, default: true },
     reportFormat: { type: String, enum: ['pdf', 'excel'], default: 'excel' },
     twoFactorEnabled: { type: Boolean, default: false }
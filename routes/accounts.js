@@ -0,0 +1,337 @@
+const express = require('express');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const accountService = require('../services/accountService');
+const router = express.Router();
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'cash', 'credit_card'];
+const EDITABLE_FIELDS = ['name', 'type', 'openingBalance', 'color', 'archived'];
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   get:
+ *     summary: Get all accounts for the authenticated user with their running balances
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Include archived accounts
+ *     responses:
+ *       200:
+ *         description: List of accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Account'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const accounts = await accountService.getAccountsWithBalances(req.userId, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+    res.json(accounts);
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({ message: 'Failed to fetch accounts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   post:
+ *     summary: Create a new account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [checking, savings, cash, credit_card]
+ *               openingBalance:
+ *                 type: number
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: Account already exists
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, type, openingBalance } = req.body;
+
+    if (!name || !type) {
+      return res.status(400).json({ message: 'Name and type are required' });
+    }
+
+    if (!ACCOUNT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of ${ACCOUNT_TYPES.join(', ')}` });
+    }
+
+    if (openingBalance !== undefined && isNaN(Number(openingBalance))) {
+      return res.status(400).json({ message: 'Opening balance must be a number' });
+    }
+
+    const existingAccount = await Account.findOne({ name, userId: req.userId });
+    if (existingAccount) {
+      return res.status(409).json({ message: 'Account with this name already exists' });
+    }
+
+    const data = { userId: req.userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const account = new Account(data);
+    await account.save();
+    res.status(201).json({ ...account.toObject(), balance: account.openingBalance, transactionCount: 0 });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ message: 'Failed to create account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   put:
+ *     summary: Update an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [checking, savings, cash, credit_card]
+ *               openingBalance:
+ *                 type: number
+ *               color:
+ *                 type: string
+ *               archived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Account updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Account already exists
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (req.body.type !== undefined && !ACCOUNT_TYPES.includes(req.body.type)) {
+      return res.status(400).json({ message: `Type must be one of ${ACCOUNT_TYPES.join(', ')}` });
+    }
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid account ID' });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Account with this name already exists' });
+    }
+    res.status(500).json({ message: 'Failed to update account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   delete:
+ *     summary: Delete an account
+ *     description: Accounts that still have transactions, including ones in the trash, cannot be deleted; archive them instead.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Account has transactions, including ones in the trash
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    // Transactions in the trash count too, so restoring them never leaves a dangling account
+    const inUse = await Transaction.exists({
+      userId: req.userId,
+      $or: [{ accountId: account._id }, { toAccountId: account._id }]
+    }).setOptions({ withDeleted: true });
+    if (inUse) {
+      return res.status(409).json({ message: 'Account has transactions; archive it instead' });
+    }
+
+    await account.deleteOne();
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid account ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{id}/history:
+ *   get:
+ *     summary: Get the balance history of an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Running balance per period with inflows and outflows
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, interval = 'day' } = req.query;
+
+    if (!['day', 'month'].includes(interval)) {
+      return res.status(400).json({ message: 'Interval must be either day or month' });
+    }
+
+    const options = { interval };
+    if (startDate) {
+      options.startDate = new Date(startDate);
+      if (isNaN(options.startDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid startDate' });
+      }
+    }
+    if (endDate) {
+      options.endDate = new Date(endDate);
+      if (isNaN(options.endDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid endDate' });
+      }
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const history = await accountService.getBalanceHistory(account, options);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching account history:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid account ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch account history' });
+  }
+});
+
+module.exports = router;
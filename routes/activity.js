@@ -0,0 +1,84 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/activity:
+ *   get:
+ *     summary: Get the activity feed of the authenticated user
+ *     description: |
+ *       Audit entries for every create, update and delete of transactions, categories, the overall budget and
+ *       category budgets, newest first. Entries are immutable.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [transaction, category, budget, categoryBudget]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [api, import, recurring, system]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor returned by the previous page
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid filter or cursor
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { entityType, source, startDate, endDate, limit, cursor } = req.query;
+    const result = await auditService.getActivity(req.userId, { entityType, source, startDate, endDate, limit, cursor });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ message: 'Failed to fetch activity' });
+  }
+});
+
+module.exports = router;
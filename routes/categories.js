@@ -1,6 +1,8 @@
 const express = require('express');
 const Category = require('../models/Category');
 const auth = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
 const router = express.Router();
 
 /**
@@ -93,6 +95,7 @@ router.post('/', auth, async (req, res) => {
     
     const category = new Category({ ...req.body, userId: req.userId });
     await category.save();
+    await auditService.record({ userId: req.userId, actorId: req.userId, entityType: 'category', after: category });
     res.status(201).json(category);
   } catch (error) {
     console.error('Error creating category:', error);
@@ -147,6 +150,11 @@ router.post('/', auth, async (req, res) => {
  */
 router.put('/:id', auth, async (req, res) => {
   try {
+    const existing = await Category.findOne({ _id: req.params.id, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
     const category = await Category.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
       req.body,
@@ -157,6 +165,14 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Category not found' });
     }
     
+    await auditService.record({
+      userId: req.userId,
+      actorId: req.userId,
+      entityType: 'category',
+      before: existing,
+      after: category
+    });
+    
     res.json(category);
   } catch (error) {
     console.error('Error updating category:', error);
@@ -171,7 +187,10 @@ router.put('/:id', auth, async (req, res) => {
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Delete a category
+ *     summary: Move a category to the trash
+ *     description: |
+ *       The category can be restored until it is purged after TRASH_RETENTION_DAYS (30 by default). Its category
+ *       budget is not checked or alerted on while it is in the trash.
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -184,7 +203,7 @@ router.put('/:id', auth, async (req, res) => {
  *         description: Category ID
  *     responses:
  *       200:
- *         description: Category deleted successfully
+ *         description: Category moved to trash
  *       404:
  *         description: Category not found
  *       500:
@@ -192,13 +211,13 @@ router.put('/:id', auth, async (req, res) => {
  */
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const category = await Category.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    const category = await trashService.moveToTrash('category', req.userId, req.params.id);
     
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    res.json({ message: 'Category deleted successfully' });
+    res.json({ message: 'Category moved to trash', deletedAt: category.deletedAt });
   } catch (error) {
     console.error('Error deleting category:', error);
     if (error.name === 'CastError') {
@@ -208,4 +227,80 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/categories/trash:
+ *   get:
+ *     summary: Get the categories in the trash
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trashed categories, most recently deleted first, with the date each will be purged
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const categories = await trashService.list('category', req.userId);
+    res.json({ retentionDays: trashService.getRetentionDays(), categories });
+  } catch (error) {
+    console.error('Error fetching trashed categories:', error);
+    res.status(500).json({ message: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/restore:
+ *   post:
+ *     summary: Restore a category from the trash
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category restored
+ *       404:
+ *         description: Category not found in the trash
+ *       409:
+ *         description: Another category already uses the name
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const trashed = await trashService.findTrashed('category', req.userId, req.params.id);
+    if (!trashed) {
+      return res.status(404).json({ message: 'Category not found in trash' });
+    }
+    
+    const existingCategory = await Category.findOne({ name: trashed.name, userId: req.userId });
+    if (existingCategory) {
+      return res.status(409).json({ message: 'Category with this name already exists' });
+    }
+    
+    const category = await trashService.restore('category', req.userId, req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found in trash' });
+    }
+    
+    res.json(category);
+  } catch (error) {
+    console.error('Error restoring category:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Failed to restore category' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,322 @@
+const express = require('express');
+const CategorizationRule = require('../models/CategorizationRule');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const categorizationRuleService = require('../services/categorizationRuleService');
+const { checkRegexPattern } = require('../utils/safeRegex');
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'priority', 'matchType', 'conditions', 'transactionType', 'minAmount', 'maxAmount', 'categoryId', 'addTags', 'active'];
+const OPERATORS = ['contains', 'equals', 'startsWith', 'endsWith', 'regex'];
+
+// Returns an error message for invalid rule fields, or null when they are valid
+const validateRule = async (userId, rule) => {
+  if (rule.conditions !== undefined) {
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      return 'At least one condition is required';
+    }
+    for (const condition of rule.conditions) {
+      if (!condition || !condition.value) {
+        return 'Every condition needs a value';
+      }
+      if (condition.field && !['title', 'description'].includes(condition.field)) {
+        return 'Condition field must be either title or description';
+      }
+      if (condition.operator && !OPERATORS.includes(condition.operator)) {
+        return `Condition operator must be one of ${OPERATORS.join(', ')}`;
+      }
+      if (condition.operator === 'regex') {
+        const regexError = checkRegexPattern(condition.value);
+        if (regexError) return regexError;
+      }
+    }
+  }
+  if (rule.matchType !== undefined && !['all', 'any'].includes(rule.matchType)) {
+    return 'Match type must be either all or any';
+  }
+  if (rule.transactionType && !['income', 'expense'].includes(rule.transactionType)) {
+    return 'Transaction type must be either income or expense';
+  }
+  if (rule.addTags !== undefined && !Array.isArray(rule.addTags)) {
+    return 'addTags must be an array of strings';
+  }
+  if (rule.categoryId) {
+    const category = await Category.findOne({ _id: rule.categoryId, userId });
+    if (!category) {
+      return 'Category not found';
+    }
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   get:
+ *     summary: Get all categorization rules for the authenticated user
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of rules, highest priority first
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ userId: req.userId }).sort({ priority: -1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching categorization rules:', error);
+    res.status(500).json({ message: 'Failed to fetch categorization rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   post:
+ *     summary: Create a categorization rule
+ *     description: |
+ *       Rules run on new and imported transactions that have no categoryId. They are evaluated highest
+ *       priority first; the first matching rule with a category sets it, and tags from every matching rule are appended.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - conditions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               priority:
+ *                 type: number
+ *                 default: 0
+ *               matchType:
+ *                 type: string
+ *                 enum: [all, any]
+ *                 default: all
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - value
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                       enum: [title, description]
+ *                       default: title
+ *                     operator:
+ *                       type: string
+ *                       enum: [contains, equals, startsWith, endsWith, regex]
+ *                       default: contains
+ *                     value:
+ *                       type: string
+ *                       description: |
+ *                         For regex, at most 100 characters without backreferences, repeated groups containing a
+ *                         repetition or alternation (e.g. (a+)+), or more than 3 of *, + and {n,}. Patterns are
+ *                         matched against the first 200 characters of the field.
+ *                     caseSensitive:
+ *                       type: boolean
+ *                       default: false
+ *               transactionType:
+ *                 type: string
+ *                 enum: [income, expense]
+ *               minAmount:
+ *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *               categoryId:
+ *                 type: string
+ *               addTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, conditions, categoryId, addTags } = req.body;
+
+    if (!name || !conditions) {
+      return res.status(400).json({ message: 'Name and conditions are required' });
+    }
+
+    if (!categoryId && (!addTags || addTags.length === 0)) {
+      return res.status(400).json({ message: 'A rule must set a category or add at least one tag' });
+    }
+
+    const validationError = await validateRule(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const data = { userId: req.userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const rule = new CategorizationRule(data);
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating categorization rule:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to create categorization rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/apply:
+ *   post:
+ *     summary: Re-run rules on existing uncategorized transactions
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of uncategorized transactions scanned and updated
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/apply', auth, async (req, res) => {
+  try {
+    const result = await categorizationRuleService.applyToUncategorized(req.userId);
+    res.json({
+      message: 'Categorization rules applied',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error applying categorization rules:', error);
+    res.status(500).json({ message: 'Failed to apply categorization rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   put:
+ *     summary: Update a categorization rule
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Categorization rule not found' });
+    }
+
+    const validationError = await validateRule(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    if (!rule.categoryId && (!rule.addTags || rule.addTags.length === 0)) {
+      return res.status(400).json({ message: 'A rule must set a category or add at least one tag' });
+    }
+
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating categorization rule:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid categorization rule ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to update categorization rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   delete:
+ *     summary: Delete a categorization rule
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Categorization rule not found' });
+    }
+
+    res.json({ message: 'Categorization rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting categorization rule:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid categorization rule ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete categorization rule' });
+  }
+});
+
+module.exports = router;
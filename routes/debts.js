@@ -0,0 +1,557 @@
+const express = require('express');
+const Debt = require('../models/Debt');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const accountService = require('../services/accountService');
+const debtService = require('../services/debtService');
+const { toBaseAmount } = require('../utils/currency');
+const router = express.Router();
+
+const DEBT_TYPES = ['loan', 'credit_card', 'mortgage', 'student_loan', 'other'];
+const EDITABLE_FIELDS = ['name', 'type', 'principal', 'apr', 'minimumPayment', 'dueDay', 'startDate', 'accountId', 'archived'];
+
+// Returns an error message for invalid debt fields, or null when they are valid
+const validateDebt = async (userId, debt) => {
+  if (debt.type !== undefined && !DEBT_TYPES.includes(debt.type)) {
+    return `Type must be one of ${DEBT_TYPES.join(', ')}`;
+  }
+  for (const field of ['principal', 'apr', 'minimumPayment']) {
+    if (debt[field] !== undefined && !(typeof debt[field] === 'number' && debt[field] >= 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (debt.dueDay !== undefined && !(Number.isInteger(debt.dueDay) && debt.dueDay >= 1 && debt.dueDay <= 31)) {
+    return 'Due day must be between 1 and 31';
+  }
+  if (debt.startDate !== undefined && isNaN(new Date(debt.startDate).getTime())) {
+    return 'Invalid start date';
+  }
+  if (debt.accountId && !(await accountService.verifyOwnership(userId, [debt.accountId]))) {
+    return 'Account not found';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/debts:
+ *   get:
+ *     summary: Get debts with their current balance and payoff at the minimum payment
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Include archived debts
+ *     responses:
+ *       200:
+ *         description: List of debts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Debt'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+    const debts = await Debt.find(filter).sort({ apr: -1, createdAt: 1 });
+    res.json(debts.map(debt => debtService.withSummary(debt)));
+  } catch (error) {
+    console.error('Error fetching debts:', error);
+    res.status(500).json({ message: 'Failed to fetch debts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts:
+ *   post:
+ *     summary: Add a debt or loan
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - principal
+ *               - apr
+ *               - minimumPayment
+ *               - dueDay
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [loan, credit_card, mortgage, student_loan, other]
+ *                 default: loan
+ *               principal:
+ *                 type: number
+ *                 description: Balance owed on startDate
+ *               apr:
+ *                 type: number
+ *                 description: Annual percentage rate, e.g. 19.99
+ *               minimumPayment:
+ *                 type: number
+ *               dueDay:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 31
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the principal was owed (defaults to today)
+ *               accountId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Debt created successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, principal, apr, minimumPayment, dueDay } = req.body;
+    if (!name || [principal, apr, minimumPayment, dueDay].some(value => value === undefined)) {
+      return res.status(400).json({ message: 'Name, principal, apr, minimumPayment and dueDay are required' });
+    }
+
+    const validationError = await validateDebt(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const data = { userId: req.userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const debt = new Debt(data);
+    await debt.save();
+    res.status(201).json(debtService.withSummary(debt));
+  } catch (error) {
+    console.error('Error creating debt:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to create debt' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/payoff-plan:
+ *   get:
+ *     summary: Compare avalanche and snowball payoff strategies
+ *     description: |
+ *       Simulates paying all open debts with one monthly amount. Every debt gets its minimum payment and the rest
+ *       goes to one debt at a time: the highest APR first (avalanche) or the smallest balance first (snowball).
+ *       A cleared debt's minimum rolls into the next one.
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: monthlyPayment
+ *         schema:
+ *           type: number
+ *         description: Total paid towards all debts each month (defaults to the sum of minimum payments)
+ *     responses:
+ *       200:
+ *         description: Payoff timeline and interest for each strategy, with the cheaper one recommended
+ *       400:
+ *         description: Monthly payment below the minimum payments
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/payoff-plan', auth, async (req, res) => {
+  try {
+    let monthlyPayment;
+    if (req.query.monthlyPayment !== undefined) {
+      monthlyPayment = parseFloat(req.query.monthlyPayment);
+      if (!(monthlyPayment > 0)) {
+        return res.status(400).json({ message: 'Monthly payment must be greater than 0' });
+      }
+    }
+
+    const plan = await debtService.getPayoffPlan(req.userId, { monthlyPayment });
+    if (plan.error) {
+      return res.status(plan.status).json({ message: plan.error });
+    }
+    res.json(plan);
+  } catch (error) {
+    console.error('Error building debt payoff plan:', error);
+    res.status(500).json({ message: 'Failed to build payoff plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}:
+ *   get:
+ *     summary: Get a debt with its payments and balance
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     responses:
+ *       200:
+ *         description: Debt details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Debt'
+ *       404:
+ *         description: Debt not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    res.json(debtService.withSummary(debt));
+  } catch (error) {
+    console.error('Error fetching debt:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch debt' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}:
+ *   put:
+ *     summary: Update a debt
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Debt updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Debt not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    const validationError = await validateDebt(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) debt[field] = req.body[field];
+    });
+
+    debtService.updatePaidOff(debt);
+    await debt.save();
+    res.json(debtService.withSummary(debt));
+  } catch (error) {
+    console.error('Error updating debt:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to update debt' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}:
+ *   delete:
+ *     summary: Delete a debt
+ *     description: Linked transactions are kept; only the debt and its payment records are removed.
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     responses:
+ *       200:
+ *         description: Debt deleted successfully
+ *       404:
+ *         description: Debt not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const debt = await Debt.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    res.json({ message: 'Debt deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting debt:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete debt' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}/schedule:
+ *   get:
+ *     summary: Get the amortization schedule of a debt from its current balance
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *       - in: query
+ *         name: payment
+ *         schema:
+ *           type: number
+ *         description: Monthly payment (defaults to the minimum payment)
+ *     responses:
+ *       200:
+ *         description: Month-by-month payment, interest, principal and remaining balance; paysOff is false when the payment doesn't cover the interest
+ *       400:
+ *         description: Invalid payment
+ *       404:
+ *         description: Debt not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/schedule', auth, async (req, res) => {
+  try {
+    let payment;
+    if (req.query.payment !== undefined) {
+      payment = parseFloat(req.query.payment);
+      if (!(payment > 0)) {
+        return res.status(400).json({ message: 'Payment must be greater than 0' });
+      }
+    }
+
+    const debt = await Debt.findOne({ _id: req.params.id, userId: req.userId });
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    res.json(debtService.getSchedule(debt, payment));
+  } catch (error) {
+    console.error('Error building amortization schedule:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt ID' });
+    }
+    res.status(500).json({ message: 'Failed to build amortization schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}/payments:
+ *   post:
+ *     summary: Record a payment towards a debt
+ *     description: Either link an existing expense transaction (its amount and date are used unless given) or enter a payment manually. A transaction can only pay one debt.
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded; returns the debt with its updated balance
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Debt or transaction not found
+ *       409:
+ *         description: Transaction is already linked to a debt
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/payments', auth, async (req, res) => {
+  try {
+    const { transactionId, amount, date, note } = req.body;
+
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) {
+      return res.status(400).json({ message: 'Amount must be greater than 0' });
+    }
+    if (!transactionId && amount === undefined) {
+      return res.status(400).json({ message: 'Either a transactionId or an amount is required' });
+    }
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const debt = await Debt.findOne({ _id: req.params.id, userId: req.userId });
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    const payment = { amount, date, note, source: 'manual' };
+    if (transactionId) {
+      const transaction = await Transaction.findOne({ _id: transactionId, userId: req.userId });
+      if (!transaction) {
+        return res.status(404).json({ message: 'Transaction not found' });
+      }
+      if (transaction.type !== 'expense') {
+        return res.status(400).json({ message: 'Only expense transactions can be linked as debt payments' });
+      }
+      if (await Debt.exists({ userId: req.userId, 'payments.transactionId': transaction._id })) {
+        return res.status(409).json({ message: 'Transaction is already linked to a debt' });
+      }
+      payment.source = 'transaction';
+      payment.transactionId = transaction._id;
+      // Goals and debts are tracked in the base currency
+      payment.amount = amount ?? Math.round(toBaseAmount(transaction) * 100) / 100;
+      payment.date = date ?? transaction.date;
+    }
+
+    await debtService.addPayment(debt, payment);
+    res.status(201).json(debtService.withSummary(debt));
+  } catch (error) {
+    console.error('Error recording debt payment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt or transaction ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to record payment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/debts/{id}/payments/{paymentId}:
+ *   delete:
+ *     summary: Remove a payment from a debt
+ *     tags: [Debts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debt ID
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment ID
+ *     responses:
+ *       200:
+ *         description: Payment removed; returns the debt with its updated balance
+ *       404:
+ *         description: Debt or payment not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/payments/:paymentId', auth, async (req, res) => {
+  try {
+    const debt = await Debt.findOne({ _id: req.params.id, userId: req.userId });
+    if (!debt) {
+      return res.status(404).json({ message: 'Debt not found' });
+    }
+
+    const payment = debt.payments.id(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    payment.deleteOne();
+    debtService.updatePaidOff(debt);
+    await debt.save();
+    res.json(debtService.withSummary(debt));
+  } catch (error) {
+    console.error('Error removing debt payment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid debt or payment ID' });
+    }
+    res.status(500).json({ message: 'Failed to remove payment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const exchangeRateService = require('../services/exchangeRateService');
+const { isCurrencyCode, getBaseCurrency } = require('../utils/currency');
+const { parseRateFeed } = require('../utils/exchangeRateFeed');
+const router = express.Router();
+
+const MAX_FEED_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FEED_FILE_SIZE, files: 1 }
+});
+
+// Wrap multer so upload errors come back as JSON 400s like every other validation error
+const uploadFeed = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large (max 10 MB)'
+        : `Upload failed: ${error.message}`;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Get stored exchange rates
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *         description: Only rates quoted against this currency
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only rates for this currency
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Rates, newest first; 1 unit of base buys `rate` units of currency
+ *       400:
+ *         description: Invalid filter
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = {};
+    for (const field of ['base', 'currency']) {
+      if (req.query[field]) {
+        const code = String(req.query[field]).toUpperCase();
+        if (!isCurrencyCode(code)) {
+          return res.status(400).json({ message: `${field} must be a 3-letter ISO code` });
+        }
+        filter[field] = code;
+      }
+    }
+    if (req.query.startDate || req.query.endDate) {
+      filter.date = {};
+      if (req.query.startDate) filter.date.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.date.$lte = new Date(req.query.endDate);
+      if (Object.values(filter.date).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+    }
+
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const rates = await ExchangeRate.find(filter).sort({ date: -1, base: 1, currency: 1 }).limit(limit);
+    res.json(rates);
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ message: 'Failed to fetch exchange rates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/exchange-rates/convert:
+ *   get:
+ *     summary: Convert an amount between currencies at the rate for a date
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Target currency (defaults to the base currency)
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date of the rate (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Converted amount and the rate used
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: No exchange rate available for the pair
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/convert', auth, async (req, res) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+    const from = String(req.query.from || '').toUpperCase();
+    let to = req.query.to ? String(req.query.to).toUpperCase() : null;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(amount)) {
+      return res.status(400).json({ message: 'Amount must be a number' });
+    }
+    if (!isCurrencyCode(from) || (to && !isCurrencyCode(to))) {
+      return res.status(400).json({ message: 'Currencies must be 3-letter ISO codes' });
+    }
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    if (!to) {
+      const user = await User.findById(req.userId).select('monthlyBudget.currency');
+      to = getBaseCurrency(user);
+    }
+
+    const rate = await exchangeRateService.getRate(from, to, date);
+    if (rate === null) {
+      return res.status(404).json({ message: `No exchange rate from ${from} to ${to} is available` });
+    }
+
+    res.json({ amount, from, to, date, rate, converted: Math.round(amount * rate * 100) / 100 });
+  } catch (error) {
+    console.error('Error converting amount:', error);
+    res.status(500).json({ message: 'Failed to convert amount' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/exchange-rates/import:
+ *   post:
+ *     summary: Load exchange rates from a CSV or JSON feed file (admin only)
+ *     description: |
+ *       CSV files need date, base, currency and rate columns (1 base = rate currency). JSON files hold an array
+ *       of the same objects, or { date, base, rates: { EUR: 0.92, ... } } snapshots. Rates already stored for a
+ *       pair and day are replaced, and foreign-currency transactions are re-rated afterwards.
+ *       Feeds listed in EXCHANGE_RATES_FILE are loaded the same way when the server starts.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Rates imported, with the rows that were skipped
+ *       400:
+ *         description: Missing or unreadable file
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/import', auth, uploadFeed, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'A rate feed file is required' });
+    }
+
+    const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Feed must be a .csv or .json file' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseRateFeed(req.file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not read feed: ${parseError.message}` });
+    }
+
+    const imported = await exchangeRateService.importRates(parsed.rates, req.file.originalname);
+    const rerated = imported > 0 ? await exchangeRateService.refreshAllTransactionRates() : null;
+
+    res.json({ imported, skipped: parsed.errors, rerated });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ message: 'Failed to import exchange rates' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const Goal = require('../models/Goal');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const accountService = require('../services/accountService');
+const goalService = require('../services/goalService');
+const { toBaseAmount } = require('../utils/currency');
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'targetAmount', 'deadline', 'accountId', 'milestones', 'archived'];
+
+// Returns an error message for invalid goal fields, or null when they are valid
+const validateGoal = async (userId, goal) => {
+  if (goal.targetAmount !== undefined && !(typeof goal.targetAmount === 'number' && goal.targetAmount > 0)) {
+    return 'Target amount must be greater than 0';
+  }
+  if (goal.deadline !== undefined && goal.deadline !== null && isNaN(new Date(goal.deadline).getTime())) {
+    return 'Invalid deadline';
+  }
+  if (goal.milestones !== undefined) {
+    if (!Array.isArray(goal.milestones) || !goal.milestones.every(m => typeof m === 'number' && m > 0 && m <= 100)) {
+      return 'Milestones must be an array of percentages between 0 and 100';
+    }
+  }
+  if (goal.accountId && !(await accountService.verifyOwnership(userId, [goal.accountId]))) {
+    return 'Account not found';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/goals:
+ *   get:
+ *     summary: Get savings goals with their progress
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Include archived goals
+ *     responses:
+ *       200:
+ *         description: List of goals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Goal'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+    const goals = await Goal.find(filter).sort({ deadline: 1, createdAt: 1 });
+    res.json(goals.map(goal => goalService.withProgress(goal)));
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ message: 'Failed to fetch goals' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals:
+ *   post:
+ *     summary: Create a savings goal
+ *     description: A goal such as "Emergency fund 5000 by December". Money is added through contributions.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - targetAmount
+ *             properties:
+ *               name:
+ *                 type: string
+ *               targetAmount:
+ *                 type: number
+ *               deadline:
+ *                 type: string
+ *                 format: date
+ *               accountId:
+ *                 type: string
+ *                 description: Account the savings are kept in
+ *               milestones:
+ *                 type: array
+ *                 description: Progress percentages that trigger a notification and email
+ *                 default: [25, 50, 75, 100]
+ *                 items:
+ *                   type: number
+ *     responses:
+ *       201:
+ *         description: Goal created successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!req.body.name || req.body.targetAmount === undefined) {
+      return res.status(400).json({ message: 'Name and target amount are required' });
+    }
+
+    const validationError = await validateGoal(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const data = { userId: req.userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const goal = new Goal(data);
+    await goal.save();
+    res.status(201).json(goalService.withProgress(goal));
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to create goal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   get:
+ *     summary: Get a savings goal with its contributions and progress
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Goal'
+ *       404:
+ *         description: Goal not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId })
+      .populate('contributions.transactionId', 'title amount type date');
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json(goalService.withProgress(goal));
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid goal ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch goal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   put:
+ *     summary: Update a savings goal
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               targetAmount:
+ *                 type: number
+ *               deadline:
+ *                 type: string
+ *                 format: date
+ *               accountId:
+ *                 type: string
+ *               milestones:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               archived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Goal updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Goal not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const validationError = await validateGoal(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) goal[field] = req.body[field];
+    });
+
+    // A lower target can complete the goal or pass milestones without a new contribution (saves the goal)
+    await goalService.checkMilestones(goal);
+    res.json(goalService.withProgress(goal));
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid goal ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to update goal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   delete:
+ *     summary: Delete a savings goal
+ *     description: Linked transactions are kept; only the goal and its contributions are removed.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal deleted successfully
+ *       404:
+ *         description: Goal not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid goal ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete goal' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals/{id}/contributions:
+ *   post:
+ *     summary: Add a contribution to a savings goal
+ *     description: |
+ *       Either link a transaction (its amount is used unless amount is given) or enter an amount manually.
+ *       A transaction can only count towards one goal. Negative manual amounts record withdrawals.
+ *       Passing a milestone creates a notification and sends an email.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Contribution added; returns the goal with its progress and any milestone reached
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Goal or transaction not found
+ *       409:
+ *         description: Transaction already counts towards a goal
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/contributions', auth, async (req, res) => {
+  try {
+    const { transactionId, amount, date, note } = req.body;
+
+    if (amount !== undefined && !(typeof amount === 'number' && amount !== 0)) {
+      return res.status(400).json({ message: 'Amount must be a non-zero number' });
+    }
+    if (!transactionId && amount === undefined) {
+      return res.status(400).json({ message: 'Either a transactionId or an amount is required' });
+    }
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const contribution = { amount, date, note, source: 'manual' };
+    if (transactionId) {
+      const transaction = await Transaction.findOne({ _id: transactionId, userId: req.userId });
+      if (!transaction) {
+        return res.status(404).json({ message: 'Transaction not found' });
+      }
+      if (await Goal.exists({ userId: req.userId, 'contributions.transactionId': transaction._id })) {
+        return res.status(409).json({ message: 'Transaction already counts towards a goal' });
+      }
+      contribution.source = 'transaction';
+      contribution.transactionId = transaction._id;
+      // Goals and debts are tracked in the base currency
+      contribution.amount = amount ?? Math.round(toBaseAmount(transaction) * 100) / 100;
+      contribution.date = date ?? transaction.date;
+    }
+
+    const { milestone } = await goalService.addContribution(goal, contribution);
+    res.status(201).json({
+      ...goalService.withProgress(goal),
+      milestoneReached: milestone
+    });
+  } catch (error) {
+    console.error('Error adding goal contribution:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid goal or transaction ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to add contribution' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/goals/{id}/contributions/{contributionId}:
+ *   delete:
+ *     summary: Remove a contribution from a savings goal
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *       - in: path
+ *         name: contributionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution ID
+ *     responses:
+ *       200:
+ *         description: Contribution removed; returns the goal with its progress
+ *       404:
+ *         description: Goal or contribution not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/contributions/:contributionId', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+    if (!contribution) {
+      return res.status(404).json({ message: 'Contribution not found' });
+    }
+
+    contribution.deleteOne();
+    await goalService.checkMilestones(goal);
+    res.json(goalService.withProgress(goal));
+  } catch (error) {
+    console.error('Error removing goal contribution:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid goal or contribution ID' });
+    }
+    res.status(500).json({ message: 'Failed to remove contribution' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const anomalyDetectionService = require('../services/anomalyDetectionService');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/insights/anomalies:
+ *   get:
+ *     summary: Get unusual spending for a month
+ *     description: |
+ *       Compares each category's spend in the month (so far, for the current month) with its average over the
+ *       previous 6 months and flags spikes at least 2 standard deviations and 25% above that average; categories
+ *       need spending in at least 3 of those months. Also lists merchants (transaction titles, ignoring case,
+ *       punctuation and store numbers) first seen this month. Set settings.anomalyAlerts on the profile to get
+ *       these as a weekly notification.
+ *     tags: [Insights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Month to analyse (defaults to the current month, requires year)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category spikes and new merchants
+ *       400:
+ *         description: Invalid month or year
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/anomalies', auth, async (req, res) => {
+  try {
+    let month;
+    let year;
+    if (req.query.month !== undefined || req.query.year !== undefined) {
+      month = parseInt(req.query.month, 10);
+      year = parseInt(req.query.year, 10);
+      if (!(month >= 1 && month <= 12) || !(year >= 1970 && year <= 9999)) {
+        return res.status(400).json({ message: 'month (1-12) and year must be given together' });
+      }
+    }
+
+    const anomalies = await anomalyDetectionService.getAnomalies(req.userId, { month, year });
+    res.json(anomalies);
+  } catch (error) {
+    console.error('Error detecting spending anomalies:', error);
+    res.status(500).json({ message: 'Failed to detect spending anomalies' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const auth = require('../middleware/auth');
+const recurringTransactionService = require('../services/recurringTransactionService');
+const { isCurrencyCode } = require('../utils/currency');
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['title', 'amount', 'currency', 'type', 'categoryId', 'description', 'frequency', 'interval', 'startDate', 'endDate', 'maxOccurrences', 'active'];
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate', 'maxOccurrences', 'active'];
+
+// Returns an error message for invalid rule fields, or null when they are valid
+const validateRule = (rule) => {
+  if (rule.amount !== undefined && rule.amount <= 0) {
+    return 'Amount must be greater than 0';
+  }
+  if (rule.currency !== undefined && rule.currency !== null && !isCurrencyCode(String(rule.currency).trim().toUpperCase())) {
+    return 'Currency must be a 3-letter ISO code such as EUR';
+  }
+  if (rule.type !== undefined && !['income', 'expense'].includes(rule.type)) {
+    return 'Type must be either income or expense';
+  }
+  if (rule.frequency !== undefined && !['daily', 'weekly', 'monthly', 'yearly'].includes(rule.frequency)) {
+    return 'Frequency must be one of daily, weekly, monthly or yearly';
+  }
+  if (rule.interval !== undefined && (!Number.isInteger(Number(rule.interval)) || rule.interval < 1)) {
+    return 'Interval must be a positive whole number';
+  }
+  if (rule.maxOccurrences !== undefined && rule.maxOccurrences !== null && (!Number.isInteger(Number(rule.maxOccurrences)) || rule.maxOccurrences < 1)) {
+    return 'Max occurrences must be a positive whole number';
+  }
+  if (rule.startDate !== undefined && isNaN(new Date(rule.startDate).getTime())) {
+    return 'Invalid start date';
+  }
+  if (rule.endDate && isNaN(new Date(rule.endDate).getTime())) {
+    return 'Invalid end date';
+  }
+  if (rule.startDate && rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    return 'End date must be after start date';
+  }
+  return null;
+};
+
+const withUpcoming = (rule) => ({
+  ...rule.toObject(),
+  upcomingDates: recurringTransactionService.getUpcomingDates(rule)
+});
+
+/**
+ * @swagger
+ * /api/recurring-transactions:
+ *   get:
+ *     summary: Get all recurring transactions for the authenticated user
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of recurring transactions with their upcoming dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecurringTransaction'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await RecurringTransaction.find({ userId: req.userId }).sort({ nextRunDate: 1 });
+    res.json(rules.map(withUpcoming));
+  } catch (error) {
+    console.error('Error fetching recurring transactions:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring transactions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recurring-transactions:
+ *   post:
+ *     summary: Create a recurring transaction rule
+ *     description: Occurrences are posted as real transactions by the scheduler once they come due. A start date in the past backfills the missed occurrences.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - amount
+ *               - type
+ *               - frequency
+ *             properties:
+ *               title:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code of the amount (defaults to the base currency)
+ *               type:
+ *                 type: string
+ *                 enum: [income, expense]
+ *               categoryId:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly, yearly]
+ *               interval:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               maxOccurrences:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Recurring transaction created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringTransaction'
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { title, amount, type, frequency } = req.body;
+
+    if (!title || !amount || !type || !frequency) {
+      return res.status(400).json({ message: 'Title, amount, type, and frequency are required' });
+    }
+
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const data = { userId: req.userId, startDate: new Date() };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const rule = new RecurringTransaction(data);
+    rule.nextRunDate = recurringTransactionService.getNextRunDate(rule);
+    rule.active = rule.active && rule.nextRunDate !== null;
+    await rule.save();
+
+    res.status(201).json(withUpcoming(rule));
+  } catch (error) {
+    console.error('Error creating recurring transaction:', error);
+    res.status(500).json({ message: 'Failed to create recurring transaction' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}:
+ *   put:
+ *     summary: Update a recurring transaction rule
+ *     description: Changing the schedule recomputes the next run date; occurrences already posted are kept.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Recurring transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringTransaction'
+ *     responses:
+ *       200:
+ *         description: Recurring transaction updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringTransaction'
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Recurring transaction not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    const validationError = validateRule({
+      ...req.body,
+      startDate: req.body.startDate !== undefined ? req.body.startDate : rule.startDate,
+      endDate: req.body.endDate !== undefined ? req.body.endDate : rule.endDate
+    });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    if (SCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      rule.nextRunDate = rule.active ? recurringTransactionService.getNextRunDate(rule) : null;
+      rule.active = rule.active && rule.nextRunDate !== null;
+    }
+
+    await rule.save();
+    res.json(withUpcoming(rule));
+  } catch (error) {
+    console.error('Error updating recurring transaction:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recurring transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to update recurring transaction' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}:
+ *   delete:
+ *     summary: Delete a recurring transaction rule
+ *     description: Transactions already posted by the rule are kept.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Recurring transaction ID
+ *     responses:
+ *       200:
+ *         description: Recurring transaction deleted successfully
+ *       404:
+ *         description: Recurring transaction not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    res.json({ message: 'Recurring transaction deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recurring transaction:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid recurring transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete recurring transaction' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const monthlyReportService = require('../services/monthlyReportService');
 const reportGeneratorService = require('../services/reportGeneratorService');
+const tagService = require('../services/tagService');
+const { buildTransactionFilter } = require('../utils/transactionQuery');
 const User = require('../models/User');
 const fs = require('fs');
 const router = express.Router();
@@ -32,6 +34,9 @@ const router = express.Router();
  *                     type: number
  *                   hasData:
  *                     type: boolean
+ *                   currency:
+ *                     type: string
+ *                     description: Base currency the amounts are converted into
  *                   totalIncome:
  *                     type: number
  *                   totalExpenses:
@@ -145,4 +150,90 @@ router.get('/monthly/:year/:month/download', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/reports/tags:
+ *   get:
+ *     summary: Income and expense per tag over a date range
+ *     description: |
+ *       Amounts are in the base currency. A transaction with several tags counts towards each of them,
+ *       so tag totals can add up to more than the overall total. Transfers are left out.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include transactions on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include transactions on or before this date
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags to summarize (defaults to every tag)
+ *     responses:
+ *       200:
+ *         description: Tag totals, highest spending first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                 startDate:
+ *                   type: string
+ *                   nullable: true
+ *                 endDate:
+ *                   type: string
+ *                   nullable: true
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tag:
+ *                         type: string
+ *                       income:
+ *                         type: number
+ *                       expense:
+ *                         type: number
+ *                       net:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, tags } = req.query;
+    const { filter, error } = buildTransactionFilter(req.userId, { startDate, endDate, tags });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const summary = await tagService.getTagSummary(req.userId, filter);
+    res.json({
+      currency: summary.currency,
+      startDate: filter.date && filter.date.$gte ? filter.date.$gte : null,
+      endDate: filter.date && filter.date.$lte ? filter.date.$lte : null,
+      tags: summary.tags
+    });
+  } catch (error) {
+    console.error('Error fetching tag report:', error);
+    res.status(500).json({ message: 'Failed to fetch tag report' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,301 @@
+const express = require('express');
+const Subscription = require('../models/Subscription');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const subscriptionDetectionService = require('../services/subscriptionDetectionService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { getBaseCurrency } = require('../utils/currency');
+const router = express.Router();
+
+const STATUSES = ['candidate', 'confirmed', 'dismissed'];
+const EDITABLE_FIELDS = ['name', 'categoryId'];
+
+// Returns an error message for invalid subscription fields, or null when they are valid
+const validateSubscription = async (userId, subscription) => {
+  if (subscription.name !== undefined && !(typeof subscription.name === 'string' && subscription.name.trim())) {
+    return 'Name cannot be empty';
+  }
+  if (subscription.categoryId) {
+    const category = await Category.findOne({ _id: subscription.categoryId, userId });
+    if (!category) return 'Category not found';
+  }
+  return null;
+};
+
+const withMonthlyCost = (subscription) => ({
+  ...subscription.toObject(),
+  monthlyCost: subscriptionDetectionService.monthlyCost(subscription)
+});
+
+// Sets the status of one of the user's subscriptions and responds with it
+const setStatus = async (req, res, status) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    subscription.status = status;
+    if (status === 'confirmed') {
+      subscription.confirmedAt = new Date();
+      subscription.dismissedAt = undefined;
+      // The user has seen the current price, so only later increases are notified
+      if (subscription.priceIncrease && subscription.priceIncrease.newAmount) {
+        subscription.priceIncrease.notifiedAt = new Date();
+      }
+    } else {
+      subscription.dismissedAt = new Date();
+    }
+    await subscription.save();
+
+    res.json(withMonthlyCost(subscription));
+  } catch (error) {
+    console.error(`Error setting subscription to ${status}:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid subscription ID' });
+    }
+    res.status(500).json({ message: 'Failed to update subscription' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   get:
+ *     summary: Get detected subscriptions and recurring bills
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [candidate, confirmed, dismissed]
+ *         description: Only subscriptions with this status (defaults to candidates and confirmed)
+ *     responses:
+ *       200:
+ *         description: Subscriptions by next expected charge, with the monthly cost of the confirmed ones in the base currency
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
+ *                 confirmedMonthlyCost:
+ *                   type: number
+ *                 currency:
+ *                   type: string
+ *       400:
+ *         description: Invalid status
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${STATUSES.join(', ')}` });
+    }
+
+    const subscriptions = await Subscription.find({
+      userId: req.userId,
+      status: status || { $in: ['candidate', 'confirmed'] }
+    })
+      .populate('categoryId', 'name color icon')
+      .sort({ nextExpectedDate: 1 });
+
+    const user = await User.findById(req.userId).select('monthlyBudget.currency');
+    const currency = getBaseCurrency(user);
+    let confirmedMonthlyCost = 0;
+    for (const subscription of subscriptions.filter(s => s.status === 'confirmed')) {
+      const cost = subscriptionDetectionService.monthlyCost(subscription);
+      const converted = await exchangeRateService.convert(cost, subscription.currency || currency, currency);
+      confirmedMonthlyCost += converted ?? cost;
+    }
+
+    res.json({
+      subscriptions: subscriptions.map(withMonthlyCost),
+      confirmedMonthlyCost: Math.round(confirmedMonthlyCost * 100) / 100,
+      currency
+    });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ message: 'Failed to fetch subscriptions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subscriptions/scan:
+ *   post:
+ *     summary: Scan transaction history for subscriptions
+ *     description: |
+ *       Groups expenses by merchant and looks for charges of a similar amount repeating weekly, every two weeks,
+ *       monthly, quarterly or yearly. New ones are proposed as candidates; confirmed and dismissed subscriptions
+ *       keep their status. Runs daily on its own as well.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 detected:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 removed:
+ *                   type: integer
+ *                   description: Candidates no longer detected
+ *                 priceIncreases:
+ *                   type: integer
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/scan', auth, async (req, res) => {
+  try {
+    const results = await subscriptionDetectionService.scanUser(req.userId);
+    res.json(results);
+  } catch (error) {
+    console.error('Error scanning subscriptions:', error);
+    res.status(500).json({ message: 'Failed to scan subscriptions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   put:
+ *     summary: Rename a subscription or change its category
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subscription ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               categoryId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const validationError = await validateSubscription(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field] || undefined;
+    });
+    await subscription.save();
+
+    res.json(withMonthlyCost(subscription));
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid subscription ID' });
+    }
+    res.status(500).json({ message: 'Failed to update subscription' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/confirm:
+ *   post:
+ *     summary: Confirm a detected subscription
+ *     description: Confirmed subscriptions count towards the monthly subscription cost and notify on price increases.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subscription ID
+ *     responses:
+ *       200:
+ *         description: Subscription confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Subscription'
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/confirm', auth, (req, res) => setStatus(req, res, 'confirmed'));
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a detected subscription
+ *     description: Dismissed charges are not proposed again by later scans.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subscription ID
+ *     responses:
+ *       200:
+ *         description: Subscription dismissed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Subscription'
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/dismiss', auth, (req, res) => setStatus(req, res, 'dismissed'));
+
+module.exports = router;
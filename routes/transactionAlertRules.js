@@ -0,0 +1,240 @@
+const express = require('express');
+const TransactionAlertRule = require('../models/TransactionAlertRule');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'condition', 'amount', 'multiplier', 'transactionType', 'categoryId', 'active'];
+
+// Returns an error message for invalid rule fields (checked against the merged rule), or null when they are valid
+const validateRule = async (userId, rule) => {
+  if (!['amountAbove', 'multipleOfUsual'].includes(rule.condition)) {
+    return 'Condition must be either amountAbove or multipleOfUsual';
+  }
+  if (rule.condition === 'amountAbove' && !(typeof rule.amount === 'number' && rule.amount >= 0)) {
+    return 'amountAbove rules need a non-negative amount';
+  }
+  if (rule.condition === 'multipleOfUsual' && !(typeof rule.multiplier === 'number' && rule.multiplier >= 1)) {
+    return 'multipleOfUsual rules need a multiplier of at least 1';
+  }
+  if (rule.transactionType && !['income', 'expense'].includes(rule.transactionType)) {
+    return 'Transaction type must be either income or expense';
+  }
+  if (rule.categoryId) {
+    const category = await Category.findOne({ _id: rule.categoryId, userId });
+    if (!category) {
+      return 'Category not found';
+    }
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/transaction-alert-rules:
+ *   get:
+ *     summary: Get all transaction alert rules for the authenticated user
+ *     tags: [Transaction Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of rules
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await TransactionAlertRule.find({ userId: req.userId }).sort({ createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching transaction alert rules:', error);
+    res.status(500).json({ message: 'Failed to fetch transaction alert rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-alert-rules:
+ *   post:
+ *     summary: Create a transaction alert rule
+ *     description: |
+ *       Rules are checked whenever a transaction is created or updated. Every rule hit creates a notification
+ *       and, when email notifications are enabled, sends an email. A rule fires at most once per transaction.
+ *       amountAbove fires when the amount, converted into the base currency, is over `amount`; multipleOfUsual fires when it is more than
+ *       `multiplier` times the category's average over the last 90 days (at least 3 earlier transactions needed).
+ *       With a categoryId only that category (or that line of a split transaction) is watched.
+ *     tags: [Transaction Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - condition
+ *             properties:
+ *               name:
+ *                 type: string
+ *               condition:
+ *                 type: string
+ *                 enum: [amountAbove, multipleOfUsual]
+ *               amount:
+ *                 type: number
+ *                 description: Required for amountAbove
+ *               multiplier:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Required for multipleOfUsual, e.g. 3 for "3x my usual"
+ *               transactionType:
+ *                 type: string
+ *                 enum: [income, expense]
+ *                 default: expense
+ *               categoryId:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!req.body.name || !req.body.condition) {
+      return res.status(400).json({ message: 'Name and condition are required' });
+    }
+
+    const validationError = await validateRule(req.userId, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const data = { userId: req.userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const rule = new TransactionAlertRule(data);
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating transaction alert rule:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to create transaction alert rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-alert-rules/{id}:
+ *   put:
+ *     summary: Update a transaction alert rule
+ *     tags: [Transaction Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const rule = await TransactionAlertRule.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Transaction alert rule not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    const validationError = await validateRule(req.userId, rule.toObject());
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating transaction alert rule:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction alert rule ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to update transaction alert rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction-alert-rules/{id}:
+ *   delete:
+ *     summary: Delete a transaction alert rule
+ *     tags: [Transaction Alert Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await TransactionAlertRule.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Transaction alert rule not found' });
+    }
+
+    res.json({ message: 'Transaction alert rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting transaction alert rule:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction alert rule ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete transaction alert rule' });
+  }
+});
+
+module.exports = router;
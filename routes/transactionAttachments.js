@@ -0,0 +1,250 @@
+const express = require('express');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const attachmentService = require('../services/attachmentService');
+const router = express.Router({ mergeParams: true });
+
+const maxSizeMb = Math.round((attachmentService.maxSize / (1024 * 1024)) * 10) / 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.maxSize, files: 1 }
+});
+
+// Wrap multer so upload errors come back as JSON like every other validation error
+const uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `File is too large (max ${maxSizeMb} MB)` });
+      }
+      return res.status(400).json({ message: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+};
+
+// Responds with a service error, or returns false when there was none
+const sendError = (res, result) => {
+  if (!result.error) return false;
+  res.status(result.status).json({ message: result.error });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments:
+ *   get:
+ *     summary: Get the receipts and documents attached to a transaction
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await attachmentService.list(req.userId, req.params.id);
+    if (sendError(res, result)) return;
+    res.json(result.attachments);
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch attachments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments:
+ *   post:
+ *     summary: Attach a receipt or document to a transaction
+ *     description: |
+ *       Accepts PDF, JPEG, PNG, WebP and HEIC files up to ATTACHMENT_MAX_SIZE_MB (10 MB by default), at most
+ *       10 per transaction. The type is detected from the file contents. Files are kept in the configured
+ *       storage backend (ATTACHMENT_STORAGE, local disk by default) and deleted when the transaction is
+ *       purged from the trash.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Missing file or too many attachments
+ *       404:
+ *         description: Transaction not found
+ *       413:
+ *         description: File is too large
+ *       415:
+ *         description: File type not allowed
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, uploadAttachment, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A file is required' });
+    }
+
+    const result = await attachmentService.upload(req.userId, req.params.id, req.file);
+    if (sendError(res, result)) return;
+    res.status(201).json(result.attachment);
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to upload attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: File contents with their original name
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:attachmentId', auth, async (req, res) => {
+  try {
+    const result = await attachmentService.open(req.userId, req.params.id, req.params.attachmentId);
+    if (sendError(res, result)) return;
+
+    const { attachment, stream } = result;
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.attachment(attachment.fileName);
+
+    stream.on('error', (streamError) => {
+      console.error('Error streaming attachment:', streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid attachment ID' });
+    }
+    res.status(500).json({ message: 'Failed to download attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       404:
+ *         description: Attachment not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:attachmentId', auth, async (req, res) => {
+  try {
+    const result = await attachmentService.remove(req.userId, req.params.id, req.params.attachmentId);
+    if (sendError(res, result)) return;
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid attachment ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
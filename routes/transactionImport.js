@@ -0,0 +1,249 @@
+const express = require('express');
+const multer = require('multer');
+const ImportProfile = require('../models/ImportProfile');
+const auth = require('../middleware/auth');
+const transactionImportService = require('../services/transactionImportService');
+const accountService = require('../services/accountService');
+const { isCurrencyCode } = require('../utils/currency');
+const router = express.Router();
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+});
+
+// Wrap multer so upload errors come back as JSON 400s like every other validation error
+const uploadStatement = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large (max 5 MB)'
+        : `Upload failed: ${error.message}`;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * /api/transactions/import:
+ *   post:
+ *     summary: Import transactions from a CSV, OFX/QFX or QIF bank statement
+ *     description: |
+ *       Returns a dry-run preview unless commit is "true". Every row is validated with the same rules as
+ *       POST /api/transactions; invalid rows are reported and skipped. OFX/QFX transactions are keyed by
+ *       their FITID (QIF entries by a content hash), so rows that were already imported are flagged as
+ *       duplicates and skipped. Rows whose transaction is in the trash are flagged with inTrash and
+ *       trashedTransactionId: restore that transaction instead of importing the row again. Budget alerts are
+ *       re-evaluated once per import.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, ofx, qfx, qif]
+ *                 description: Statement format, detected from the file extension when omitted
+ *               dateFormat:
+ *                 type: string
+ *                 enum: [MM/DD/YYYY, DD/MM/YYYY, YYYY-MM-DD, DD.MM.YYYY]
+ *                 description: Date order used in QIF files (default MM/DD/YYYY)
+ *               profileId:
+ *                 type: string
+ *                 description: Saved CSV import profile to use
+ *               mapping:
+ *                 type: string
+ *                 description: |
+ *                   JSON column mapping, e.g. {"columns":{"date":"Date","amount":"Amount","title":"Payee"},
+ *                   "signConvention":"negative-is-expense","dateFormat":"DD/MM/YYYY"}. Overrides the profile when both are given.
+ *               saveProfileAs:
+ *                 type: string
+ *                 description: Save the mapping as a reusable profile under this name (e.g. the bank name)
+ *               accountId:
+ *                 type: string
+ *                 description: Account the statement belongs to
+ *               categoryId:
+ *                 type: string
+ *                 description: Category applied to every imported transaction (otherwise categorization rules are applied)
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code of the statement amounts (defaults to the base currency)
+ *               commit:
+ *                 type: string
+ *                 enum: ['true', 'false']
+ *                 default: 'false'
+ *     responses:
+ *       200:
+ *         description: Dry-run preview, or the result of a committed import
+ *       400:
+ *         description: Bad request (missing file, invalid mapping or unreadable file)
+ *       404:
+ *         description: Import profile not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', auth, uploadStatement, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A statement file is required' });
+    }
+
+    const { profileId, saveProfileAs, categoryId, accountId } = req.body;
+    const commit = req.body.commit === 'true';
+    const currency = req.body.currency ? req.body.currency.trim().toUpperCase() : undefined;
+    if (currency && !isCurrencyCode(currency)) {
+      return res.status(400).json({ message: 'Currency must be a 3-letter ISO code such as EUR' });
+    }
+
+    if (!(await accountService.verifyOwnership(req.userId, [accountId]))) {
+      return res.status(400).json({ message: 'Account not found' });
+    }
+
+    const format = transactionImportService.detectFormat(req.body.format, req.file.originalname);
+    if (!format) {
+      return res.status(400).json({ message: 'Format must be one of csv, ofx, qfx or qif' });
+    }
+
+    let parsed;
+    let profile;
+    if (format === 'csv') {
+      let mapping;
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Mapping must be valid JSON' });
+        }
+      }
+
+      const resolved = await transactionImportService.resolveMapping(req.userId, { profileId, mapping, saveProfileAs });
+      if (resolved.error) {
+        return res.status(resolved.status).json({ message: resolved.error });
+      }
+      profile = resolved.profile;
+      parsed = transactionImportService.parseCsv(req.file.buffer, resolved.mapping);
+    } else if (format === 'qif') {
+      parsed = transactionImportService.parseQif(req.file.buffer, req.body.dateFormat);
+    } else {
+      parsed = transactionImportService.parseOfx(req.file.buffer);
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const rows = await transactionImportService.markAlreadyImported(req.userId, parsed.rows);
+    await transactionImportService.rateRows(req.userId, rows, currency);
+    if (!categoryId) {
+      await transactionImportService.categorizeRows(req.userId, rows);
+    }
+    const summary = transactionImportService.summarize(rows);
+    const response = {
+      dryRun: !commit,
+      format,
+      summary,
+      profile: profile || undefined
+    };
+
+    if (!commit) {
+      return res.json({ ...response, rows });
+    }
+
+    const defaults = {};
+    if (categoryId) defaults.categoryId = categoryId;
+    if (accountId) defaults.accountId = accountId;
+    const created = await transactionImportService.commitImport(req.userId, rows, defaults);
+    res.json({
+      ...response,
+      imported: created.length,
+      skipped: rows.filter(r => r.error || r.duplicate)
+    });
+  } catch (error) {
+    console.error('Error importing transactions:', error);
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to import transactions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/import/profiles:
+ *   get:
+ *     summary: Get saved import profiles for the authenticated user
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of import profiles
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/profiles', auth, async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find({ userId: req.userId }).sort({ name: 1 });
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({ message: 'Failed to fetch import profiles' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/import/profiles/{id}:
+ *   delete:
+ *     summary: Delete a saved import profile
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import profile ID
+ *     responses:
+ *       200:
+ *         description: Import profile deleted successfully
+ *       404:
+ *         description: Import profile not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/profiles/:id', auth, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    res.json({ message: 'Import profile deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid import profile ID' });
+    }
+    res.status(500).json({ message: 'Failed to delete import profile' });
+  }
+});
+
+module.exports = router;
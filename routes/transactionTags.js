@@ -0,0 +1,162 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const tagService = require('../services/tagService');
+const { validateTags, normalizeTags } = require('../utils/tags');
+const router = express.Router();
+
+const MAX_SUGGESTIONS = 100;
+
+// Merges the given tags into a target tag and responds with the counts of updated documents
+const replaceTags = async (req, res, sources, target) => {
+  try {
+    if (typeof target !== 'string' || !target.trim()) {
+      return res.status(400).json({ message: 'A target tag is required' });
+    }
+    const tagError = validateTags(sources) || validateTags([target]);
+    if (tagError || sources.length === 0) {
+      return res.status(400).json({ message: tagError || 'At least one tag to replace is required' });
+    }
+
+    const [normalizedTarget] = normalizeTags([target]);
+    const result = await tagService.mergeTags(req.userId, normalizeTags(sources), normalizedTarget);
+    res.json({ tag: normalizedTarget, ...result });
+  } catch (error) {
+    console.error('Error replacing tags:', error);
+    res.status(500).json({ message: 'Failed to update tags' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/tags:
+ *   get:
+ *     summary: Get the tags used on transactions, for autocomplete
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only tags starting with this text (case-insensitive)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Tags, most used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   tag:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *                   lastUsed:
+ *                     type: string
+ *                     format: date-time
+ *       400:
+ *         description: search given more than once
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    if (req.query.search !== undefined && typeof req.query.search !== 'string') {
+      return res.status(400).json({ message: 'search must be given once' });
+    }
+    const limit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const tags = await tagService.listTags(req.userId, { search: req.query.search, limit });
+    res.json(tags);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ message: 'Failed to fetch tags' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/tags/rename:
+ *   post:
+ *     summary: Rename a tag on every transaction
+ *     description: Categorization rules adding the tag are updated too. Renaming to a tag that already exists merges them.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of transactions and rules updated
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/rename', auth, (req, res) => {
+  const { from, to } = req.body;
+  return replaceTags(req, res, from === undefined ? [] : [from], to);
+});
+
+/**
+ * @swagger
+ * /api/transactions/tags/merge:
+ *   post:
+ *     summary: Merge several tags into one
+ *     description: Every transaction with any of the tags ends up with the target tag once. Categorization rules are updated too.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *               - into
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tags to merge
+ *               into:
+ *                 type: string
+ *                 description: Tag to keep (may be new or one of the merged tags)
+ *     responses:
+ *       200:
+ *         description: Number of transactions and rules updated
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/merge', auth, (req, res) => {
+  const { tags, into } = req.body;
+  return replaceTags(req, res, Array.isArray(tags) ? tags : [tags], into);
+});
+
+module.exports = router;
@@ -1,33 +1,223 @@
 const express = require('express');
 const Transaction = require('../models/Transaction');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
 const budgetAlertService = require('../services/budgetAlertService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const categorizationRuleService = require('../services/categorizationRuleService');
+const accountService = require('../services/accountService');
+const transactionAlertService = require('../services/transactionAlertService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const exchangeRateService = require('../services/exchangeRateService');
+const { validateTransaction, validateTransfer } = require('../utils/transactionValidation');
+const { validateSplits, getCategoryLines } = require('../utils/transactionSplits');
+const { buildTransactionFilter, encodeCursor, decodeCursor, applyCursor, parseLimit } = require('../utils/transactionQuery');
+const { getBaseCurrency, isCurrencyCode, formatMoney, toBaseAmount, baseAmountExpression } = require('../utils/currency');
+const { validateTags, normalizeTags } = require('../utils/tags');
 const router = express.Router();
 
+// Fields a client may set; ownership, rates, duplicate links, import ids and the trash are managed by the server
+const EDITABLE_FIELDS = ['title', 'amount', 'currency', 'type', 'categoryId', 'accountId', 'toAccountId', 'date', 'description', 'tags', 'splits'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Category label for exports; split transactions list every line with its amount
+const describeCategories = (transaction) => {
+  const lines = getCategoryLines(transaction);
+  if (lines.length === 1) {
+    return lines[0].categoryId ? lines[0].categoryId.name : 'No Category';
+  }
+  return lines
+    .map(line => `${line.categoryId ? line.categoryId.name : 'No Category'} (${line.amount.toFixed(2)})`)
+    .join(', ');
+};
+
+// CSV statement import and saved column mapping profiles
+router.use('/import', require('./transactionImport'));
+
+// Tag autocomplete, rename and merge
+router.use('/tags', require('./transactionTags'));
+
+// Receipts and documents attached to a transaction
+router.use('/:id/attachments', require('./transactionAttachments'));
+
 /**
  * @swagger
  * /api/transactions:
  *   get:
- *     summary: Get all transactions for the authenticated user
+ *     summary: Get transactions for the authenticated user, filtered and paginated
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include transactions on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include transactions on or before this date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense, transfer]
+ *         description: Filter by transaction type
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: Filter by category ID ("none" for uncategorized transactions)
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *         description: Filter by account (matches both sides of a transfer)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags (e.g. vacation-2026,reimbursable)
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match transactions with any of the tags, or only those with all of them
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive text search over title and description
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor returned as nextCursor by the previous page
+ *       - in: query
+ *         name: includeDuplicates
+ *         schema:
+ *           type: boolean
+ *         description: Include transactions merged as linked duplicates (hidden by default)
  *     responses:
  *       200:
- *         description: List of transactions
+ *         description: |
+ *           A page of transactions with totals for the whole filtered set (in the base currency).
+ *           Breaking change: this endpoint used to return a bare array of every transaction. Clients now read
+ *           the transactions array of the response and follow pagination.nextCursor for further pages.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Transaction'
+ *               type: object
+ *               properties:
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     incomeCount:
+ *                       type: integer
+ *                     expenseCount:
+ *                       type: integer
+ *                     transferCount:
+ *                       type: integer
+ *                     income:
+ *                       type: number
+ *                     expense:
+ *                       type: number
+ *       400:
+ *         description: Invalid filter or cursor
  *       500:
  *         description: Internal server error
  */
 router.get('/', auth, async (req, res) => {
   try {
-    const transactions = await Transaction.find({ userId: req.userId }).sort({ date: -1 });
-    res.json(transactions);
+    const { filter, error } = buildTransactionFilter(req.userId, req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const position = typeof req.query.cursor === 'string' ? decodeCursor(req.query.cursor) : null;
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      pageFilter = applyCursor(filter, position);
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const [rows, summary] = await Promise.all([
+      Transaction.find(pageFilter).sort({ date: -1, _id: -1 }).limit(limit + 1),
+      Transaction.aggregate([
+        { $match: filter },
+        { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: baseAmountExpression() } } }
+      ])
+    ]);
+
+    const hasMore = rows.length > limit;
+    const transactions = hasMore ? rows.slice(0, limit) : rows;
+    const byType = (type) => summary.find(s => s._id === type) || { count: 0, amount: 0 };
+
+    res.json({
+      transactions,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1]) : null
+      },
+      totals: {
+        count: byType('income').count + byType('expense').count + byType('transfer').count,
+        incomeCount: byType('income').count,
+        expenseCount: byType('expense').count,
+        transferCount: byType('transfer').count,
+        income: byType('income').amount,
+        expense: byType('expense').amount
+      }
+    });
   } catch (error) {
     console.error('Error fetching transactions:', error);
     res.status(500).json({ message: 'Failed to fetch transactions' });
@@ -58,19 +248,37 @@ router.get('/', auth, async (req, res) => {
  *               amount:
  *                 type: number
  *                 minimum: 0.01
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code of the amount (defaults to the base currency)
  *               type:
  *                 type: string
- *                 enum: [income, expense]
+ *                 enum: [income, expense, transfer]
  *               categoryId:
  *                 type: string
+ *               accountId:
+ *                 type: string
+ *                 description: Account the money moves in or out of (source account for transfers)
+ *               toAccountId:
+ *                 type: string
+ *                 description: Destination account, required for transfers
  *               date:
  *                 type: string
  *                 format: date
  *               description:
  *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               splits:
+ *                 type: array
+ *                 description: Split the transaction across categories; line amounts must add up to the amount
+ *                 items:
+ *                   $ref: '#/components/schemas/TransactionSplit'
  *     responses:
  *       201:
- *         description: Transaction created successfully
+ *         description: Transaction created successfully (categorization rules fill in categoryId when omitted)
  *         content:
  *           application/json:
  *             schema:
@@ -82,22 +290,33 @@ router.get('/', auth, async (req, res) => {
  */
 router.post('/', auth, async (req, res) => {
   try {
-    const { title, amount, type, categoryId } = req.body;
+    const fields = pickEditable(req.body);
+    const { type } = fields;
     
-    if (!title || !amount || !type) {
-      return res.status(400).json({ message: 'Title, amount, and type are required' });
+    const validationError = validateTransaction(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (fields.tags) {
+      fields.tags = normalizeTags(fields.tags);
     }
     
-    if (amount <= 0) {
-      return res.status(400).json({ message: 'Amount must be greater than 0' });
+    if (!(await accountService.verifyOwnership(req.userId, [fields.accountId, fields.toAccountId]))) {
+      return res.status(400).json({ message: 'Account not found' });
     }
     
-    if (!['income', 'expense'].includes(type)) {
-      return res.status(400).json({ message: 'Type must be either income or expense' });
+    // Fill in category and tags from the user's rules when no category was given
+    const data = await categorizationRuleService.categorize(req.userId, { ...fields, userId: req.userId });
+    
+    const user = await User.findById(req.userId).select('monthlyBudget.currency');
+    const rateError = await exchangeRateService.applyRate(data, getBaseCurrency(user));
+    if (rateError) {
+      return res.status(400).json({ message: rateError });
     }
     
-    const transaction = new Transaction({ ...req.body, userId: req.userId });
+    const transaction = new Transaction(data);
     await transaction.save();
+    await auditService.record({ userId: req.userId, actorId: req.userId, entityType: 'transaction', after: transaction });
     
     // Check budget after creating expense transaction
     if (type === 'expense') {
@@ -110,6 +329,12 @@ router.post('/', auth, async (req, res) => {
       }
     }
     
+    try {
+      await transactionAlertService.checkTransaction(req.userId, transaction);
+    } catch (alertError) {
+      console.error('❌ Error checking transaction alert rules:', alertError);
+    }
+    
     res.status(201).json(transaction);
   } catch (error) {
     console.error('Error creating transaction:', error);
@@ -122,6 +347,7 @@ router.post('/', auth, async (req, res) => {
  * /api/transactions/{id}:
  *   put:
  *     summary: Update a transaction
+ *     description: Only the fields below can be changed; use the trash and restore endpoints to delete or restore.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -143,16 +369,34 @@ router.post('/', auth, async (req, res) => {
  *                 type: string
  *               amount:
  *                 type: number
+ *               currency:
+ *                 type: string
  *               type:
  *                 type: string
- *                 enum: [income, expense]
+ *                 enum: [income, expense, transfer]
  *               categoryId:
  *                 type: string
+ *               accountId:
+ *                 type: string
+ *                 description: Account the money moves in or out of (source account for transfers)
+ *               toAccountId:
+ *                 type: string
+ *                 description: Destination account, required for transfers
  *               date:
  *                 type: string
  *                 format: date
  *               description:
  *                 type: string
+ *               tags:
+ *                 type: array
+ *                 description: Replace the tags
+ *                 items:
+ *                   type: string
+ *               splits:
+ *                 type: array
+ *                 description: Replace the split lines (an empty array removes the split)
+ *                 items:
+ *                   $ref: '#/components/schemas/TransactionSplit'
  *     responses:
  *       200:
  *         description: Transaction updated successfully
@@ -169,16 +413,86 @@ router.post('/', auth, async (req, res) => {
  */
 router.put('/:id', auth, async (req, res) => {
   try {
+    // Anything else (userId, deletedAt, exchangeRate, duplicateOf, ...) is never taken from the client;
+    // trashing and restoring go through their own endpoints
+    const updates = pickEditable(req.body);
+    
+    if (updates.title !== undefined && !(typeof updates.title === 'string' && updates.title.trim())) {
+      return res.status(400).json({ message: 'Title cannot be empty' });
+    }
+    if (updates.amount !== undefined && !(typeof updates.amount === 'number' && updates.amount > 0)) {
+      return res.status(400).json({ message: 'Amount must be greater than 0' });
+    }
+    
+    if (updates.tags !== undefined) {
+      const tagError = validateTags(updates.tags);
+      if (tagError) {
+        return res.status(400).json({ message: tagError });
+      }
+      updates.tags = normalizeTags(updates.tags);
+    }
+    
+    // Kept as the "before" side of the audit entry
+    const existing = await Transaction.findOne({ _id: req.params.id, userId: req.userId });
+    if (!existing) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    if (updates.currency !== undefined || updates.date !== undefined) {
+      if (updates.currency !== undefined && !isCurrencyCode(String(updates.currency).trim().toUpperCase())) {
+        return res.status(400).json({ message: 'Currency must be a 3-letter ISO code such as EUR' });
+      }
+      if (updates.date !== undefined && isNaN(new Date(updates.date).getTime())) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+      
+      // The rate into the base currency is always derived from the currency and date
+      const user = await User.findById(req.userId).select('monthlyBudget.currency');
+      const rated = { currency: updates.currency || existing.currency, date: updates.date || existing.date };
+      const rateError = await exchangeRateService.applyRate(rated, getBaseCurrency(user));
+      if (rateError) {
+        return res.status(400).json({ message: rateError });
+      }
+      updates.currency = rated.currency;
+      updates.exchangeRate = rated.exchangeRate;
+    }
+    
+    // Splits and transfer accounts must stay consistent with the rest of the transaction
+    if (['splits', 'amount', 'type', 'accountId', 'toAccountId'].some(field => updates[field] !== undefined)) {
+      const merged = { ...existing.toObject(), ...updates };
+      
+      if (!['income', 'expense', 'transfer'].includes(merged.type)) {
+        return res.status(400).json({ message: 'Type must be income, expense or transfer' });
+      }
+      
+      const splitError = validateSplits(merged.splits, merged.amount) || validateTransfer(merged);
+      if (splitError) {
+        return res.status(400).json({ message: splitError });
+      }
+      
+      if (!(await accountService.verifyOwnership(req.userId, [updates.accountId, updates.toAccountId]))) {
+        return res.status(400).json({ message: 'Account not found' });
+      }
+    }
+    
     const transaction = await Transaction.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
-      req.body,
-      { new: true }
+      updates,
+      { new: true, runValidators: true }
     );
     
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
+    await auditService.record({
+      userId: req.userId,
+      actorId: req.userId,
+      entityType: 'transaction',
+      before: existing,
+      after: transaction
+    });
+    
     // Check budget after updating expense transaction
     if (transaction.type === 'expense') {
       try {
@@ -190,12 +504,21 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
     
+    try {
+      await transactionAlertService.checkTransaction(req.userId, transaction);
+    } catch (alertError) {
+      console.error('❌ Error checking transaction alert rules:', alertError);
+    }
+    
     res.json(transaction);
   } catch (error) {
     console.error('Error updating transaction:', error);
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid transaction ID' });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to update transaction' });
   }
 });
@@ -204,7 +527,11 @@ router.put('/:id', auth, async (req, res) => {
  * @swagger
  * /api/transactions/{id}:
  *   delete:
- *     summary: Delete a transaction
+ *     summary: Move a transaction to the trash
+ *     description: |
+ *       Trashed transactions no longer count anywhere and can be restored until they are purged after
+ *       TRASH_RETENTION_DAYS (30 by default), together with their attachments. Goal contributions and debt
+ *       payments linked to the transaction stop counting until it is restored and are removed when it is purged.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -225,13 +552,13 @@ router.put('/:id', auth, async (req, res) => {
  */
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    const transaction = await trashService.moveToTrash('transaction', req.userId, req.params.id);
     
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
     }
     
-    res.json({ message: 'Transaction deleted successfully' });
+    res.json({ message: 'Transaction moved to trash', deletedAt: transaction.deletedAt });
   } catch (error) {
     console.error('Error deleting transaction:', error);
     if (error.name === 'CastError') {
@@ -241,11 +568,316 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/transactions/trash:
+ *   get:
+ *     summary: Get the transactions in the trash
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trashed transactions, most recently deleted first, with the date each will be purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionDays:
+ *                   type: integer
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Transaction'
+ *                       - type: object
+ *                         properties:
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const transactions = await trashService.list('transaction', req.userId);
+    res.json({ retentionDays: trashService.getRetentionDays(), transactions });
+  } catch (error) {
+    console.error('Error fetching trashed transactions:', error);
+    res.status(500).json({ message: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/restore:
+ *   post:
+ *     summary: Restore a transaction from the trash
+ *     description: Linked goal contributions and debt payments count again.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Transaction restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Transaction'
+ *       404:
+ *         description: Transaction not found in the trash
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const transaction = await trashService.restore('transaction', req.userId, req.params.id);
+    
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found in trash' });
+    }
+    
+    if (transaction.type === 'expense') {
+      try {
+        await budgetAlertService.checkAndSendBudgetAlert(req.userId);
+      } catch (budgetError) {
+        console.error('❌ Error checking budget after transaction restore:', budgetError);
+      }
+    }
+    
+    res.json(transaction);
+  } catch (error) {
+    console.error('Error restoring transaction:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to restore transaction' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/{id}/history:
+ *   get:
+ *     summary: Get the change history of a transaction
+ *     description: |
+ *       Every create, update and delete with the changed fields before and after, who made the change and its
+ *       source (api, import or recurring). The history stays available after the transaction is deleted.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Audit entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLog'
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const history = await auditService.getHistory(req.userId, 'transaction', req.params.id);
+    
+    // Transactions from before the audit trail existed have an empty history
+    if (history.length === 0 && !(await Transaction.exists({ _id: req.params.id, userId: req.userId }))) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching transaction history:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch transaction history' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/duplicates:
+ *   get:
+ *     summary: Find likely duplicate transactions
+ *     description: Groups transactions with the same type and amount, dates within a few days of each other and similar titles.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the range to scan (defaults to 90 days before endDate)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the range to scan (defaults to now)
+ *       - in: query
+ *         name: windowDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 30
+ *           default: 3
+ *         description: Maximum number of days between two duplicates
+ *       - in: query
+ *         name: minSimilarity
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.6
+ *         description: Minimum title similarity (0-1)
+ *     responses:
+ *       200:
+ *         description: Groups of likely duplicates, each with a suggested transaction to keep
+ *       400:
+ *         description: Invalid parameters
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/duplicates', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, windowDays, minSimilarity } = req.query;
+    const options = {};
+
+    if (startDate) {
+      options.startDate = new Date(startDate);
+      if (isNaN(options.startDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid startDate' });
+      }
+    }
+    if (endDate) {
+      options.endDate = new Date(endDate);
+      if (isNaN(options.endDate.getTime())) {
+        return res.status(400).json({ message: 'Invalid endDate' });
+      }
+    }
+    if (windowDays !== undefined) {
+      options.windowDays = parseInt(windowDays, 10);
+      if (isNaN(options.windowDays) || options.windowDays < 0 || options.windowDays > 30) {
+        return res.status(400).json({ message: 'windowDays must be between 0 and 30' });
+      }
+    }
+    if (minSimilarity !== undefined) {
+      options.minSimilarity = parseFloat(minSimilarity);
+      if (isNaN(options.minSimilarity) || options.minSimilarity < 0 || options.minSimilarity > 1) {
+        return res.status(400).json({ message: 'minSimilarity must be between 0 and 1' });
+      }
+    }
+
+    const groups = await duplicateDetectionService.findDuplicates(req.userId, options);
+    res.json({ groupCount: groups.length, groups });
+  } catch (error) {
+    console.error('Error finding duplicate transactions:', error);
+    res.status(500).json({ message: 'Failed to find duplicate transactions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/duplicates/merge:
+ *   post:
+ *     summary: Merge duplicate transactions into one
+ *     description: Keeps one transaction (filling in a missing category or description from the others) and moves the duplicates to the trash (their attachments go to the kept one), or links them to the kept one so they stop counting towards totals.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keepId
+ *               - duplicateIds
+ *             properties:
+ *               keepId:
+ *                 type: string
+ *               duplicateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [delete, link]
+ *                 default: delete
+ *     responses:
+ *       200:
+ *         description: Duplicates merged successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/duplicates/merge', auth, async (req, res) => {
+  try {
+    const { keepId, duplicateIds, mode = 'delete' } = req.body;
+
+    if (!keepId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ message: 'keepId and a non-empty duplicateIds array are required' });
+    }
+
+    if (!['delete', 'link'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be either delete or link' });
+    }
+
+    const result = await duplicateDetectionService.mergeDuplicates(req.userId, keepId, duplicateIds, mode);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Duplicates merged successfully',
+      transaction: result.kept,
+      merged: result.merged,
+      mode: result.mode
+    });
+  } catch (error) {
+    console.error('Error merging duplicate transactions:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid transaction ID' });
+    }
+    res.status(500).json({ message: 'Failed to merge duplicate transactions' });
+  }
+});
+
 /**
  * @swagger
  * /api/transactions/export:
  *   get:
- *     summary: Export all transactions for the authenticated user in Excel or PDF format, grouped by year and month
+ *     summary: Export transactions for the authenticated user in Excel or PDF format, grouped by year and month
+ *     description: |
+ *       Each amount is shown in its own currency and converted into the base currency at the rate for its date.
+ *       Accepts the same filters as GET /api/transactions (startDate, endDate, type, categoryId, accountId, tags,
+ *       tagMode, minAmount, maxAmount, search); without filters every transaction is exported.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -257,6 +889,17 @@ router.delete('/:id', auth, async (req, res) => {
  *           type: string
  *           enum: [excel, pdf]
  *         description: Export file type
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags to export
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
  *     responses:
  *       200:
  *         description: File exported successfully
@@ -270,7 +913,7 @@ router.delete('/:id', auth, async (req, res) => {
  *               type: string
  *               format: binary
  *       400:
- *         description: Invalid file type
+ *         description: Invalid file type or filter
  *       500:
  *         description: Internal server error
  */
@@ -282,8 +925,18 @@ router.get('/export', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid file type. Must be excel or pdf' });
     }
 
-    // Get all transactions for the user
-    const transactions = await Transaction.find({ userId: req.userId }).populate('categoryId', 'name').sort({ date: -1 });
+    // Amounts are listed in their own currency and converted into the base currency
+    const user = await User.findById(req.userId).select('monthlyBudget.currency');
+    const baseCurrency = getBaseCurrency(user);
+
+    const { filter, error } = buildTransactionFilter(req.userId, req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const transactions = await Transaction.find(filter).populate('categoryId', 'name')
+      .populate('splits.categoryId', 'name')
+      .sort({ date: -1 });
 
     if (fileType === 'excel') {
       const ExcelJS = require('exceljs');
@@ -315,8 +968,11 @@ router.get('/export', auth, async (req, res) => {
             { header: 'Date', key: 'date', width: 15 },
             { header: 'Title', key: 'title', width: 30 },
             { header: 'Amount', key: 'amount', width: 15 },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: `Amount (${baseCurrency})`, key: 'baseAmount', width: 15 },
             { header: 'Type', key: 'type', width: 10 },
             { header: 'Category', key: 'category', width: 20 },
+            { header: 'Tags', key: 'tags', width: 20 },
             { header: 'Description', key: 'description', width: 30 }
           ];
 
@@ -334,8 +990,11 @@ router.get('/export', auth, async (req, res) => {
               date: new Date(transaction.date).toLocaleDateString(),
               title: transaction.title,
               amount: transaction.amount,
+              currency: transaction.currency || baseCurrency,
+              baseAmount: Math.round(toBaseAmount(transaction) * 100) / 100,
               type: transaction.type,
-              category: transaction.categoryId ? transaction.categoryId.name : 'No Category',
+              category: describeCategories(transaction),
+              tags: (transaction.tags || []).join(', '),
               description: transaction.description || ''
             });
           });
@@ -394,8 +1053,10 @@ router.get('/export', auth, async (req, res) => {
                 <th>Date</th>
                 <th>Title</th>
                 <th>Amount</th>
+                <th>Amount (${baseCurrency})</th>
                 <th>Type</th>
                 <th>Category</th>
+                <th>Tags</th>
                 <th>Description</th>
               </tr>
             </thead>
@@ -407,9 +1068,11 @@ router.get('/export', auth, async (req, res) => {
             <tr>
               <td>${new Date(transaction.date).toLocaleDateString()}</td>
               <td>${transaction.title}</td>
-              <td class="${transaction.type}">${transaction.amount}</td>
+              <td class="${transaction.type}">${formatMoney(transaction.amount, transaction.currency || baseCurrency)}</td>
+              <td class="${transaction.type}">${formatMoney(toBaseAmount(transaction), baseCurrency)}</td>
               <td>${transaction.type}</td>
-              <td>${transaction.categoryId ? 'Category ID: ' + transaction.categoryId : 'No Category'}</td>
+              <td>${describeCategories(transaction)}</td>
+              <td>${(transaction.tags || []).join(', ')}</td>
               <td>${transaction.description || ''}</td>
             </tr>
           `;
@@ -1,11 +1,81 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Category = require('../models/Category');
 const auth = require('../middleware/auth');
 const budgetTrackingService = require('../services/budgetTrackingService');
 const budgetAlertService = require('../services/budgetAlertService');
+const exchangeRateService = require('../services/exchangeRateService');
+const auditService = require('../services/auditService');
+const { isCurrencyCode, getBaseCurrency } = require('../utils/currency');
+const { validatePeriod } = require('../utils/budgetPeriods');
+const {
+  fromLegacyThresholds,
+  resolveThresholds,
+  validateThresholds,
+  normalizeThresholds
+} = require('../utils/budgetThresholds');
 const router = express.Router();
 
+// Resolves alert thresholds from a request body against the current budget; returns { thresholds } or { error }.
+// Takes either a threshold list or the older { warning, critical } pair, which replaces the list with those two.
+// A null value counts as not given, so the current thresholds are kept
+const resolveThresholdsInput = (body, current) => {
+  const { thresholds, alertThresholds } = body;
+  if (thresholds != null) {
+    const error = validateThresholds(thresholds);
+    return error ? { error } : { thresholds: normalizeThresholds(thresholds) };
+  }
+  if (alertThresholds == null) {
+    return { thresholds: null };
+  }
+  if (typeof alertThresholds !== 'object' || Array.isArray(alertThresholds)) {
+    return { error: 'Alert thresholds must be an object with warning and critical percentages' };
+  }
+
+  const currentOf = (severity) => resolveThresholds(current).find(t => t.severity === severity)?.percentage;
+  const warning = alertThresholds.warning ?? currentOf('warning') ?? 80;
+  const critical = alertThresholds.critical ?? currentOf('critical') ?? 95;
+  if (typeof warning !== 'number' || warning < 0 || warning > 100) {
+    return { error: 'Warning threshold must be between 0 and 100' };
+  }
+  if (typeof critical !== 'number' || critical < 0 || critical > 100) {
+    return { error: 'Critical threshold must be between 0 and 100' };
+  }
+  if (warning >= critical) {
+    return { error: 'Warning threshold must be less than critical threshold' };
+  }
+  return { thresholds: fromLegacyThresholds({ warning, critical }) };
+};
+
+// Resolves rollover settings from a request body against the current ones; returns { rollover } or { error }
+const resolveRollover = (body, current = {}) => {
+  const { rollover, rolloverSince } = body;
+  if (rollover === undefined && rolloverSince === undefined) {
+    return { rollover: null };
+  }
+  if (rollover !== undefined && typeof rollover !== 'boolean') {
+    return { error: 'Rollover must be true or false' };
+  }
+
+  const enabled = rollover !== undefined ? rollover : !!current.enabled;
+  let since = current.since;
+  if (rolloverSince !== undefined) {
+    since = new Date(rolloverSince);
+    if (isNaN(since.getTime())) {
+      return { error: 'Invalid rolloverSince date' };
+    }
+    if (since > new Date()) {
+      return { error: 'rolloverSince cannot be in the future' };
+    }
+  } else if (enabled && !current.enabled) {
+    // Carryover starts fresh from the current period when switched on
+    since = new Date();
+  }
+
+  return { rollover: { enabled, since } };
+};
+
 /**
  * @swagger
  * /api/users/profile:
@@ -199,8 +269,10 @@ router.put('/change-password', auth, async (req, res) => {
  *                       type: number
  *                     currency:
  *                       type: string
- *                     alertThresholds:
- *                       type: object
+ *                     thresholds:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BudgetThreshold'
  *       404:
  *         description: User not found
  *       500:
@@ -219,6 +291,31 @@ router.get('/budget', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BudgetThreshold:
+ *       type: object
+ *       required:
+ *         - percentage
+ *       properties:
+ *         percentage:
+ *           type: number
+ *           description: Percentage of the budget that triggers the alert; may exceed 100
+ *         severity:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *           default: warning
+ *         channel:
+ *           type: string
+ *           enum: [email, in-app, both]
+ *           default: both
+ *         message:
+ *           type: string
+ *           description: Replaces the default alert text
+ */
+
 /**
  * @swagger
  * /api/users/budget:
@@ -239,8 +336,18 @@ router.get('/budget', auth, async (req, res) => {
  *                 minimum: 0
  *               currency:
  *                 type: string
+ *                 description: |
+ *                   Base currency (ISO 4217) that budgets, reports and exports use. Changing it re-rates every
+ *                   transaction into the new currency
+ *               thresholds:
+ *                 type: array
+ *                 description: Alert milestones, e.g. 50%, 75%, 90%, 100% and 120%; replaces the current list
+ *                 items:
+ *                   $ref: '#/components/schemas/BudgetThreshold'
  *               alertThresholds:
  *                 type: object
+ *                 deprecated: true
+ *                 description: Older two-level form; replaces the list with a warning and a critical threshold
  *                 properties:
  *                   warning:
  *                     type: number
@@ -250,6 +357,31 @@ router.get('/budget', auth, async (req, res) => {
  *                     type: number
  *                     minimum: 0
  *                     maximum: 100
+ *               rollover:
+ *                 type: boolean
+ *                 description: Carry unspent budget (or overspend) into the next period
+ *               realertEvery:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Alert again for every additional X percentage points past a threshold within a period (0 alerts once per period)
+ *               rolloverSince:
+ *                 type: string
+ *                 format: date
+ *                 description: First period counted for carryover (defaults to the period rollover is enabled in)
+ *               period:
+ *                 type: object
+ *                 description: Budget window; defaults to calendar months
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, biweekly, monthly, quarterly]
+ *                   startDay:
+ *                     type: number
+ *                     description: Weekday (0 = Sunday) for weekly periods, day of month (1-31) for monthly ones
+ *                   anchorDate:
+ *                     type: string
+ *                     format: date
+ *                     description: A pay date; required for bi-weekly periods
  *     responses:
  *       200:
  *         description: Updated budget
@@ -262,31 +394,72 @@ router.get('/budget', auth, async (req, res) => {
  */
 router.put('/budget', auth, async (req, res) => {
   try {
-    const { amount, currency, alertThresholds } = req.body;
+    const { amount, currency } = req.body;
     
     if (amount !== undefined && amount < 0) {
       return res.status(400).json({ message: 'Budget amount cannot be negative' });
     }
     
-    if (alertThresholds) {
-      const { warning, critical } = alertThresholds;
-      if (warning && (warning < 0 || warning > 100)) {
-        return res.status(400).json({ message: 'Warning threshold must be between 0 and 100' });
+    const updateData = {};
+    if (amount !== undefined) updateData['monthlyBudget.amount'] = amount;
+    
+    let previousCurrency = null;
+    if (currency) {
+      const code = String(currency).trim().toUpperCase();
+      if (!isCurrencyCode(code)) {
+        return res.status(400).json({ message: 'Currency must be a 3-letter ISO code such as EUR' });
       }
-      if (critical && (critical < 0 || critical > 100)) {
-        return res.status(400).json({ message: 'Critical threshold must be between 0 and 100' });
+      const current = await User.findById(req.userId).select('monthlyBudget.currency');
+      if (!current) {
+        return res.status(404).json({ message: 'User not found' });
       }
-      if (warning && critical && warning >= critical) {
-        return res.status(400).json({ message: 'Warning threshold must be less than critical threshold' });
+      if (getBaseCurrency(current) !== code) previousCurrency = getBaseCurrency(current);
+      updateData['monthlyBudget.currency'] = code;
+    }
+    
+    if (req.body.thresholds != null || req.body.alertThresholds != null) {
+      const current = await User.findById(req.userId).select('monthlyBudget.thresholds');
+      if (!current) {
+        return res.status(404).json({ message: 'User not found' });
       }
+      const { thresholds, error } = resolveThresholdsInput(req.body, current.monthlyBudget);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      updateData['monthlyBudget.thresholds'] = thresholds;
     }
     
-    const updateData = {};
-    if (amount !== undefined) updateData['monthlyBudget.amount'] = amount;
-    if (currency) updateData['monthlyBudget.currency'] = currency;
-    if (alertThresholds) {
-      if (alertThresholds.warning !== undefined) updateData['monthlyBudget.alertThresholds.warning'] = alertThresholds.warning;
-      if (alertThresholds.critical !== undefined) updateData['monthlyBudget.alertThresholds.critical'] = alertThresholds.critical;
+    if (req.body.period !== undefined) {
+      const periodError = validatePeriod(req.body.period);
+      if (periodError) {
+        return res.status(400).json({ message: periodError });
+      }
+      const { frequency, startDay, anchorDate } = req.body.period;
+      updateData['monthlyBudget.period'] = { frequency, startDay, anchorDate };
+    }
+    
+    if (req.body.realertEvery !== undefined) {
+      if (typeof req.body.realertEvery !== 'number' || req.body.realertEvery < 0) {
+        return res.status(400).json({ message: 'realertEvery must be a non-negative number' });
+      }
+      updateData['monthlyBudget.realertEvery'] = req.body.realertEvery;
+    }
+    
+    if (req.body.rollover !== undefined || req.body.rolloverSince !== undefined) {
+      const current = await User.findById(req.userId).select('monthlyBudget.rollover');
+      if (!current) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const { rollover, error } = resolveRollover(req.body, current.monthlyBudget?.rollover);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      updateData['monthlyBudget.rollover'] = rollover;
+    }
+    
+    const previous = await User.findById(req.userId).select('monthlyBudget');
+    if (!previous) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
     const user = await User.findByIdAndUpdate(
@@ -299,9 +472,24 @@ router.put('/budget', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    await auditService.record({
+      userId: req.userId,
+      actorId: req.userId,
+      entityType: 'budget',
+      entityId: req.userId,
+      before: previous.toObject().monthlyBudget,
+      after: user.toObject().monthlyBudget
+    });
+    
+    // Existing transactions are converted into the new base currency
+    const rerated = previousCurrency
+      ? await exchangeRateService.refreshTransactionRates(req.userId, { previousCurrency })
+      : undefined;
+    
     res.json({ 
       message: 'Budget updated successfully', 
-      monthlyBudget: user.monthlyBudget 
+      monthlyBudget: user.monthlyBudget,
+      rerated
     });
   } catch (error) {
     console.error('Error updating budget:', error);
@@ -309,11 +497,270 @@ router.put('/budget', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/budget/categories:
+ *   get:
+ *     summary: Get per-category budgets with spending in their current period
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category budgets with budget vs actual and alert level
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/budget/categories', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('categoryBudgets');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const categoryBudgets = await budgetTrackingService.checkCategoryBudgets(user);
+    res.json({ categoryBudgets });
+  } catch (error) {
+    console.error('Error fetching category budgets:', error);
+    res.status(500).json({ message: 'Failed to fetch category budgets' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/budget/categories/{categoryId}:
+ *   put:
+ *     summary: Set or update the budget of an expense category
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0
+ *               thresholds:
+ *                 type: array
+ *                 description: Alert milestones, e.g. 50%, 75%, 90%, 100% and 120%; replaces the current list
+ *                 items:
+ *                   $ref: '#/components/schemas/BudgetThreshold'
+ *               alertThresholds:
+ *                 type: object
+ *                 deprecated: true
+ *                 description: Older two-level form; replaces the list with a warning and a critical threshold
+ *                 properties:
+ *                   warning:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 100
+ *                   critical:
+ *                     type: number
+ *                     minimum: 0
+ *                     maximum: 100
+ *               rollover:
+ *                 type: boolean
+ *                 description: Carry the category's unspent amount (or overspend) into the next period
+ *               realertEvery:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Alert again for every additional X percentage points past a threshold within a period (0 alerts once per period)
+ *               rolloverSince:
+ *                 type: string
+ *                 format: date
+ *               period:
+ *                 type: object
+ *                 description: Budget window; defaults to calendar months
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, biweekly, monthly, quarterly]
+ *                   startDay:
+ *                     type: number
+ *                     description: Weekday (0 = Sunday) for weekly periods, day of month (1-31) for monthly ones
+ *                   anchorDate:
+ *                     type: string
+ *                     format: date
+ *                     description: A pay date; required for bi-weekly periods
+ *     responses:
+ *       200:
+ *         description: Updated category budgets
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: User or category not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/budget/categories/:categoryId', auth, async (req, res) => {
+  try {
+    const { amount } = req.body;
+    
+    if (amount === undefined || isNaN(Number(amount))) {
+      return res.status(400).json({ message: 'Budget amount is required' });
+    }
+    if (amount < 0) {
+      return res.status(400).json({ message: 'Budget amount cannot be negative' });
+    }
+    
+    const user = await User.findById(req.userId).select('categoryBudgets');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const category = await Category.findOne({ _id: req.params.categoryId, userId: req.userId });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (category.type !== 'expense') {
+      return res.status(400).json({ message: 'Budgets can only be set on expense categories' });
+    }
+    
+    const existing = user.categoryBudgets.find(b => b.categoryId.toString() === category._id.toString());
+    const { thresholds, error: thresholdError } = resolveThresholdsInput(req.body, existing);
+    if (thresholdError) {
+      return res.status(400).json({ message: thresholdError });
+    }
+    
+    const { rollover, error } = resolveRollover(req.body, existing?.rollover);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    let period = null;
+    if (req.body.period !== undefined) {
+      const periodError = validatePeriod(req.body.period);
+      if (periodError) {
+        return res.status(400).json({ message: periodError });
+      }
+      const { frequency, startDay, anchorDate } = req.body.period;
+      period = { frequency, startDay, anchorDate };
+    }
+    
+    const { realertEvery } = req.body;
+    if (realertEvery !== undefined && (typeof realertEvery !== 'number' || realertEvery < 0)) {
+      return res.status(400).json({ message: 'realertEvery must be a non-negative number' });
+    }
+    
+    const before = existing ? existing.toObject() : null;
+    if (existing) {
+      existing.amount = Number(amount);
+      if (thresholds) existing.thresholds = thresholds;
+      if (rollover) existing.rollover = rollover;
+      if (period) existing.period = period;
+      if (realertEvery !== undefined) existing.realertEvery = realertEvery;
+    } else {
+      user.categoryBudgets.push({
+        categoryId: category._id,
+        amount: Number(amount),
+        ...(thresholds ? { thresholds } : {}),
+        ...(rollover ? { rollover } : {}),
+        ...(period ? { period } : {}),
+        ...(realertEvery !== undefined ? { realertEvery } : {})
+      });
+    }
+    await user.save();
+    
+    await auditService.record({
+      userId: req.userId,
+      actorId: req.userId,
+      entityType: 'categoryBudget',
+      entityId: category._id,
+      before,
+      after: user.categoryBudgets.find(b => b.categoryId.toString() === category._id.toString())
+    });
+    
+    res.json({
+      message: 'Category budget updated successfully',
+      categoryBudgets: await budgetTrackingService.checkCategoryBudgets(user)
+    });
+  } catch (error) {
+    console.error('Error updating category budget:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Failed to update category budget' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/budget/categories/{categoryId}:
+ *   delete:
+ *     summary: Remove the budget of a category
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category budget removed
+ *       404:
+ *         description: Category budget not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/budget/categories/:categoryId', auth, async (req, res) => {
+  try {
+    // Returns the budgets as they were, for the audit entry
+    const previous = await User.findOneAndUpdate(
+      { _id: req.userId, 'categoryBudgets.categoryId': req.params.categoryId },
+      { $pull: { categoryBudgets: { categoryId: req.params.categoryId } } }
+    ).select('categoryBudgets');
+    
+    if (!previous) {
+      return res.status(404).json({ message: 'Category budget not found' });
+    }
+    
+    await auditService.record({
+      userId: req.userId,
+      actorId: req.userId,
+      entityType: 'categoryBudget',
+      entityId: req.params.categoryId,
+      before: previous.categoryBudgets.find(b => b.categoryId.toString() === req.params.categoryId)
+    });
+    
+    res.json({ message: 'Category budget removed successfully' });
+  } catch (error) {
+    console.error('Error removing category budget:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Failed to remove category budget' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/budget/overview:
  *   get:
  *     summary: Get comprehensive budget overview
+ *     description: |
+ *       Includes budget vs actual per category and, for budgets with rollover enabled, the amount carried
+ *       into the current period plus a period-by-period history of carried amounts (rolloverHistory).
+ *       The forecast projects end-of-period spending from the pace so far, the historical daily average
+ *       and known recurring expenses, with the day the budget is expected to be exceeded.
+ *       Spending in a category that is now in the trash is listed as "Deleted category" with categoryInTrash set.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -359,6 +806,66 @@ router.get('/budget/alerts', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/budget/alerts/history:
+ *   get:
+ *     summary: Get every budget alert sent to the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *         description: Only alerts for this category budget
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only alerts sent before this time (for paging)
+ *     responses:
+ *       200:
+ *         description: Alerts with period, threshold, step and amounts, newest first
+ *       400:
+ *         description: Bad request
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/budget/alerts/history', auth, async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    let before = null;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'Invalid before date' });
+      }
+    }
+    
+    const alerts = await budgetTrackingService.getAlertHistory(req.userId, {
+      limit,
+      categoryId: req.query.categoryId || null,
+      before
+    });
+    res.json(alerts);
+  } catch (error) {
+    console.error('Error fetching budget alert history:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Failed to fetch budget alert history' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/budget/check-alerts:
@@ -410,7 +917,7 @@ router.post('/budget/check-all-alerts', auth, async (req, res) => {
       return res.status(403).json({ message: 'Admin access required' });
     }
     
-    const results = await budgetAlertService.checkAllUserBudgets();
+    const results = await budgetAlertService.checkAllUserBudgets({ trigger: 'manual' });
     res.json({
       message: 'Bulk budget alert check completed',
       results
@@ -421,4 +928,43 @@ router.post('/budget/check-all-alerts', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/budget/alert-runs:
+ *   get:
+ *     summary: Get recent budget alert sweep runs (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Sweep runs with counts of alerts sent and errors, newest first
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/budget/alert-runs', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const runs = await budgetAlertService.getRecentSweepRuns(limit);
+    res.json(runs);
+  } catch (error) {
+    console.error('Error fetching alert sweep runs:', error);
+    res.status(500).json({ message: 'Failed to fetch alert sweep runs' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const cron = require('node-cron');
+const anomalyDetectionService = require('../services/anomalyDetectionService');
+
+// Mondays at 9:00 AM unless ANOMALY_ALERT_CRON says otherwise
+const DEFAULT_SCHEDULE = '0 9 * * 1';
+
+// Schedule the weekly spending anomaly notifications for users who opted in (settings.anomalyAlerts)
+const scheduleAnomalyAlerts = () => {
+  let schedule = process.env.ANOMALY_ALERT_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid ANOMALY_ALERT_CRON "${schedule}", falling back to "${DEFAULT_SCHEDULE}"`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+
+  cron.schedule(schedule, async () => {
+    console.log('🔎 Running weekly spending anomaly check...');
+    try {
+      await anomalyDetectionService.sendWeeklyAnomalyNotifications();
+    } catch (error) {
+      console.error('❌ Error sending spending anomaly notifications:', error);
+    }
+  });
+
+  console.log(`📅 Anomaly alert scheduler initialized - runs on "${schedule}"`);
+};
+
+// Manual trigger for testing
+const triggerAnomalyAlerts = async () => {
+  console.log('🔧 Manually triggering spending anomaly notifications...');
+  try {
+    return await anomalyDetectionService.sendWeeklyAnomalyNotifications();
+  } catch (error) {
+    console.error('❌ Error in manual spending anomaly notifications:', error);
+    return null;
+  }
+};
+
+module.exports = { scheduleAnomalyAlerts, triggerAnomalyAlerts };
@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const budgetAlertService = require('../services/budgetAlertService');
+
+// Daily at 8:00 AM unless BUDGET_ALERT_CRON says otherwise
+const DEFAULT_SCHEDULE = '0 8 * * *';
+
+let sweepInProgress = false;
+
+const runBudgetAlertSweep = async (trigger) => {
+  // A slow sweep must never overlap the next one, or users could be alerted twice
+  if (sweepInProgress) {
+    console.log('⏭️ Budget alert sweep already running, skipping this run');
+    return null;
+  }
+
+  sweepInProgress = true;
+  try {
+    return await budgetAlertService.checkAllUserBudgets({ trigger });
+  } catch (error) {
+    console.error('❌ Error running budget alert sweep:', error);
+    return null;
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+// Schedule the all-users budget alert sweep; BUDGET_ALERT_TIMEZONE optionally pins the schedule to a timezone
+const scheduleBudgetAlerts = () => {
+  let schedule = process.env.BUDGET_ALERT_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid BUDGET_ALERT_CRON "${schedule}", falling back to "${DEFAULT_SCHEDULE}"`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+
+  const options = process.env.BUDGET_ALERT_TIMEZONE ? { timezone: process.env.BUDGET_ALERT_TIMEZONE } : {};
+  cron.schedule(schedule, async () => {
+    console.log('🔔 Running scheduled budget alert sweep...');
+    await runBudgetAlertSweep('scheduled');
+  }, options);
+
+  console.log(`📅 Budget alert scheduler initialized - runs on "${schedule}"`);
+};
+
+// Manual trigger for testing
+const triggerBudgetAlerts = async () => {
+  console.log('🔧 Manually triggering budget alert sweep...');
+  return runBudgetAlertSweep('manual');
+};
+
+module.exports = { scheduleBudgetAlerts, triggerBudgetAlerts };
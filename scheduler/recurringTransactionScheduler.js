@@ -0,0 +1,29 @@
+const cron = require('node-cron');
+const recurringTransactionService = require('../services/recurringTransactionService');
+
+const runRecurringTransactions = async () => {
+  try {
+    await recurringTransactionService.processDueTransactions();
+  } catch (error) {
+    console.error('❌ Error processing recurring transactions:', error);
+  }
+};
+
+// Schedule to run every hour at minute 5, and once at startup to catch up on missed runs
+const scheduleRecurringTransactions = () => {
+  cron.schedule('5 * * * *', async () => {
+    console.log('🔁 Running recurring transaction materialization...');
+    await runRecurringTransactions();
+  });
+
+  console.log('📅 Recurring transaction scheduler initialized - runs every hour at minute 5');
+  runRecurringTransactions();
+};
+
+// Manual trigger for testing
+const triggerRecurringTransactions = async () => {
+  console.log('🔧 Manually triggering recurring transactions...');
+  await runRecurringTransactions();
+};
+
+module.exports = { scheduleRecurringTransactions, triggerRecurringTransactions };
@@ -0,0 +1,38 @@
+const cron = require('node-cron');
+const subscriptionDetectionService = require('../services/subscriptionDetectionService');
+
+// Every day at 6:00 AM unless SUBSCRIPTION_SCAN_CRON says otherwise
+const DEFAULT_SCHEDULE = '0 6 * * *';
+
+// Schedule the subscription scan, which also notifies price increases on confirmed subscriptions
+const scheduleSubscriptionScan = () => {
+  let schedule = process.env.SUBSCRIPTION_SCAN_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid SUBSCRIPTION_SCAN_CRON "${schedule}", falling back to "${DEFAULT_SCHEDULE}"`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+
+  cron.schedule(schedule, async () => {
+    console.log('🔁 Running subscription scan...');
+    try {
+      await subscriptionDetectionService.scanAllUsers();
+    } catch (error) {
+      console.error('❌ Error scanning subscriptions:', error);
+    }
+  });
+
+  console.log(`📅 Subscription scan scheduler initialized - runs on "${schedule}"`);
+};
+
+// Manual trigger for testing
+const triggerSubscriptionScan = async () => {
+  console.log('🔧 Manually triggering subscription scan...');
+  try {
+    return await subscriptionDetectionService.scanAllUsers();
+  } catch (error) {
+    console.error('❌ Error in manual subscription scan:', error);
+    return null;
+  }
+};
+
+module.exports = { scheduleSubscriptionScan, triggerSubscriptionScan };
@@ -0,0 +1,38 @@
+const cron = require('node-cron');
+const trashService = require('../services/trashService');
+
+// Every day at 3:00 AM unless TRASH_PURGE_CRON says otherwise
+const DEFAULT_SCHEDULE = '0 3 * * *';
+
+// Schedule the purge of trashed transactions and categories older than TRASH_RETENTION_DAYS
+const scheduleTrashPurge = () => {
+  let schedule = process.env.TRASH_PURGE_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid TRASH_PURGE_CRON "${schedule}", falling back to "${DEFAULT_SCHEDULE}"`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+
+  cron.schedule(schedule, async () => {
+    console.log('🗑️ Running trash purge...');
+    try {
+      await trashService.purgeExpired();
+    } catch (error) {
+      console.error('❌ Error purging trash:', error);
+    }
+  });
+
+  console.log(`📅 Trash purge scheduler initialized - runs on "${schedule}"`);
+};
+
+// Manual trigger for testing
+const triggerTrashPurge = async () => {
+  console.log('🔧 Manually triggering trash purge...');
+  try {
+    return await trashService.purgeExpired();
+  } catch (error) {
+    console.error('❌ Error in manual trash purge:', error);
+    return null;
+  }
+};
+
+module.exports = { scheduleTrashPurge, triggerTrashPurge };
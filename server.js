@@ -6,6 +6,11 @@ const session = require('express-session');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const { scheduleMonthlyReports } = require('./scheduler/monthlyReportScheduler');
+const { scheduleRecurringTransactions } = require('./scheduler/recurringTransactionScheduler');
+const { scheduleBudgetAlerts } = require('./scheduler/budgetAlertScheduler');
+const { scheduleAnomalyAlerts } = require('./scheduler/anomalyScheduler');
+const { scheduleSubscriptionScan } = require('./scheduler/subscriptionScheduler');
+const { scheduleTrashPurge } = require('./scheduler/trashPurgeScheduler');
 const { connectToDatabase } = require('./utils/db');
 
 const app = express();
@@ -53,13 +58,26 @@ const swaggerDefinition = {
           amount: {
             type: 'number',
           },
+          currency: {
+            type: 'string',
+          },
+          exchangeRate: {
+            type: 'number',
+            description: 'Multiplier into the base currency on the transaction date',
+          },
           type: {
             type: 'string',
-            enum: ['income', 'expense'],
+            enum: ['income', 'expense', 'transfer'],
           },
           categoryId: {
             type: 'string',
           },
+          accountId: {
+            type: 'string',
+          },
+          toAccountId: {
+            type: 'string',
+          },
           date: {
             type: 'string',
             format: 'date',
@@ -67,9 +85,36 @@ const swaggerDefinition = {
           description: {
             type: 'string',
           },
+          tags: {
+            type: 'array',
+            description: 'Free-form labels, stored lowercase',
+            items: {
+              type: 'string',
+            },
+          },
+          splits: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/TransactionSplit',
+            },
+          },
           userId: {
             type: 'string',
           },
+          recurringTransactionId: {
+            type: 'string',
+          },
+          externalId: {
+            type: 'string',
+          },
+          duplicateOf: {
+            type: 'string',
+          },
+          deletedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Set while the transaction is in the trash',
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -80,6 +125,494 @@ const swaggerDefinition = {
           },
         },
       },
+      Account: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          name: {
+            type: 'string',
+          },
+          type: {
+            type: 'string',
+            enum: ['checking', 'savings', 'cash', 'credit_card'],
+          },
+          openingBalance: {
+            type: 'number',
+          },
+          balance: {
+            type: 'number',
+          },
+          transactionCount: {
+            type: 'integer',
+          },
+          color: {
+            type: 'string',
+          },
+          archived: {
+            type: 'boolean',
+          },
+          userId: {
+            type: 'string',
+          },
+        },
+      },
+      Goal: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          name: {
+            type: 'string',
+          },
+          targetAmount: {
+            type: 'number',
+          },
+          deadline: {
+            type: 'string',
+            format: 'date',
+          },
+          accountId: {
+            type: 'string',
+          },
+          contributions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                },
+                amount: {
+                  type: 'number',
+                },
+                date: {
+                  type: 'string',
+                  format: 'date',
+                },
+                source: {
+                  type: 'string',
+                  enum: ['transaction', 'manual'],
+                },
+                transactionId: {
+                  type: 'string',
+                },
+                trashed: {
+                  type: 'boolean',
+                  description: 'The linked transaction is in the trash and does not count until it is restored',
+                },
+                note: {
+                  type: 'string',
+                },
+              },
+            },
+          },
+          milestones: {
+            type: 'array',
+            items: {
+              type: 'number',
+            },
+          },
+          milestonesReached: {
+            type: 'array',
+            items: {
+              type: 'number',
+            },
+          },
+          completedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          archived: {
+            type: 'boolean',
+          },
+          progress: {
+            type: 'object',
+            properties: {
+              savedAmount: {
+                type: 'number',
+              },
+              remaining: {
+                type: 'number',
+              },
+              progressPercentage: {
+                type: 'number',
+              },
+              monthsLeft: {
+                type: 'number',
+              },
+              monthlyAmountNeeded: {
+                type: 'number',
+                description: 'Saving needed per month to hit the deadline',
+              },
+              averageMonthlyContribution: {
+                type: 'number',
+              },
+              projectedCompletionDate: {
+                type: 'string',
+                format: 'date-time',
+              },
+              onTrack: {
+                type: 'boolean',
+              },
+            },
+          },
+          userId: {
+            type: 'string',
+          },
+        },
+      },
+      Debt: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          name: {
+            type: 'string',
+          },
+          type: {
+            type: 'string',
+            enum: ['loan', 'credit_card', 'mortgage', 'student_loan', 'other'],
+          },
+          principal: {
+            type: 'number',
+          },
+          apr: {
+            type: 'number',
+          },
+          minimumPayment: {
+            type: 'number',
+          },
+          dueDay: {
+            type: 'integer',
+          },
+          startDate: {
+            type: 'string',
+            format: 'date',
+          },
+          accountId: {
+            type: 'string',
+          },
+          payments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                },
+                amount: {
+                  type: 'number',
+                },
+                date: {
+                  type: 'string',
+                  format: 'date',
+                },
+                source: {
+                  type: 'string',
+                  enum: ['transaction', 'manual'],
+                },
+                transactionId: {
+                  type: 'string',
+                },
+                trashed: {
+                  type: 'boolean',
+                  description: 'The linked transaction is in the trash and does not count until it is restored',
+                },
+                note: {
+                  type: 'string',
+                },
+              },
+            },
+          },
+          paidOffAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          archived: {
+            type: 'boolean',
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              currentBalance: {
+                type: 'number',
+              },
+              totalPaid: {
+                type: 'number',
+              },
+              interestCharged: {
+                type: 'number',
+              },
+              nextDueDate: {
+                type: 'string',
+                format: 'date',
+              },
+              monthsToPayoffAtMinimum: {
+                type: 'integer',
+              },
+              payoffDateAtMinimum: {
+                type: 'string',
+                format: 'date',
+              },
+              interestAtMinimum: {
+                type: 'number',
+              },
+              paysOffAtMinimum: {
+                type: 'boolean',
+              },
+            },
+          },
+          userId: {
+            type: 'string',
+          },
+        },
+      },
+      Subscription: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          name: {
+            type: 'string',
+          },
+          merchantKey: {
+            type: 'string',
+          },
+          categoryId: {
+            type: 'string',
+          },
+          status: {
+            type: 'string',
+            enum: ['candidate', 'confirmed', 'dismissed'],
+          },
+          cadence: {
+            type: 'string',
+            enum: ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'],
+          },
+          amount: {
+            type: 'number',
+          },
+          averageAmount: {
+            type: 'number',
+          },
+          currency: {
+            type: 'string',
+          },
+          monthlyCost: {
+            type: 'number',
+          },
+          occurrences: {
+            type: 'integer',
+          },
+          firstChargeDate: {
+            type: 'string',
+            format: 'date',
+          },
+          lastChargeDate: {
+            type: 'string',
+            format: 'date',
+          },
+          nextExpectedDate: {
+            type: 'string',
+            format: 'date',
+          },
+          transactionIds: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          priceIncrease: {
+            type: 'object',
+            properties: {
+              previousAmount: {
+                type: 'number',
+              },
+              newAmount: {
+                type: 'number',
+              },
+              percentage: {
+                type: 'number',
+              },
+              date: {
+                type: 'string',
+                format: 'date',
+              },
+              notifiedAt: {
+                type: 'string',
+                format: 'date-time',
+              },
+            },
+          },
+          confirmedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          dismissedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          userId: {
+            type: 'string',
+          },
+        },
+      },
+      TransactionSplit: {
+        type: 'object',
+        properties: {
+          categoryId: {
+            type: 'string',
+          },
+          amount: {
+            type: 'number',
+          },
+          description: {
+            type: 'string',
+          },
+        },
+      },
+      Attachment: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          transactionId: {
+            type: 'string',
+          },
+          fileName: {
+            type: 'string',
+          },
+          mimeType: {
+            type: 'string',
+            enum: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+          },
+          size: {
+            type: 'integer',
+            description: 'Size in bytes',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      AuditLog: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          actorId: {
+            type: 'string',
+            description: 'User who made the change, missing for scheduled jobs',
+          },
+          entityType: {
+            type: 'string',
+            enum: ['transaction', 'category', 'budget', 'categoryBudget'],
+          },
+          entityId: {
+            type: 'string',
+          },
+          action: {
+            type: 'string',
+            enum: ['create', 'update', 'delete', 'restore', 'purge'],
+            description: 'delete moves the record to the trash; purge removes it for good',
+          },
+          source: {
+            type: 'string',
+            enum: ['api', 'import', 'recurring', 'system'],
+          },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: {
+                  type: 'string',
+                },
+                before: {
+                  description: 'Value before the change, missing on creates',
+                },
+                after: {
+                  description: 'Value after the change, missing on deletes',
+                },
+              },
+            },
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      RecurringTransaction: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          title: {
+            type: 'string',
+          },
+          amount: {
+            type: 'number',
+          },
+          currency: {
+            type: 'string',
+          },
+          type: {
+            type: 'string',
+            enum: ['income', 'expense'],
+          },
+          categoryId: {
+            type: 'string',
+          },
+          description: {
+            type: 'string',
+          },
+          frequency: {
+            type: 'string',
+            enum: ['daily', 'weekly', 'monthly', 'yearly'],
+          },
+          interval: {
+            type: 'integer',
+          },
+          startDate: {
+            type: 'string',
+            format: 'date',
+          },
+          endDate: {
+            type: 'string',
+            format: 'date',
+          },
+          maxOccurrences: {
+            type: 'integer',
+          },
+          occurrencesCount: {
+            type: 'integer',
+          },
+          nextRunDate: {
+            type: 'string',
+            format: 'date-time',
+          },
+          lastRunDate: {
+            type: 'string',
+            format: 'date-time',
+          },
+          active: {
+            type: 'boolean',
+          },
+          userId: {
+            type: 'string',
+          },
+        },
+      },
       Category: {
         type: 'object',
         properties: {
@@ -102,6 +635,11 @@ const swaggerDefinition = {
           userId: {
             type: 'string',
           },
+          deletedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Set while the category is in the trash',
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -171,6 +709,20 @@ const startServer = async () => {
     await connectToDatabase();
     console.log('Database connected successfully');
     
+    // One-off data migrations; a failure is logged but must not keep the API down
+    try {
+      await require('./services/budgetTrackingService').migrateLegacyThresholds();
+    } catch (migrationError) {
+      console.error('❌ Failed to migrate budget alert thresholds:', migrationError);
+    }
+    
+    // Exchange rates come from local feed files (EXCHANGE_RATES_FILE); no live rate API is used
+    try {
+      await require('./services/exchangeRateService').loadConfiguredFeeds();
+    } catch (rateError) {
+      console.error('❌ Failed to load exchange rates:', rateError);
+    }
+    
     // Routes
     app.use('/api/auth', require('./routes/auth'));
     app.use('/api/transactions', require('./routes/transactions'));
@@ -178,12 +730,27 @@ const startServer = async () => {
     app.use('/api/reports', require('./routes/reports'));
     app.use('/api/users', require('./routes/users'));
     app.use('/api/notifications', require('./routes/notifications'));
+    app.use('/api/recurring-transactions', require('./routes/recurringTransactions'));
+    app.use('/api/categorization-rules', require('./routes/categorizationRules'));
+    app.use('/api/transaction-alert-rules', require('./routes/transactionAlertRules'));
+    app.use('/api/accounts', require('./routes/accounts'));
+    app.use('/api/insights', require('./routes/insights'));
+    app.use('/api/goals', require('./routes/goals'));
+    app.use('/api/debts', require('./routes/debts'));
+    app.use('/api/subscriptions', require('./routes/subscriptions'));
+    app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+    app.use('/api/activity', require('./routes/activity'));
     app.use('/api/test', require('./routes/test'));
     
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       scheduleMonthlyReports();
+      scheduleRecurringTransactions();
+      scheduleBudgetAlerts();
+      scheduleAnomalyAlerts();
+      scheduleSubscriptionScan();
+      scheduleTrashPurge();
     });
   } catch (err) {
     console.error('Failed to connect to database:', err);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { baseAmountExpression } = require('../utils/currency');
+
+class AccountService {
+  /**
+   * Aggregation stages turning each transaction into signed balance movements per account:
+   * income adds to its account, expenses take from it, transfers take from accountId and add to toAccountId.
+   * Movements are in the base currency, like the opening balance, so foreign-currency transactions add up
+   * @returns {Array} Pipeline stages producing { movement: { accountId, delta }, date }
+   */
+  movementStages() {
+    const amount = baseAmountExpression();
+    return [
+      {
+        $project: {
+          date: 1,
+          movements: {
+            $concatArrays: [
+              {
+                $cond: [
+                  { $ifNull: ['$accountId', false] },
+                  [{
+                    accountId: '$accountId',
+                    delta: { $cond: [{ $eq: ['$type', 'income'] }, amount, { $multiply: [amount, -1] }] }
+                  }],
+                  []
+                ]
+              },
+              {
+                $cond: [
+                  { $and: [{ $eq: ['$type', 'transfer'] }, { $ifNull: ['$toAccountId', false] }] },
+                  [{ accountId: '$toAccountId', delta: amount }],
+                  []
+                ]
+              }
+            ]
+          }
+        }
+      },
+      { $unwind: '$movements' }
+    ];
+  }
+
+  /**
+   * Check that every given account belongs to the user
+   * @param {string} userId - User ID
+   * @param {Array} accountIds - Account IDs (empty values are ignored)
+   * @returns {boolean} True when all accounts exist for the user
+   */
+  async verifyOwnership(userId, accountIds) {
+    const ids = [...new Set(accountIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return true;
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return false;
+    const count = await Account.countDocuments({ _id: { $in: ids }, userId });
+    return count === ids.length;
+  }
+
+  /**
+   * Get the user's accounts with their current running balances
+   * @param {string} userId - User ID
+   * @param {Object} options - { includeArchived }
+   * @returns {Array} Accounts with balance and transactionCount
+   */
+  async getAccountsWithBalances(userId, { includeArchived = false } = {}) {
+    const query = { userId };
+    if (!includeArchived) query.archived = false;
+    const accounts = await Account.find(query).sort({ name: 1 });
+
+    const totals = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          duplicateOf: null,
+          $or: [{ accountId: { $ne: null } }, { toAccountId: { $ne: null } }]
+        }
+      },
+      ...this.movementStages(),
+      {
+        $group: {
+          _id: '$movements.accountId',
+          change: { $sum: '$movements.delta' },
+          transactionCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return accounts.map(account => {
+      const total = totals.find(t => t._id.toString() === account._id.toString());
+      return {
+        ...account.toObject(),
+        balance: Math.round((account.openingBalance + (total ? total.change : 0)) * 100) / 100,
+        transactionCount: total ? total.transactionCount : 0
+      };
+    });
+  }
+
+  /**
+   * Get the balance history of one account
+   * @param {Object} account - Account document
+   * @param {Object} options - { startDate, endDate, interval: 'day' | 'month' }
+   * @returns {Object} Opening balance for the range and one entry per period with movements
+   */
+  async getBalanceHistory(account, { startDate, endDate, interval = 'day' } = {}) {
+    const accountId = account._id;
+    const baseMatch = {
+      userId: account.userId,
+      duplicateOf: null,
+      $or: [{ accountId }, { toAccountId: accountId }]
+    };
+
+    const sumMovements = async (dateFilter) => {
+      const [result] = await Transaction.aggregate([
+        { $match: { ...baseMatch, ...(dateFilter ? { date: dateFilter } : {}) } },
+        ...this.movementStages(),
+        { $match: { 'movements.accountId': accountId } },
+        { $group: { _id: null, change: { $sum: '$movements.delta' } } }
+      ]);
+      return result ? result.change : 0;
+    };
+
+    const startingBalance = account.openingBalance + (startDate ? await sumMovements({ $lt: startDate }) : 0);
+
+    const dateFilter = {};
+    if (startDate) dateFilter.$gte = startDate;
+    if (endDate) dateFilter.$lte = endDate;
+
+    const format = interval === 'month' ? '%Y-%m' : '%Y-%m-%d';
+    const periods = await Transaction.aggregate([
+      { $match: { ...baseMatch, ...(startDate || endDate ? { date: dateFilter } : {}) } },
+      ...this.movementStages(),
+      { $match: { 'movements.accountId': accountId } },
+      {
+        $group: {
+          _id: { $dateToString: { format, date: '$date' } },
+          inflow: { $sum: { $cond: [{ $gt: ['$movements.delta', 0] }, '$movements.delta', 0] } },
+          outflow: { $sum: { $cond: [{ $lt: ['$movements.delta', 0] }, { $multiply: ['$movements.delta', -1] }, 0] } },
+          change: { $sum: '$movements.delta' },
+          transactionCount: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    let balance = startingBalance;
+    const history = periods.map(period => {
+      balance += period.change;
+      return {
+        period: period._id,
+        inflow: round(period.inflow),
+        outflow: round(period.outflow),
+        change: round(period.change),
+        balance: round(balance),
+        transactionCount: period.transactionCount
+      };
+    });
+
+    return {
+      accountId,
+      interval,
+      startingBalance: round(startingBalance),
+      endingBalance: round(balance),
+      history
+    };
+  }
+}
+
+module.exports = new AccountService();
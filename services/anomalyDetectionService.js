@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { unwindCategoryLines } = require('../utils/transactionSplits');
+const { normalizeMerchant } = require('../utils/merchants');
+const { getBaseCurrency, formatMoney, toBaseAmount } = require('../utils/currency');
+
+// Full months before the analysed month that make up the baseline
+const BASELINE_MONTHS = 6;
+// Categories need spending in at least this many baseline months before a spike can be called
+const MIN_BASELINE_MONTHS = 3;
+// Standard deviations above the baseline average that count as a spike
+const SPIKE_Z_SCORE = 2;
+// ...and a spike must also be this far above the average, so very steady categories don't flag small changes
+const MIN_SPIKE_RATIO = 1.25;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class AnomalyDetectionService {
+  /**
+   * Expense totals per category for each month between consecutive boundaries
+   * @param {string} userId - User ID
+   * @param {Array} boundaries - Month start dates; the last one closes the final month
+   * @param {Date} until - Ignore transactions after this date (the analysed month so far)
+   * @returns {Array} Rows of { categoryId, categoryName, month, total } where month indexes into boundaries
+   */
+  async getMonthlyCategoryTotals(userId, boundaries, until) {
+    const monthIndex = {
+      $switch: {
+        branches: boundaries.slice(1).map((end, i) => ({ case: { $lt: ['$date', end] }, then: i })),
+        default: null
+      }
+    };
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'expense',
+          duplicateOf: null,
+          date: { $gte: boundaries[0], $lte: until }
+        }
+      },
+      // Split transactions count towards each of their categories
+      ...unwindCategoryLines(),
+      {
+        $group: {
+          _id: { categoryId: '$categoryId', month: monthIndex },
+          total: { $sum: '$amount' }
+        }
+      },
+      {
+        // Aggregation lookups bypass the soft-delete plugin, so trashed categories are filtered here
+        $lookup: {
+          from: 'categories',
+          let: { categoryId: '$_id.categoryId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$categoryId'] }, deletedAt: null } }
+          ],
+          as: 'category'
+        }
+      }
+    ]);
+
+    return rows.map(row => ({
+      categoryId: row._id.categoryId,
+      // A category ID without a live category belongs to a trashed category
+      categoryName: row.category[0] ? row.category[0].name : (row._id.categoryId ? 'Deleted category' : 'Uncategorized'),
+      month: row._id.month,
+      total: row.total
+    }));
+  }
+
+  /**
+   * Flag categories whose spend this month is statistically unusual against their trailing baseline
+   * @param {Array} totals - Result of getMonthlyCategoryTotals
+   * @param {number} currentIndex - Index of the analysed month
+   * @returns {Array} Spikes, largest z-score first
+   */
+  findCategorySpikes(totals, currentIndex) {
+    const byCategory = new Map();
+    totals.forEach(row => {
+      const key = row.categoryId ? row.categoryId.toString() : 'uncategorized';
+      if (!byCategory.has(key)) {
+        byCategory.set(key, { categoryId: row.categoryId, categoryName: row.categoryName, months: new Array(currentIndex + 1).fill(0) });
+      }
+      byCategory.get(key).months[row.month] += row.total;
+    });
+
+    const spikes = [];
+    byCategory.forEach(({ categoryId, categoryName, months }) => {
+      const current = months[currentIndex];
+      const baseline = months.slice(0, currentIndex);
+      const activeMonths = baseline.filter(total => total > 0).length;
+      if (current <= 0 || activeMonths < MIN_BASELINE_MONTHS) return;
+
+      const average = baseline.reduce((sum, total) => sum + total, 0) / baseline.length;
+      const stdDev = Math.sqrt(baseline.reduce((sum, total) => sum + (total - average) ** 2, 0) / baseline.length);
+      // A perfectly steady baseline has no spread; fall back to a tenth of the average
+      const spread = Math.max(stdDev, average * 0.1);
+      const zScore = (current - average) / spread;
+
+      if (zScore >= SPIKE_Z_SCORE && current >= average * MIN_SPIKE_RATIO) {
+        spikes.push({
+          categoryId,
+          categoryName,
+          currentSpend: round(current),
+          baselineAverage: round(average),
+          baselineStdDev: round(stdDev),
+          zScore: round(zScore),
+          percentAboveBaseline: round(((current - average) / average) * 100),
+          baselineMonthsWithSpend: activeMonths
+        });
+      }
+    });
+
+    return spikes.sort((a, b) => b.zScore - a.zScore);
+  }
+
+  /**
+   * Merchants (normalized transaction titles) seen this month but never during the baseline
+   * @param {string} userId - User ID
+   * @param {Date} baselineStart - Start of the baseline
+   * @param {Date} monthStart - Start of the analysed month
+   * @param {Date} until - End of the analysed range
+   * @returns {Array} New merchants, largest total first
+   */
+  async findNewMerchants(userId, baselineStart, monthStart, until) {
+    const match = { userId, type: 'expense', duplicateOf: null };
+    const [pastTitles, recent] = await Promise.all([
+      Transaction.distinct('title', { ...match, date: { $gte: baselineStart, $lt: monthStart } }),
+      Transaction.find({ ...match, date: { $gte: monthStart, $lte: until } })
+        .select('title amount exchangeRate date categoryId')
+        .sort({ date: 1 })
+    ]);
+
+    // Without any history every merchant would look new
+    if (pastTitles.length === 0) return [];
+
+    const known = new Set(pastTitles.map(normalizeMerchant));
+    const merchants = new Map();
+    recent.forEach(transaction => {
+      const key = normalizeMerchant(transaction.title);
+      if (!key || known.has(key)) return;
+      if (!merchants.has(key)) {
+        merchants.set(key, {
+          merchant: transaction.title,
+          firstSeen: transaction.date,
+          categoryId: transaction.categoryId || null,
+          transactionCount: 0,
+          totalAmount: 0
+        });
+      }
+      const merchant = merchants.get(key);
+      merchant.transactionCount++;
+      merchant.totalAmount = round(merchant.totalAmount + toBaseAmount(transaction));
+    });
+
+    return [...merchants.values()].sort((a, b) => b.totalAmount - a.totalAmount);
+  }
+
+  /**
+   * Spending anomalies for a month: category spikes against the trailing baseline and new merchants
+   * @param {string} userId - User ID
+   * @param {Object} options - { month, year } to analyse (defaults to the current month so far)
+   * @returns {Object} { month, year, period, baselineMonths, categorySpikes, newMerchants }
+   */
+  async getAnomalies(userId, { month, year } = {}) {
+    const now = new Date();
+    const monthStart = month && year ? new Date(year, month - 1, 1) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const nextMonthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+    const until = nextMonthStart <= now ? new Date(nextMonthStart.getTime() - 1) : now;
+
+    const boundaries = [];
+    for (let i = BASELINE_MONTHS; i >= -1; i--) {
+      boundaries.push(new Date(monthStart.getFullYear(), monthStart.getMonth() - i, 1));
+    }
+
+    const totals = await this.getMonthlyCategoryTotals(userId, boundaries, until);
+    const categorySpikes = this.findCategorySpikes(totals, BASELINE_MONTHS);
+    const newMerchants = await this.findNewMerchants(userId, boundaries[0], monthStart, until);
+
+    const categoryIds = newMerchants.map(merchant => merchant.categoryId).filter(Boolean);
+    if (categoryIds.length > 0) {
+      const categories = await Category.find({ _id: { $in: categoryIds } }).select('name');
+      newMerchants.forEach(merchant => {
+        const category = merchant.categoryId && categories.find(c => c._id.toString() === merchant.categoryId.toString());
+        merchant.categoryName = category ? category.name : (merchant.categoryId ? 'Deleted category' : 'Uncategorized');
+      });
+    }
+
+    return {
+      month: monthStart.getMonth() + 1,
+      year: monthStart.getFullYear(),
+      period: { startDate: monthStart, endDate: until },
+      baselineMonths: BASELINE_MONTHS,
+      categorySpikes,
+      newMerchants
+    };
+  }
+
+  /**
+   * Send the weekly anomaly notification to every user who opted in
+   * @returns {Object} { totalUsers, notified, errors }
+   */
+  async sendWeeklyAnomalyNotifications() {
+    const users = await User.find({ 'settings.anomalyAlerts': true }).select('_id monthlyBudget.currency');
+    console.log(`🔎 Checking spending anomalies for ${users.length} users`);
+
+    const results = { totalUsers: users.length, notified: 0, errors: 0 };
+    for (const user of users) {
+      try {
+        const { categorySpikes, newMerchants } = await this.getAnomalies(user._id);
+        if (categorySpikes.length === 0 && newMerchants.length === 0) continue;
+
+        const lines = categorySpikes.map(spike =>
+          `${spike.categoryName}: ${formatMoney(spike.currentSpend, getBaseCurrency(user))} so far, ${spike.percentAboveBaseline}% above your 6-month average`
+        );
+        if (newMerchants.length > 0) {
+          lines.push(`New merchants this month: ${newMerchants.slice(0, 5).map(m => m.merchant).join(', ')}${newMerchants.length > 5 ? ` and ${newMerchants.length - 5} more` : ''}`);
+        }
+
+        const notification = new Notification({
+          userId: user._id,
+          title: 'Unusual Spending This Month',
+          message: lines.join('. ') + '.',
+          type: categorySpikes.length > 0 ? 'warning' : 'info',
+          read: false
+        });
+        await notification.save();
+        results.notified++;
+      } catch (error) {
+        console.error(`❌ Error checking spending anomalies for user ${user._id}:`, error);
+        results.errors++;
+      }
+    }
+
+    console.log(`📊 Anomaly notifications sent to ${results.notified} of ${results.totalUsers} users`);
+    return results;
+  }
+}
+
+module.exports = new AnomalyDetectionService();
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const Transaction = require('../models/Transaction');
+const { getBackendName, getStorage } = require('./attachmentStorage');
+
+const MAX_ATTACHMENT_SIZE = (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TRANSACTION = 10;
+
+// Receipts and documents only; the type is read from the file itself since the uploaded Content-Type can't be trusted
+const FILE_TYPES = [
+  { mimeType: 'application/pdf', extension: '.pdf', matches: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: '.webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  {
+    mimeType: 'image/heic',
+    extension: '.heic',
+    matches: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(b.subarray(8, 12).toString('latin1'))
+  }
+];
+
+// Fields returned to clients; storage details stay internal
+const describe = (attachment) => ({
+  _id: attachment._id,
+  transactionId: attachment.transactionId,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  createdAt: attachment.createdAt
+});
+
+class AttachmentService {
+  constructor() {
+    this.maxSize = MAX_ATTACHMENT_SIZE;
+    this.allowedMimeTypes = FILE_TYPES.map(type => type.mimeType);
+  }
+
+  /**
+   * Work out the type of a file from its first bytes
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} Matching entry of FILE_TYPES, or null when the type is not allowed
+   */
+  detectFileType(buffer) {
+    return FILE_TYPES.find(type => type.matches(buffer)) || null;
+  }
+
+  /**
+   * Attach an uploaded file to one of the user's transactions
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} file - Multer file ({ originalname, buffer, size })
+   * @returns {Object} { attachment } or { error, status }
+   */
+  async upload(userId, transactionId, file) {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId }).select('_id');
+    if (!transaction) {
+      return { error: 'Transaction not found', status: 404 };
+    }
+
+    const fileType = this.detectFileType(file.buffer);
+    if (!fileType) {
+      return { error: `Only ${this.allowedMimeTypes.join(', ')} files can be attached`, status: 415 };
+    }
+
+    const count = await Attachment.countDocuments({ userId, transactionId });
+    if (count >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+      return { error: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`, status: 400 };
+    }
+
+    const storage = getBackendName();
+    const storageKey = `${userId}/${transactionId}/${crypto.randomUUID()}${fileType.extension}`;
+    await getStorage(storage).save(storageKey, file.buffer, { mimeType: fileType.mimeType });
+
+    try {
+      const attachment = await Attachment.create({
+        userId,
+        transactionId,
+        fileName: path.basename(file.originalname || `attachment${fileType.extension}`),
+        mimeType: fileType.mimeType,
+        size: file.size,
+        storage,
+        storageKey
+      });
+      console.log(`📎 Attached ${attachment.fileName} to transaction ${transactionId}`);
+      return { attachment: describe(attachment) };
+    } catch (error) {
+      // Don't leave an orphaned file behind when the record can't be saved
+      await getStorage(storage).remove(storageKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Attachments of one of the user's transactions, oldest first
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} { attachments } or { error, status }
+   */
+  async list(userId, transactionId) {
+    const transaction = await Transaction.findOne({ _id: transactionId, userId }).select('_id');
+    if (!transaction) {
+      return { error: 'Transaction not found', status: 404 };
+    }
+
+    const attachments = await Attachment.find({ userId, transactionId }).sort({ createdAt: 1 });
+    return { attachments: attachments.map(describe) };
+  }
+
+  /**
+   * Open an attachment for download
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Object} { attachment, stream } or { error, status }
+   */
+  async open(userId, transactionId, attachmentId) {
+    const attachment = await Attachment.findOne({ _id: attachmentId, transactionId, userId });
+    if (!attachment) {
+      return { error: 'Attachment not found', status: 404 };
+    }
+
+    try {
+      const stream = await getStorage(attachment.storage).read(attachment.storageKey);
+      return { attachment: describe(attachment), stream };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.error(`❌ Attachment ${attachment._id} is missing from ${attachment.storage} storage`);
+        return { error: 'Attachment file not found', status: 404 };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one attachment and its file
+   * @param {string} userId - User ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Object} { attachment } or { error, status }
+   */
+  async remove(userId, transactionId, attachmentId) {
+    const attachment = await Attachment.findOneAndDelete({ _id: attachmentId, transactionId, userId });
+    if (!attachment) {
+      return { error: 'Attachment not found', status: 404 };
+    }
+
+    await getStorage(attachment.storage).remove(attachment.storageKey);
+    return { attachment: describe(attachment) };
+  }
+
+  /**
+   * Delete the attachments of transactions that were deleted
+   * Files that can't be removed are logged and left behind rather than failing the deletion
+   * @param {string} userId - User ID
+   * @param {Array} transactionIds - Deleted transaction IDs
+   * @returns {number} Attachments removed
+   */
+  async removeForTransactions(userId, transactionIds) {
+    const attachments = await Attachment.find({ userId, transactionId: { $in: transactionIds } });
+    if (attachments.length === 0) return 0;
+
+    for (const attachment of attachments) {
+      try {
+        await getStorage(attachment.storage).remove(attachment.storageKey);
+      } catch (error) {
+        console.error(`❌ Could not remove attachment file ${attachment.storageKey}:`, error.message);
+      }
+    }
+    await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+
+    console.log(`🗑️ Removed ${attachments.length} attachments of deleted transactions`);
+    return attachments.length;
+  }
+
+  /**
+   * Move attachments to another transaction, e.g. when duplicates are merged into it
+   * Files keep their storage key, which only has to be unique
+   * @param {string} userId - User ID
+   * @param {Array} fromTransactionIds - Transactions the attachments belong to
+   * @param {string} toTransactionId - Transaction that takes them over
+   * @returns {number} Attachments moved
+   */
+  async moveToTransaction(userId, fromTransactionIds, toTransactionId) {
+    const result = await Attachment.updateMany(
+      { userId, transactionId: { $in: fromTransactionIds } },
+      { transactionId: toTransactionId }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment storage backends
+ *
+ * A backend stores file contents under a key generated by the attachment service and must implement:
+ *   save(key, buffer, { mimeType }) → Promise      store the contents, replacing any existing file
+ *   read(key) → Promise<Readable>                   stream the contents back (rejects with code ENOENT when missing)
+ *   remove(key) → Promise                           delete the contents; removing a missing file is not an error
+ *
+ * Object storage (S3, GCS, ...) plugs in by registering a factory and setting ATTACHMENT_STORAGE to its name:
+ *   attachmentStorage.registerBackend('s3', () => new S3Storage({ bucket: process.env.ATTACHMENT_BUCKET }));
+ */
+class LocalDiskStorage {
+  constructor(root = process.env.ATTACHMENT_DIR || path.join(__dirname, '../uploads/attachments')) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys are generated by the service, but never let one point outside the storage root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    const filePath = this.resolve(key);
+    // Fail before streaming starts so a missing file can still be answered with a 404
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+const factories = {
+  local: () => new LocalDiskStorage()
+};
+const backends = {};
+
+/**
+ * Make a storage backend available under a name (selected with ATTACHMENT_STORAGE)
+ * @param {string} name - Backend name
+ * @param {Function} factory - Returns an object implementing save, read and remove
+ */
+const registerBackend = (name, factory) => {
+  factories[name] = factory;
+  delete backends[name];
+};
+
+// Backend new attachments are saved with
+const getBackendName = () => process.env.ATTACHMENT_STORAGE || 'local';
+
+/**
+ * A storage backend, created on first use
+ * @param {string} name - Backend name (defaults to the configured one; existing attachments use the one they were saved with)
+ * @returns {Object} Backend implementing save, read and remove
+ */
+const getStorage = (name = getBackendName()) => {
+  if (!backends[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown attachment storage "${name}"`);
+    }
+    backends[name] = factories[name]();
+    console.log(`📎 Using ${name} attachment storage`);
+  }
+  return backends[name];
+};
+
+module.exports = { LocalDiskStorage, registerBackend, getBackendName, getStorage };
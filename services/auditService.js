@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that are not part of what the user edits
+const IGNORED_FIELDS = ['_id', '__v', 'userId', 'createdAt', 'updatedAt', 'alertRuleIds'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Plain JSON copy so ObjectIds, Dates and subdocuments compare and store as simple values
+const toPlain = (record) => {
+  if (!record) return {};
+  const object = typeof record.toObject === 'function' ? record.toObject() : record;
+  return JSON.parse(JSON.stringify(object));
+};
+
+class AuditService {
+  /**
+   * Field-level differences between two versions of a record
+   * @param {Object} before - Previous version (null for creates)
+   * @param {Object} after - New version (null for deletes)
+   * @returns {Array} [{ field, before, after }] for every field that changed
+   */
+  diff(before, after) {
+    const previous = toPlain(before);
+    const current = toPlain(after);
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])]
+      .filter(field => !IGNORED_FIELDS.includes(field));
+
+    return fields
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]))
+      .map(field => ({ field, before: previous[field], after: current[field] }));
+  }
+
+  /**
+   * Build an audit entry for a change, or null when nothing changed
+   * The action is worked out from which versions are given unless set (e.g. delete and restore of trashed records)
+   * @param {Object} entry - { userId, actorId, entityType, entityId, action, source, before, after }
+   * @returns {Object|null} AuditLog fields
+   */
+  buildEntry({ userId, actorId, entityType, entityId, action, source = 'api', before = null, after = null }) {
+    action = action || (!before ? 'create' : !after ? 'delete' : 'update');
+    const changes = this.diff(before, after);
+    if (action === 'update' && changes.length === 0) return null;
+
+    return {
+      userId,
+      actorId: actorId || undefined,
+      entityType,
+      entityId: entityId || (after || before)._id,
+      action,
+      source,
+      changes
+    };
+  }
+
+  /**
+   * Record a create (no before), update or delete (no after)
+   * Failures are logged rather than thrown so they never undo the change being audited
+   * @param {Object} entry - { userId, actorId, entityType, entityId, action, source, before, after }
+   * @returns {Object|null} Saved entry
+   */
+  async record(entry) {
+    try {
+      const fields = this.buildEntry(entry);
+      return fields ? await AuditLog.create(fields) : null;
+    } catch (error) {
+      console.error(`❌ Error writing ${entry.entityType} audit entry:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record several changes at once (imports, bulk edits)
+   * @param {Array} entries - Entries as accepted by record()
+   * @returns {number} Entries written
+   */
+  async recordMany(entries) {
+    try {
+      const documents = entries.map(entry => this.buildEntry(entry)).filter(Boolean);
+      if (documents.length === 0) return 0;
+      await AuditLog.insertMany(documents);
+      return documents.length;
+    } catch (error) {
+      console.error('❌ Error writing audit entries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Every change to one record, oldest first
+   * @param {string} userId - Owner of the record
+   * @param {string} entityType - transaction, category, budget or categoryBudget
+   * @param {string} entityId - Record ID
+   * @returns {Array} Audit entries
+   */
+  async getHistory(userId, entityType, entityId) {
+    return AuditLog.find({ userId, entityType, entityId }).sort({ _id: 1 });
+  }
+
+  /**
+   * The user's activity feed, newest first, paginated by entry ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { entityType, source, startDate, endDate, limit, cursor }
+   * @returns {Object} { entries, nextCursor } or { error }
+   */
+  async getActivity(userId, { entityType, source, startDate, endDate, limit, cursor } = {}) {
+    const filter = { userId };
+
+    const entityTypes = AuditLog.schema.path('entityType').enumValues;
+    if (entityType) {
+      if (!entityTypes.includes(entityType)) {
+        return { error: `entityType must be one of ${entityTypes.join(', ')}` };
+      }
+      filter.entityType = entityType;
+    }
+    const sources = AuditLog.schema.path('source').enumValues;
+    if (source) {
+      if (!sources.includes(source)) {
+        return { error: `source must be one of ${sources.join(', ')}` };
+      }
+      filter.source = source;
+    }
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return { error: 'Invalid date' };
+      }
+    }
+    if (cursor) {
+      if (!mongoose.Types.ObjectId.isValid(cursor)) {
+        return { error: 'Invalid cursor' };
+      }
+      filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+    }
+
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    // Fetch one extra entry to know whether another page exists
+    const rows = await AuditLog.find(filter).sort({ _id: -1 }).limit(pageSize + 1);
+    const hasMore = rows.length > pageSize;
+    const entries = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return { entries, nextCursor: hasMore ? entries[entries.length - 1]._id.toString() : null };
+  }
+}
+
+module.exports = new AuditService();
@@ -2,6 +2,15 @@ const budgetTrackingService = require('./budgetTrackingService');
 const emailService = require('./emailService');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const AlertSweepRun = require('../models/AlertSweepRun');
+const BudgetAlert = require('../models/BudgetAlert');
+const { getBaseCurrency } = require('../utils/currency');
+
+// Users checked in parallel during a sweep; keeps the email service from being flooded
+const DEFAULT_SWEEP_CONCURRENCY = parseInt(process.env.BUDGET_ALERT_CONCURRENCY, 10) || 5;
+
+// Notification type for each threshold severity
+const NOTIFICATION_TYPES = { info: 'info', warning: 'warning', critical: 'error' };
 
 class BudgetAlertService {
   /**
@@ -32,66 +41,62 @@ class BudgetAlertService {
       // Check budget status
       const budgetStatus = await budgetTrackingService.checkBudgetStatus(userId);
       
+      // Category budgets alert independently of the overall budget
+      const categoryAlerts = await this.sendCategoryBudgetAlerts(user, budgetStatus);
+      
       if (!budgetStatus.budgetSet) {
         console.log('💰 No budget set for user');
         return {
           success: true,
           alertSent: false,
-          reason: 'No budget set'
+          reason: 'No budget set',
+          categoryAlerts
         };
       }
       
+      // Early warning when the current pace will overrun the budget before the period ends
+      const forecastAlert = await this.sendProjectedOverrunAlert(user, budgetStatus);
+      
       if (!budgetStatus.shouldSendAlert) {
         console.log(`✅ No alert needed. Status: ${budgetStatus.alertLevel}`);
         return {
           success: true,
           alertSent: false,
-          reason: `Budget status: ${budgetStatus.alertLevel}, no alert threshold reached or alert already sent today`
+          reason: `Budget status: ${budgetStatus.alertLevel}, no alert threshold reached or alert already sent this period`,
+          categoryAlerts,
+          forecastAlert
         };
       }
       
-      // Prepare alert data
-      const alertData = {
-        alertType: budgetStatus.alertType,
-        budget: budgetStatus.budget,
-        spent: budgetStatus.spent,
-        remaining: budgetStatus.remaining,
-        percentageUsed: budgetStatus.percentageUsed,
-        monthlyData: budgetStatus.monthlyData
-      };
+      console.log(`🚨 Sending ${budgetStatus.alertType} budget alert (${budgetStatus.threshold.percentage}%) to ${user.email}`);
       
-      console.log(`🚨 Sending ${budgetStatus.alertType} budget alert to ${user.email}`);
+      const { delivered, alreadySent, emailResult } = await this.deliverThresholdAlert(user, budgetStatus, {
+        scope: 'overall',
+        period: budgetStatus.monthlyData.period,
+        monthlyData: budgetStatus.monthlyData
+      });
       
-      // Send alert email
-      const emailResult = await emailService.sendBudgetAlert(
-        user.email, 
-        user.name, 
-        alertData
-      );
+      if (alreadySent) {
+        return {
+          success: true,
+          alertSent: false,
+          reason: 'Alert already sent this period',
+          categoryAlerts,
+          forecastAlert
+        };
+      }
       
-      if (emailResult.success) {
-        // Update last alert sent timestamp
-        await budgetTrackingService.updateLastAlertSent(userId, budgetStatus.alertType);
-
-        // Create notification for budget alert
-        const notification = new Notification({
-          userId: user._id,
-          title: budgetStatus.alertType === 'critical' ? 'Critical Budget Alert' : 'Budget Warning',
-          message: budgetStatus.alertType === 'critical' 
-            ? 'You have reached the critical spending threshold for this month.' 
-            : 'You are approaching your monthly budget limit.',
-          type: budgetStatus.alertType === 'critical' ? 'error' : 'warning',
-          read: false
-        });
-        await notification.save();
-        
-        console.log(`✅ Budget alert sent successfully and notification created`);
+      if (delivered) {
+        console.log(`✅ Budget alert sent successfully over ${budgetStatus.threshold.channel}`);
         return {
           success: true,
           alertSent: true,
           alertType: budgetStatus.alertType,
+          threshold: budgetStatus.threshold.percentage,
           emailResult,
-          budgetStatus
+          budgetStatus,
+          categoryAlerts,
+          forecastAlert
         };
       } else {
         console.error('❌ Failed to send budget alert email');
@@ -99,7 +104,9 @@ class BudgetAlertService {
           success: false,
           alertSent: false,
           error: 'Failed to send email',
-          emailError: emailResult.error
+          emailError: emailResult.error,
+          categoryAlerts,
+          forecastAlert
         };
       }
     } catch (error) {
@@ -112,31 +119,223 @@ class BudgetAlertService {
     }
   }
   
+  /**
+   * Send the projected overrun email and notification when the forecast calls for one
+   * @param {Object} user - User document
+   * @param {Object} budgetStatus - Result of budgetTrackingService.checkBudgetStatus
+   * @returns {Object|null} { alertSent, projectedOverrunDate } or null when no alert was due
+   */
+  async sendProjectedOverrunAlert(user, budgetStatus) {
+    const { forecast } = budgetStatus;
+    if (!forecast || !forecast.shouldSendAlert) return null;
+    
+    // Claimed before sending so a concurrent check cannot send it too
+    const record = await budgetTrackingService.recordAlert(user._id, {
+      scope: 'overall',
+      alertType: 'projected',
+      period: budgetStatus.monthlyData.period,
+      percentageUsed: budgetStatus.percentageUsed,
+      spent: forecast.spent,
+      budget: forecast.budget,
+      message: `${forecast.message}.`
+    });
+    if (!record) return null;
+    
+    console.log(`📈 Sending projected overrun alert to ${user.email}`);
+    
+    const emailResult = await emailService.sendProjectedOverrunAlert(user.email, user.name, {
+      ...forecast,
+      period: budgetStatus.monthlyData.period,
+      currency: getBaseCurrency(user)
+    });
+    
+    if (!emailResult.success) {
+      console.error('❌ Failed to send projected overrun alert email');
+      await budgetTrackingService.releaseAlert(record);
+      return { alertSent: false, emailError: emailResult.error };
+    }
+    
+    const notification = new Notification({
+      userId: user._id,
+      title: 'Projected Budget Overrun',
+      message: `${forecast.message}.`,
+      type: 'warning',
+      read: false
+    });
+    await notification.save();
+    
+    return { alertSent: true, projectedOverrunDate: forecast.projectedOverrunDate };
+  }
+  
+  /**
+   * Send emails and notifications for category budgets that crossed a threshold
+   * @param {Object} user - User document
+   * @param {Object} budgetStatus - Result of budgetTrackingService.checkBudgetStatus
+   * @returns {Array} One entry per category alert attempted
+   */
+  async sendCategoryBudgetAlerts(user, budgetStatus) {
+    const due = (budgetStatus.categoryBudgets || []).filter(b => b.shouldSendAlert);
+    const results = [];
+    
+    for (const categoryBudget of due) {
+      console.log(`🚨 Sending ${categoryBudget.alertType} ${categoryBudget.categoryName} budget alert to ${user.email}`);
+      
+      const { delivered, alreadySent, emailResult } = await this.deliverThresholdAlert(user, categoryBudget, {
+        scope: 'category',
+        categoryId: categoryBudget.categoryId,
+        categoryName: categoryBudget.categoryName,
+        period: categoryBudget.period,
+        monthlyData: {
+          month: categoryBudget.period.startDate.getMonth() + 1,
+          year: categoryBudget.period.startDate.getFullYear(),
+          period: categoryBudget.period
+        }
+      });
+      if (alreadySent) continue;
+      
+      if (!delivered) {
+        console.error(`❌ Failed to send ${categoryBudget.categoryName} budget alert email`);
+      }
+      
+      results.push({
+        categoryId: categoryBudget.categoryId,
+        categoryName: categoryBudget.categoryName,
+        alertType: categoryBudget.alertType,
+        threshold: categoryBudget.threshold.percentage,
+        alertSent: delivered,
+        ...(delivered ? {} : { emailError: emailResult.error })
+      });
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Record a threshold alert, then deliver it over the channel the threshold asks for
+   * Recording first lets the unique index stop a concurrent check from sending the same alert; the record
+   * is released again when its email (if any) fails, so the alert is retried on the next check
+   * @param {Object} user - User document
+   * @param {Object} status - Overall budget status, or one entry of its categoryBudgets
+   * @param {Object} context - { scope, categoryId, categoryName, period, monthlyData }
+   * @returns {Object} { delivered, alreadySent, emailResult }
+   */
+  async deliverThresholdAlert(user, status, { scope, categoryId, categoryName, period, monthlyData }) {
+    const { threshold, alertType } = status;
+    const budgetName = categoryName
+      ? `${period.name.toLowerCase()} ${categoryName} budget`
+      : `${period.name.toLowerCase()} budget`;
+    
+    let message = threshold.message;
+    if (!message) {
+      if (status.alertStep > 0) {
+        message = `You have now used ${status.percentageUsed}% of your ${budgetName}.`;
+      } else if (alertType === 'critical') {
+        message = categoryName
+          ? `You have reached the critical spending threshold for ${categoryName} this ${period.unit}.`
+          : `You have reached the critical spending threshold for this ${period.unit}.`;
+      } else if (alertType === 'info') {
+        message = `You have used ${threshold.percentage}% of your ${budgetName}.`;
+      } else {
+        message = `You are approaching your ${budgetName} limit.`;
+      }
+    }
+    
+    // Record the alert so it is not repeated this period, nor sent twice by concurrent checks
+    const record = await budgetTrackingService.recordAlert(user._id, {
+      scope,
+      categoryId,
+      alertType,
+      threshold: threshold.percentage,
+      channel: threshold.channel,
+      period,
+      step: status.alertStep,
+      percentageUsed: status.percentageUsed,
+      spent: status.spent,
+      budget: status.availableBudget,
+      message
+    });
+    if (!record) {
+      return { delivered: false, alreadySent: true, emailResult: null };
+    }
+    
+    let emailResult = null;
+    if (threshold.channel !== 'in-app') {
+      emailResult = await emailService.sendBudgetAlert(user.email, user.name, {
+        alertType,
+        budget: status.availableBudget,
+        spent: status.spent,
+        remaining: status.remaining,
+        percentageUsed: status.percentageUsed,
+        monthlyData,
+        categoryName,
+        message: threshold.message,
+        currency: getBaseCurrency(user)
+      });
+      if (!emailResult.success) {
+        await budgetTrackingService.releaseAlert(record);
+        return { delivered: false, emailResult };
+      }
+    }
+    
+    if (threshold.channel !== 'email') {
+      const prefix = categoryName ? `${categoryName} ` : '';
+      const notification = new Notification({
+        userId: user._id,
+        title: alertType === 'critical'
+          ? `Critical ${prefix}Budget Alert`
+          : alertType === 'info' ? `${prefix}Budget Milestone` : `${prefix}Budget Warning`,
+        message,
+        type: NOTIFICATION_TYPES[alertType],
+        read: false
+      });
+      await notification.save();
+    }
+    
+    return { delivered: true, emailResult };
+  }
+  
   /**
    * Check budgets for all users (for scheduled tasks)
+   * Users are processed by a bounded pool of workers so the email service is never flooded,
+   * and every sweep is recorded as an AlertSweepRun
+   * @param {Object} options - { trigger: 'scheduled' | 'manual', concurrency }
    * @returns {Object} Summary of alert checks
    */
-  async checkAllUserBudgets() {
+  async checkAllUserBudgets({ trigger = 'manual', concurrency = DEFAULT_SWEEP_CONCURRENCY } = {}) {
+    const workerCount = Math.max(1, parseInt(concurrency, 10) || DEFAULT_SWEEP_CONCURRENCY);
+    const run = await AlertSweepRun.create({
+      trigger,
+      startedAt: new Date(),
+      concurrency: workerCount
+    });
+    
     try {
-      console.log('🔄 Starting budget alert check for all users');
+      console.log(`🔄 Starting budget alert check for all users (${trigger}, concurrency ${workerCount})`);
       
       const users = await User.find({
-        'monthlyBudget.amount': { $gt: 0 },
+        $or: [
+          { 'monthlyBudget.amount': { $gt: 0 } },
+          { 'categoryBudgets.amount': { $gt: 0 } }
+        ],
         'settings.budgetAlerts': true
       }).select('_id name email');
       
       console.log(`👥 Found ${users.length} users with budget alerts enabled`);
       
       const results = {
+        runId: run._id,
         totalUsers: users.length,
         alertsSent: 0,
+        milestones: 0,
         warnings: 0,
         critical: 0,
+        projected: 0,
         errors: 0,
         details: []
       };
+      const errorDetails = [];
       
-      for (const user of users) {
+      const checkUser = async (user) => {
         try {
           const result = await this.checkAndSendBudgetAlert(user._id);
           
@@ -149,22 +348,39 @@ class BudgetAlertService {
           
           if (result.alertSent) {
             results.alertsSent++;
-            if (result.alertType === 'warning') {
+            if (result.alertType === 'info') {
+              results.milestones++;
+            } else if (result.alertType === 'warning') {
               results.warnings++;
             } else if (result.alertType === 'critical') {
               results.critical++;
             }
           }
           
+          if (result.forecastAlert?.alertSent) {
+            results.alertsSent++;
+            results.projected++;
+          }
+          
+          (result.categoryAlerts || []).filter(alert => alert.alertSent).forEach(alert => {
+            results.alertsSent++;
+            if (alert.alertType === 'info') {
+              results.milestones++;
+            } else if (alert.alertType === 'warning') {
+              results.warnings++;
+            } else if (alert.alertType === 'critical') {
+              results.critical++;
+            }
+          });
+          
           if (!result.success) {
             results.errors++;
+            errorDetails.push({ userId: user._id, error: result.error || result.emailError });
           }
-          
-          // Add small delay between users to avoid overwhelming email service
-          await new Promise(resolve => setTimeout(resolve, 1000));
         } catch (error) {
           console.error(`❌ Error checking budget for user ${user._id}:`, error);
           results.errors++;
+          errorDetails.push({ userId: user._id, error: error.message });
           results.details.push({
             userId: user._id,
             userName: user.name,
@@ -173,21 +389,64 @@ class BudgetAlertService {
             error: error.message
           });
         }
-      }
+      };
+      
+      // Each worker takes the next user off the shared queue until it is empty
+      let next = 0;
+      const worker = async () => {
+        while (next < users.length) {
+          const user = users[next++];
+          await checkUser(user);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(workerCount, users.length) }, worker));
+      
+      const finishedAt = new Date();
+      await AlertSweepRun.updateOne({ _id: run._id }, {
+        status: 'completed',
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        totalUsers: results.totalUsers,
+        alertsSent: results.alertsSent,
+        milestones: results.milestones,
+        warnings: results.warnings,
+        critical: results.critical,
+        projected: results.projected,
+        errorCount: results.errors,
+        errorDetails
+      });
       
       console.log(`📊 Budget alert check complete:`); 
       console.log(`   📤 Alerts sent: ${results.alertsSent}`);
+      console.log(`   ℹ️  Milestones: ${results.milestones}`);
       console.log(`   ⚠️  Warnings: ${results.warnings}`);
       console.log(`   🚨 Critical: ${results.critical}`);
+      console.log(`   📈 Projected overruns: ${results.projected}`);
       console.log(`   ❌ Errors: ${results.errors}`);
       
       return results;
     } catch (error) {
       console.error('❌ Error in bulk budget alert check:', error);
+      const finishedAt = new Date();
+      await AlertSweepRun.updateOne({ _id: run._id }, {
+        status: 'failed',
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        failureReason: error.message
+      }).catch(updateError => console.error('❌ Failed to record alert sweep failure:', updateError));
       throw error;
     }
   }
   
+  /**
+   * Get the most recent alert sweep runs
+   * @param {number} limit - Number of runs to return
+   * @returns {Array} Runs, newest first
+   */
+  async getRecentSweepRuns(limit = 20) {
+    return AlertSweepRun.find().sort({ startedAt: -1 }).limit(limit);
+  }
+  
   /**
    * Get budget alert summary for a user (for API endpoints)
    * @param {string} userId - User ID
@@ -205,7 +464,12 @@ class BudgetAlertService {
         };
       }
       
-      const user = await User.findById(userId).select('settings.budgetAlerts monthlyBudget.lastAlertSent');
+      const user = await User.findById(userId).select('settings.budgetAlerts');
+      const latest = await BudgetAlert.aggregate([
+        { $match: { userId: user._id, scope: 'overall' } },
+        { $group: { _id: '$alertType', sentAt: { $max: '$createdAt' } } }
+      ]);
+      const lastAlertOf = (alertType) => latest.find(row => row._id === alertType)?.sentAt;
       
       return {
         budgetSet: true,
@@ -214,10 +478,18 @@ class BudgetAlertService {
         percentageUsed: budgetStatus.percentageUsed,
         shouldSendAlert: budgetStatus.shouldSendAlert,
         lastAlerts: {
-          warning: user.monthlyBudget.lastAlertSent?.warning,
-          critical: user.monthlyBudget.lastAlertSent?.critical
+          info: lastAlertOf('info'),
+          warning: lastAlertOf('warning'),
+          critical: lastAlertOf('critical'),
+          projected: lastAlertOf('projected')
         },
-        thresholds: budgetStatus.thresholds
+        realertEvery: budgetStatus.realertEvery,
+        thresholds: budgetStatus.thresholds,
+        forecast: {
+          projectedSpend: budgetStatus.forecast.projectedSpend,
+          projectedOverrun: budgetStatus.forecast.projectedOverrun,
+          projectedOverrunDate: budgetStatus.forecast.projectedOverrunDate
+        }
       };
     } catch (error) {
       console.error('Error getting budget alert summary:', error);
@@ -1,5 +1,18 @@
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const BudgetAlert = require('../models/BudgetAlert');
+const { unwindCategoryLines } = require('../utils/transactionSplits');
+const { getPeriodWindow, getPeriodBoundaries } = require('../utils/budgetPeriods');
+const { resolveThresholds, fromLegacyThresholds } = require('../utils/budgetThresholds');
+const { getBaseCurrency, baseAmountExpression } = require('../utils/currency');
+const exchangeRateService = require('./exchangeRateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far back the historical daily average looks
+const FORECAST_HISTORY_DAYS = 90;
 
 class BudgetTrackingService {
   /**
@@ -10,22 +23,32 @@ class BudgetTrackingService {
    * @returns {Object} Monthly expense data
    */
   async getMonthlyExpenses(userId, month = null, year = null) {
+    const now = new Date();
+    const targetMonth = month || (now.getMonth() + 1);
+    const targetYear = year || now.getFullYear();
+    
+    return this.getPeriodExpenses(userId, getPeriodWindow({ frequency: 'monthly' }, new Date(targetYear, targetMonth - 1, 1)));
+  }
+  
+  /**
+   * Calculate expenses for a user within a budget period window
+   * @param {string} userId - User ID
+   * @param {Object} window - Result of getPeriodWindow
+   * @returns {Object} Expense data for the period
+   */
+  async getPeriodExpenses(userId, window) {
     try {
-      const now = new Date();
-      const targetMonth = month || (now.getMonth() + 1);
-      const targetYear = year || now.getFullYear();
-      
-      // Calculate start and end dates for the month
-      const startDate = new Date(targetYear, targetMonth - 1, 1);
-      const endDate = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
+      const { startDate, endDate } = window;
       
-      console.log(`📊 Calculating expenses for ${targetMonth}/${targetYear} (${startDate.toDateString()} - ${endDate.toDateString()})`);
+      console.log(`📊 Calculating expenses for ${window.name.toLowerCase()} period ${window.label}`);
       
       const expenses = await Transaction.aggregate([
         {
           $match: {
-            userId: userId,
+            // Aggregations don't cast, so string ids from the API must be converted
+            userId: new mongoose.Types.ObjectId(userId),
             type: 'expense',
+            duplicateOf: null,
             date: {
               $gte: startDate,
               $lte: endDate
@@ -35,7 +58,7 @@ class BudgetTrackingService {
         {
           $group: {
             _id: null,
-            totalExpenses: { $sum: '$amount' },
+            totalExpenses: { $sum: baseAmountExpression() },
             transactionCount: { $sum: 1 },
             transactions: { $push: '$$ROOT' }
           }
@@ -43,25 +66,431 @@ class BudgetTrackingService {
       ]);
       
       const result = {
-        month: targetMonth,
-        year: targetYear,
+        month: startDate.getMonth() + 1,
+        year: startDate.getFullYear(),
         totalExpenses: expenses.length > 0 ? expenses[0].totalExpenses : 0,
         transactionCount: expenses.length > 0 ? expenses[0].transactionCount : 0,
         transactions: expenses.length > 0 ? expenses[0].transactions : [],
-        period: {
-          startDate,
-          endDate
-        }
+        period: window
       };
       
-      console.log(`💰 Monthly expenses: $${result.totalExpenses} (${result.transactionCount} transactions)`);
+      console.log(`💰 Period expenses: ${result.totalExpenses} (${result.transactionCount} transactions)`);
       return result;
     } catch (error) {
-      console.error('Error calculating monthly expenses:', error);
+      console.error('Error calculating period expenses:', error);
       throw error;
     }
   }
   
+  /**
+   * Work out the alert level for a percentage of budget used
+   * Only the highest threshold crossed can fire, so a jump from 40% to 95% sends one alert rather than one
+   * per milestone. Each threshold alerts once per budget period; with realertEvery set, every further
+   * realertEvery percentage points past it counts as a new step worth alerting on
+   * @param {number} percentageUsed - Percentage of the budget spent
+   * @param {Array} thresholds - Thresholds in ascending order (resolveThresholds)
+   * @param {Array} sentThisPeriod - Alerts already sent for this budget in the current period
+   * @param {number} realertEvery - Percentage points between repeat alerts, 0 to alert once
+   * @returns {Object} { alertLevel, shouldSendAlert, alertType, alertStep, threshold }
+   */
+  evaluateThresholds(percentageUsed, thresholds, sentThisPeriod = [], realertEvery = 0) {
+    const crossed = thresholds.filter(t => percentageUsed >= t.percentage);
+    const threshold = crossed.length > 0 ? crossed[crossed.length - 1] : null;
+    
+    if (!threshold) {
+      return { alertLevel: 'safe', shouldSendAlert: false, alertType: null, alertStep: 0, threshold: null };
+    }
+    
+    const alertStep = realertEvery > 0 ? Math.floor((percentageUsed - threshold.percentage) / realertEvery) : 0;
+    const lastStep = sentThisPeriod
+      .filter(alert => alert.threshold === threshold.percentage)
+      .reduce((max, alert) => Math.max(max, alert.step || 0), -1);
+    const shouldSendAlert = alertStep > lastStep;
+    
+    return {
+      alertLevel: threshold.severity,
+      shouldSendAlert,
+      alertType: shouldSendAlert ? threshold.severity : null,
+      alertStep,
+      threshold
+    };
+  }
+  
+  /**
+   * Alerts already sent for one budget in one period
+   * @param {Array} alerts - BudgetAlert records to search
+   * @param {Object} key - { scope, categoryId, periodStart }
+   * @returns {Array} Matching alerts
+   */
+  alertsForPeriod(alerts, { scope, categoryId = null, periodStart }) {
+    return alerts.filter(alert =>
+      alert.scope === scope &&
+      String(alert.categoryId || '') === String(categoryId || '') &&
+      new Date(alert.periodStart).getTime() === periodStart.getTime()
+    );
+  }
+  
+  /**
+   * Calculate expenses per category for a period, counting split lines separately
+   * @param {string} userId - User ID
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Array} Rows of { _id: categoryId, totalAmount, transactionCount }
+   */
+  async getCategoryExpenses(userId, startDate, endDate) {
+    return Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'expense',
+          duplicateOf: null,
+          date: {
+            $gte: startDate,
+            $lte: endDate
+          }
+        }
+      },
+      ...unwindCategoryLines(),
+      {
+        $group: {
+          _id: '$categoryId',
+          totalAmount: { $sum: '$amount' },
+          transactionCount: { $sum: 1 }
+        }
+      }
+    ]);
+  }
+  
+  /**
+   * Total expenses in each period between consecutive boundaries
+   * @param {string} userId - User ID
+   * @param {Array} boundaries - Sorted period start dates; the last one closes the final period
+   * @param {string} categoryId - Only count this category, including its split lines
+   * @returns {Array} Rows of { period, total } where period indexes into boundaries
+   */
+  async getSpendingByPeriod(userId, boundaries, categoryId = null) {
+    if (boundaries.length < 2) return [];
+    
+    const periodIndex = {
+      $switch: {
+        branches: boundaries.slice(1).map((end, i) => ({ case: { $lt: ['$date', end] }, then: i })),
+        default: null
+      }
+    };
+    
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: 'expense',
+          duplicateOf: null,
+          date: {
+            $gte: boundaries[0],
+            $lt: boundaries[boundaries.length - 1]
+          }
+        }
+      },
+      ...(categoryId
+        ? [...unwindCategoryLines(), { $match: { categoryId: new mongoose.Types.ObjectId(categoryId) } }]
+        : []),
+      {
+        $group: {
+          _id: periodIndex,
+          // Category lines are already converted by unwindCategoryLines
+          total: { $sum: categoryId ? '$amount' : baseAmountExpression() }
+        }
+      }
+    ]);
+    
+    return rows.map(row => ({ period: row._id, total: row.total }));
+  }
+  
+  /**
+   * Walk completed periods carrying each period's unspent budget (or overspend) into the next
+   * @param {number} amount - Budget per period
+   * @param {Array} boundaries - Period start dates; the last one is the start of the current period
+   * @param {Array} totals - Spending per period index
+   * @returns {Object} { carriedOver, history }
+   */
+  buildRolloverHistory(amount, boundaries, totals) {
+    const round = (value) => Math.round(value * 100) / 100;
+    let carry = 0;
+    
+    const history = boundaries.slice(0, -1).map((startDate, i) => {
+      const spent = totals[i] || 0;
+      const available = amount + carry;
+      const entry = {
+        startDate,
+        endDate: new Date(boundaries[i + 1].getTime() - 1),
+        budget: amount,
+        carriedIn: round(carry),
+        available: round(available),
+        spent: round(spent),
+        carriedOut: round(available - spent)
+      };
+      carry = available - spent;
+      return entry;
+    });
+    
+    return { carriedOver: round(carry), history };
+  }
+  
+  /**
+   * Rollover state for a budget, or a disabled marker when rollover is off
+   * The current budget amount is applied to every past period since rollover was enabled
+   * @param {string} userId - User ID
+   * @param {Object} budget - Budget with amount, period, rollover settings and, for category budgets, categoryId
+   * @param {Date} periodStart - Start of the current period
+   * @returns {Object} { enabled, since, carriedOver, history }
+   */
+  async getRollover(userId, budget, periodStart) {
+    if (!budget.rollover?.enabled) {
+      return { enabled: false, carriedOver: 0, history: [] };
+    }
+    
+    const since = budget.rollover.since || periodStart;
+    const boundaries = getPeriodBoundaries(budget.period, since, periodStart);
+    const spending = await this.getSpendingByPeriod(userId, boundaries, budget.categoryId || null);
+    
+    const totals = [];
+    spending
+      .filter(row => row.period !== null)
+      .forEach(row => {
+        totals[row.period] = row.total;
+      });
+    
+    return {
+      enabled: true,
+      since,
+      ...this.buildRolloverHistory(budget.amount, boundaries, totals)
+    };
+  }
+  
+  /**
+   * Check every per-category budget of a user against spending in its current period
+   * Budgets of categories in the trash are kept for when the category is restored, but not checked
+   * @param {Object} user - User document
+   * @returns {Array} Budget vs actual and alert info per category
+   */
+  async checkCategoryBudgets(user) {
+    const configured = (user.categoryBudgets || []).filter(b => b.amount > 0);
+    if (configured.length === 0) return [];
+    
+    const categories = await Category.find({ _id: { $in: configured.map(b => b.categoryId) } }).select('name');
+    const budgets = configured.filter(b => categories.some(c => c._id.toString() === b.categoryId.toString()));
+    if (budgets.length === 0) return [];
+    
+    const now = new Date();
+    
+    // Category budgets can use different periods; fetch spending once per distinct window
+    const windows = budgets.map(b => getPeriodWindow(b.period, now));
+    const windowKeys = [...new Set(windows.map(w => w.label))];
+    const earliestStart = windows.reduce((min, w) => (w.startDate < min ? w.startDate : min), windows[0].startDate);
+    const [sentAlerts, ...spendingPerWindow] = await Promise.all([
+      BudgetAlert.find({ userId: user._id, scope: 'category', periodStart: { $gte: earliestStart } }).lean(),
+      ...windowKeys.map(key => {
+        const window = windows.find(w => w.label === key);
+        return this.getCategoryExpenses(user._id, window.startDate, window.endDate);
+      })
+    ]);
+    
+    return Promise.all(budgets.map(async (categoryBudget, i) => {
+      const id = categoryBudget.categoryId.toString();
+      const window = windows[i];
+      const spending = spendingPerWindow[windowKeys.indexOf(window.label)];
+      const row = spending.find(s => s._id && s._id.toString() === id);
+      const category = categories.find(c => c._id.toString() === id);
+      const spent = row ? row.totalAmount : 0;
+      const rollover = await this.getRollover(user._id, categoryBudget, window.startDate);
+      const availableBudget = categoryBudget.amount + rollover.carriedOver;
+      const percentageUsed = availableBudget > 0 ? (spent / availableBudget) * 100 : 100;
+      const thresholds = resolveThresholds(categoryBudget);
+      
+      return {
+        categoryId: categoryBudget.categoryId,
+        categoryName: category.name,
+        period: window,
+        budget: categoryBudget.amount,
+        carriedOver: rollover.carriedOver,
+        availableBudget,
+        spent,
+        remaining: Math.max(0, availableBudget - spent),
+        percentageUsed: Math.round(percentageUsed * 100) / 100,
+        transactionCount: row ? row.transactionCount : 0,
+        thresholds,
+        rollover,
+        realertEvery: categoryBudget.realertEvery || 0,
+        ...this.evaluateThresholds(
+          percentageUsed,
+          thresholds,
+          this.alertsForPeriod(sentAlerts, { scope: 'category', categoryId: categoryBudget.categoryId, periodStart: window.startDate }),
+          categoryBudget.realertEvery || 0
+        )
+      };
+    }));
+  }
+  
+  /**
+   * Known recurring expenses that will still post within a period
+   * Rules in another currency are converted into the base currency at today's rate
+   * @param {string} userId - User ID
+   * @param {Date} endDate - End of the period
+   * @returns {Array} Items of { date, amount, title, recurringTransactionId }
+   */
+  async getUpcomingRecurringExpenses(userId, endDate) {
+    // Required lazily: the recurring service pulls in budget alerts, which depend on this service
+    const recurringTransactionService = require('./recurringTransactionService');
+    
+    const rules = await RecurringTransaction.find({
+      userId,
+      active: true,
+      type: 'expense',
+      nextRunDate: { $ne: null, $lte: endDate }
+    });
+    
+    const baseCurrency = rules.some(rule => rule.currency)
+      ? getBaseCurrency(await User.findById(userId).select('monthlyBudget.currency'))
+      : null;
+    
+    const items = [];
+    for (const rule of rules) {
+      const rate = rule.currency && rule.currency !== baseCurrency
+        ? await exchangeRateService.getRate(rule.currency, baseCurrency)
+        : 1;
+      // Without a known rate the amount is counted as is
+      const amount = rule.amount * (rate || 1);
+      let date = new Date(rule.nextRunDate);
+      let occurrencesCount = rule.occurrencesCount || 0;
+      while (date <= endDate && recurringTransactionService.isWithinLimits(rule, occurrencesCount, date)) {
+        items.push({ date, amount, title: rule.title, recurringTransactionId: rule._id });
+        date = recurringTransactionService.advance(rule, date);
+        occurrencesCount++;
+      }
+    }
+    
+    return items.sort((a, b) => a.date - b.date);
+  }
+  
+  /**
+   * Project end-of-period spending from the pace so far, the historical daily average and known recurring items
+   * Posted recurring expenses are left out of both daily rates so they are not extrapolated like day-to-day spending
+   * @param {string} userId - User ID
+   * @param {Object} window - Current period window (getPeriodWindow)
+   * @param {number} budget - Budget available for the period
+   * @param {Date} now - Reference time
+   * @returns {Object} Projection with the day the budget is expected to run out, if any
+   */
+  async getSpendingForecast(userId, window, budget, now = new Date()) {
+    const { startDate, endDate } = window;
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const round = (value) => Math.round(value * 100) / 100;
+    
+    const totalDays = Math.round((endDate.getTime() + 1 - startDate.getTime()) / DAY_MS);
+    const elapsedDays = Math.min(totalDays, Math.max(1, Math.ceil((now - startDate) / DAY_MS)));
+    const remainingDays = totalDays - elapsedDays;
+    const historyStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - FORECAST_HISTORY_DAYS);
+    
+    const [current, history, upcoming] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { userId: userObjectId, type: 'expense', duplicateOf: null, date: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: { $cond: [{ $ifNull: ['$recurringTransactionId', false] }, 'recurring', 'variable'] },
+            total: { $sum: baseAmountExpression() }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        {
+          $match: {
+            userId: userObjectId,
+            type: 'expense',
+            duplicateOf: null,
+            recurringTransactionId: null,
+            date: { $gte: historyStart, $lt: startDate }
+          }
+        },
+        { $group: { _id: null, total: { $sum: baseAmountExpression() }, firstDate: { $min: '$date' } } }
+      ]),
+      this.getUpcomingRecurringExpenses(userId, endDate)
+    ]);
+    
+    const variableSpent = current.find(row => row._id === 'variable')?.total || 0;
+    const recurringSpent = current.find(row => row._id === 'recurring')?.total || 0;
+    const spent = variableSpent + recurringSpent;
+    
+    // New users have less than the full history window, so average over the days actually covered
+    let historicalDaily = null;
+    if (history.length > 0) {
+      const historyDays = Math.max(1, Math.ceil((startDate - history[0].firstDate) / DAY_MS));
+      historicalDaily = history[0].total / historyDays;
+    }
+    
+    // Early in the period the history dominates; the current pace takes over as the period goes on
+    const paceDaily = variableSpent / elapsedDays;
+    const weight = elapsedDays / totalDays;
+    const dailyRate = historicalDaily === null ? paceDaily : weight * paceDaily + (1 - weight) * historicalDaily;
+    
+    const upcomingTotal = upcoming.reduce((sum, item) => sum + item.amount, 0);
+    const projectedSpend = spent + dailyRate * remainingDays + upcomingTotal;
+    
+    // Walk the remaining days to find when cumulative spending first passes the budget
+    let projectedOverrunDate = null;
+    if (budget > 0 && spent <= budget && projectedSpend > budget) {
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      let cumulative = spent;
+      for (let day = 0; day <= remainingDays && !projectedOverrunDate; day++) {
+        const dayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() + day);
+        const dayEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + day + 1);
+        if (day > 0) cumulative += dailyRate;
+        upcoming
+          .filter(item => (day === 0 ? item.date < dayEnd : item.date >= dayStart && item.date < dayEnd))
+          .forEach(item => { cumulative += item.amount; });
+        if (cumulative > budget) projectedOverrunDate = dayStart;
+      }
+    }
+    
+    return {
+      spent: round(spent),
+      variableSpent: round(variableSpent),
+      recurringSpent: round(recurringSpent),
+      elapsedDays,
+      remainingDays,
+      totalDays,
+      paceDaily: round(paceDaily),
+      historicalDaily: historicalDaily === null ? null : round(historicalDaily),
+      dailyRate: round(dailyRate),
+      upcomingRecurring: {
+        total: round(upcomingTotal),
+        items: upcoming
+      },
+      projectedSpend: round(projectedSpend),
+      budget,
+      projectedRemaining: round(budget - projectedSpend),
+      projectedOverrun: budget > 0 && projectedSpend > budget,
+      projectedOverrunAmount: round(Math.max(0, projectedSpend - budget)),
+      projectedOverrunDate,
+      message: projectedOverrunDate
+        ? `At this pace you will exceed your budget on ${this.describeDay(projectedOverrunDate, now)}`
+        : null
+    };
+  }
+  
+  /**
+   * Human-readable day, e.g. "the 22nd", or "Nov 3rd" when it falls in another month
+   * @param {Date} date - Day to describe
+   * @param {Date} now - Reference time
+   * @returns {string} Description
+   */
+  describeDay(date, now = new Date()) {
+    const day = date.getDate();
+    const suffix = (day % 100 >= 11 && day % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+    if (date.getMonth() === now.getMonth() && date.getFullYear() === now.getFullYear()) {
+      return `the ${day}${suffix}`;
+    }
+    return `${date.toLocaleString('en-US', { month: 'short' })} ${day}${suffix}`;
+  }
+  
   /**
    * Check if user has exceeded budget thresholds
    * @param {string} userId - User ID
@@ -72,69 +501,68 @@ class BudgetTrackingService {
       console.log(`🔍 Checking budget status for user: ${userId}`);
       
       const user = await User.findById(userId);
+      const hasCategoryBudgets = !!user && (user.categoryBudgets || []).some(b => b.amount > 0);
       if (!user || !user.monthlyBudget || user.monthlyBudget.amount === 0) {
         console.log('❌ No budget set for user');
         return {
           budgetSet: false,
-          message: 'No monthly budget set'
+          message: 'No monthly budget set',
+          categoryBudgets: hasCategoryBudgets ? await this.checkCategoryBudgets(user) : []
         };
       }
       
-      const monthlyData = await this.getMonthlyExpenses(userId);
+      const monthlyData = await this.getPeriodExpenses(userId, getPeriodWindow(user.monthlyBudget.period));
       const budget = user.monthlyBudget.amount;
       const spent = monthlyData.totalExpenses;
-      const percentageUsed = (spent / budget) * 100;
-      
-      const warningThreshold = user.monthlyBudget.alertThresholds.warning;
-      const criticalThreshold = user.monthlyBudget.alertThresholds.critical;
+      const rollover = await this.getRollover(userId, user.monthlyBudget, monthlyData.period.startDate);
+      const availableBudget = budget + rollover.carriedOver;
+      // A carried overspend can leave nothing available, which counts as fully used
+      const percentageUsed = availableBudget > 0 ? (spent / availableBudget) * 100 : 100;
       
-      let alertLevel = 'safe';
-      let shouldSendAlert = false;
-      let alertType = null;
+      // Alert state is kept per period, so a new period starts with a clean slate
+      const sentThisPeriod = await BudgetAlert.find({
+        userId,
+        scope: 'overall',
+        periodStart: monthlyData.period.startDate
+      }).lean();
       
-      const now = new Date();
-      const lastWarningAlert = user.monthlyBudget.lastAlertSent?.warning;
-      const lastCriticalAlert = user.monthlyBudget.lastAlertSent?.critical;
-      
-      // Check if we need to send alerts (only once per day for each threshold)
-      const isNewDay = (lastAlert) => {
-        if (!lastAlert) return true;
-        const lastAlertDate = new Date(lastAlert);
-        return now.toDateString() !== lastAlertDate.toDateString();
-      };
+      const thresholds = resolveThresholds(user.monthlyBudget);
+      const { alertLevel, shouldSendAlert, alertType, alertStep, threshold } = this.evaluateThresholds(
+        percentageUsed,
+        thresholds,
+        sentThisPeriod,
+        user.monthlyBudget.realertEvery || 0
+      );
       
-      if (percentageUsed >= criticalThreshold) {
-        alertLevel = 'critical';
-        if (isNewDay(lastCriticalAlert)) {
-          shouldSendAlert = true;
-          alertType = 'critical';
-        }
-      } else if (percentageUsed >= warningThreshold) {
-        alertLevel = 'warning';
-        if (isNewDay(lastWarningAlert)) {
-          shouldSendAlert = true;
-          alertType = 'warning';
-        }
-      }
+      // Warn early about a projected overrun, once per period and only while the budget still holds
+      const forecast = await this.getSpendingForecast(userId, monthlyData.period, availableBudget);
+      forecast.shouldSendAlert = !!forecast.projectedOverrunDate &&
+        !sentThisPeriod.some(alert => alert.alertType === 'projected');
       
       const result = {
         budgetSet: true,
+        currency: getBaseCurrency(user),
         budget,
+        carriedOver: rollover.carriedOver,
+        availableBudget,
         spent,
-        remaining: Math.max(0, budget - spent),
+        remaining: Math.max(0, availableBudget - spent),
         percentageUsed: Math.round(percentageUsed * 100) / 100,
         alertLevel,
         shouldSendAlert,
         alertType,
-        thresholds: {
-          warning: warningThreshold,
-          critical: criticalThreshold
-        },
-        monthlyData
+        alertStep,
+        threshold,
+        realertEvery: user.monthlyBudget.realertEvery || 0,
+        thresholds,
+        monthlyData,
+        forecast,
+        rollover,
+        categoryBudgets: hasCategoryBudgets ? await this.checkCategoryBudgets(user) : []
       };
       
       console.log(`📈 Budget Status: ${percentageUsed.toFixed(1)}% used (${alertLevel})`);
-      console.log(`💸 Spent: $${spent} / Budget: $${budget}`);
+      console.log(`💸 Spent: ${spent} / Budget: ${availableBudget}`);
       
       return result;
     } catch (error) {
@@ -152,31 +580,37 @@ class BudgetTrackingService {
     try {
       const budgetStatus = await this.checkBudgetStatus(userId);
       
-      if (!budgetStatus.budgetSet) {
+      if (!budgetStatus.budgetSet && budgetStatus.categoryBudgets.length === 0) {
         return budgetStatus;
       }
       
-      // Get category breakdown
-      const now = new Date();
-      const startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      const endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+      // Get category breakdown for the overall budget's period (calendar month without one)
+      const { startDate, endDate } = budgetStatus.monthlyData
+        ? budgetStatus.monthlyData.period
+        : getPeriodWindow({ frequency: 'monthly' });
       
       const categoryBreakdown = await Transaction.aggregate([
         {
           $match: {
-            userId: userId,
+            userId: new mongoose.Types.ObjectId(userId),
             type: 'expense',
+            duplicateOf: null,
             date: {
               $gte: startDate,
               $lte: endDate
             }
           }
         },
+        // Split transactions count towards each of their categories
+        ...unwindCategoryLines(),
         {
+          // Aggregation lookups bypass the soft-delete plugin, so trashed categories are filtered here
           $lookup: {
             from: 'categories',
-            localField: 'categoryId',
-            foreignField: '_id',
+            let: { categoryId: '$categoryId' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$categoryId'] }, deletedAt: null } }
+            ],
             as: 'category'
           }
         },
@@ -193,15 +627,63 @@ class BudgetTrackingService {
         }
       ]);
       
-      return {
-        ...budgetStatus,
-        categoryBreakdown: categoryBreakdown.map(cat => ({
+      const totalSpent = budgetStatus.spent ?? categoryBreakdown.reduce((sum, cat) => sum + cat.totalAmount, 0);
+      const findBudget = (categoryId) => budgetStatus.categoryBudgets.find(
+        b => categoryId && b.categoryId.toString() === categoryId.toString()
+      );
+      
+      const breakdown = categoryBreakdown.map(cat => {
+        const categoryBudget = findBudget(cat._id);
+        // Spending still points at a category that has since gone to the trash; keep it visible under its own label
+        const categoryInTrash = !!cat._id && !cat.categoryName;
+        return {
           categoryId: cat._id,
-          categoryName: cat.categoryName || 'Uncategorized',
+          categoryName: categoryInTrash ? 'Deleted category' : (cat.categoryName || 'Uncategorized'),
+          categoryInTrash,
           amount: cat.totalAmount,
-          percentage: Math.round((cat.totalAmount / budgetStatus.spent) * 100 * 100) / 100,
-          transactionCount: cat.transactionCount
-        }))
+          percentage: totalSpent > 0 ? Math.round((cat.totalAmount / totalSpent) * 100 * 100) / 100 : 0,
+          transactionCount: cat.transactionCount,
+          budget: categoryBudget ? categoryBudget.budget : null,
+          availableBudget: categoryBudget ? categoryBudget.availableBudget : null,
+          remaining: categoryBudget ? categoryBudget.remaining : null,
+          percentageOfBudget: categoryBudget ? categoryBudget.percentageUsed : null,
+          alertLevel: categoryBudget ? categoryBudget.alertLevel : null,
+          budgetPeriod: categoryBudget ? categoryBudget.period : null
+        };
+      });
+      
+      // Budgeted categories without any spending yet still belong in budget vs actual
+      budgetStatus.categoryBudgets
+        .filter(b => !breakdown.some(cat => cat.categoryId && cat.categoryId.toString() === b.categoryId.toString()))
+        .forEach(b => breakdown.push({
+          categoryId: b.categoryId,
+          categoryName: b.categoryName,
+          categoryInTrash: false,
+          amount: 0,
+          percentage: 0,
+          transactionCount: 0,
+          budget: b.budget,
+          availableBudget: b.availableBudget,
+          remaining: b.remaining,
+          percentageOfBudget: 0,
+          alertLevel: b.alertLevel,
+          budgetPeriod: b.period
+        }));
+      
+      return {
+        ...budgetStatus,
+        categoryBreakdown: breakdown,
+        rolloverHistory: {
+          overall: budgetStatus.rollover ? budgetStatus.rollover.history : [],
+          categories: budgetStatus.categoryBudgets
+            .filter(b => b.rollover.enabled)
+            .map(b => ({
+              categoryId: b.categoryId,
+              categoryName: b.categoryName,
+              carriedOver: b.carriedOver,
+              history: b.rollover.history
+            }))
+        }
       };
     } catch (error) {
       console.error('Error getting budget overview:', error);
@@ -210,22 +692,122 @@ class BudgetTrackingService {
   }
   
   /**
-   * Update last alert sent timestamp
+   * Store an alert before it is sent; the history doubles as the de-duplication state for the period
    * @param {string} userId - User ID
-   * @param {string} alertType - 'warning' or 'critical'
+   * @param {Object} alert - { scope, categoryId, alertType, threshold, channel, period, step, percentageUsed, spent, budget, message }
+   * @returns {Object|null} Created BudgetAlert, or null when the same alert was already recorded
    */
-  async updateLastAlertSent(userId, alertType) {
+  async recordAlert(userId, alert) {
     try {
-      const updateField = `monthlyBudget.lastAlertSent.${alertType}`;
-      await User.findByIdAndUpdate(userId, {
-        [updateField]: new Date()
+      const record = await BudgetAlert.create({
+        userId,
+        scope: alert.scope,
+        categoryId: alert.categoryId || undefined,
+        alertType: alert.alertType,
+        threshold: alert.threshold,
+        channel: alert.channel,
+        periodStart: alert.period.startDate,
+        periodEnd: alert.period.endDate,
+        step: alert.step || 0,
+        percentageUsed: alert.percentageUsed,
+        spent: alert.spent,
+        budget: alert.budget,
+        message: alert.message
       });
-      console.log(`✅ Updated last ${alertType} alert timestamp for user ${userId}`);
+      console.log(`✅ Recorded ${alert.scope} ${alert.alertType} alert for user ${userId}`);
+      return record;
     } catch (error) {
-      console.error('Error updating last alert sent:', error);
+      // Another check (e.g. the sweep racing a new transaction) recorded it first
+      if (error.code === 11000) {
+        console.log(`⏭️ ${alert.scope} ${alert.alertType} alert already sent to user ${userId} this period`);
+        return null;
+      }
+      console.error('Error recording budget alert:', error);
       throw error;
     }
   }
+  
+  /**
+   * Forget a recorded alert that could not be delivered, so the next check tries again
+   * @param {Object} record - BudgetAlert returned by recordAlert
+   */
+  async releaseAlert(record) {
+    await BudgetAlert.deleteOne({ _id: record._id });
+  }
+  
+  /**
+   * Move the old { warning, critical } alertThresholds of every user into threshold lists, and drop the
+   * lastAlertSent dates the BudgetAlert history replaced
+   * Runs at startup and is a no-op once nothing is left to migrate
+   * @returns {number} Number of users migrated
+   */
+  async migrateLegacyThresholds() {
+    // The old fields are no longer in the schema, so read and write the raw documents
+    const cursor = User.collection.find(
+      {
+        $or: [
+          { 'monthlyBudget.alertThresholds': { $exists: true } },
+          { 'categoryBudgets.alertThresholds': { $exists: true } },
+          { 'monthlyBudget.lastAlertSent': { $exists: true } },
+          { 'categoryBudgets.lastAlertSent': { $exists: true } }
+        ]
+      },
+      { projection: { monthlyBudget: 1, categoryBudgets: 1 } }
+    );
+    
+    const operations = [];
+    for await (const user of cursor) {
+      const set = {};
+      const unset = {};
+      
+      if (user.monthlyBudget && user.monthlyBudget.alertThresholds) {
+        if (!user.monthlyBudget.thresholds || user.monthlyBudget.thresholds.length === 0) {
+          set['monthlyBudget.thresholds'] = fromLegacyThresholds(user.monthlyBudget.alertThresholds);
+        }
+        unset['monthlyBudget.alertThresholds'] = '';
+      }
+      if (user.monthlyBudget && user.monthlyBudget.lastAlertSent !== undefined) {
+        unset['monthlyBudget.lastAlertSent'] = '';
+      }
+      
+      (user.categoryBudgets || []).forEach((categoryBudget, i) => {
+        if (categoryBudget.lastAlertSent !== undefined) {
+          unset[`categoryBudgets.${i}.lastAlertSent`] = '';
+        }
+        if (!categoryBudget.alertThresholds) return;
+        if (!categoryBudget.thresholds || categoryBudget.thresholds.length === 0) {
+          set[`categoryBudgets.${i}.thresholds`] = fromLegacyThresholds(categoryBudget.alertThresholds);
+        }
+        unset[`categoryBudgets.${i}.alertThresholds`] = '';
+      });
+      
+      const update = { $unset: unset };
+      if (Object.keys(set).length > 0) update.$set = set;
+      operations.push({ updateOne: { filter: { _id: user._id }, update } });
+    }
+    
+    if (operations.length > 0) {
+      await User.collection.bulkWrite(operations, { ordered: false });
+      console.log(`🔀 Migrated legacy budget alert settings of ${operations.length} user(s)`);
+    }
+    return operations.length;
+  }
+  
+  /**
+   * Get the history of alerts sent to a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, categoryId, before }
+   * @returns {Array} Alerts, newest first
+   */
+  async getAlertHistory(userId, { limit = 50, categoryId = null, before = null } = {}) {
+    const query = { userId };
+    if (categoryId) query.categoryId = categoryId;
+    if (before) query.createdAt = { $lt: before };
+    return BudgetAlert.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('categoryId', 'name');
+  }
 }
 
 module.exports = new BudgetTrackingService();
\ No newline at end of file
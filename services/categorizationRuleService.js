@@ -0,0 +1,171 @@
+const CategorizationRule = require('../models/CategorizationRule');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auditService = require('./auditService');
+const { MAX_REGEX_INPUT_LENGTH, checkRegexPattern } = require('../utils/safeRegex');
+
+class CategorizationRuleService {
+  /**
+   * Get a user's active rules in evaluation order
+   * Rules whose category is in the trash come back without it, so they only add tags until it is restored
+   * @param {string} userId - User ID
+   * @returns {Array} Rules, highest priority first
+   */
+  async getActiveRules(userId) {
+    const rules = await CategorizationRule.find({ userId, active: true }).sort({ priority: -1, createdAt: 1 }).lean();
+    const categoryIds = rules.map(rule => rule.categoryId).filter(Boolean);
+    if (categoryIds.length === 0) return rules;
+
+    const live = await Category.find({ _id: { $in: categoryIds } }).distinct('_id');
+    const liveIds = new Set(live.map(id => id.toString()));
+    return rules.map(rule => (rule.categoryId && !liveIds.has(rule.categoryId.toString()) ? { ...rule, categoryId: null } : rule));
+  }
+
+  /**
+   * Check a single condition against a transaction
+   * @param {Object} condition - { field, operator, value, caseSensitive }
+   * @param {Object} transaction - Transaction fields
+   * @returns {boolean} True when the condition matches
+   */
+  matchesCondition(condition, transaction) {
+    const raw = transaction[condition.field || 'title'];
+    if (raw === undefined || raw === null) return false;
+
+    if (condition.operator === 'regex') {
+      // Rules saved before patterns were restricted are checked again rather than trusted
+      if (checkRegexPattern(condition.value)) return false;
+      return new RegExp(condition.value, condition.caseSensitive ? '' : 'i').test(String(raw).slice(0, MAX_REGEX_INPUT_LENGTH));
+    }
+
+    const text = condition.caseSensitive ? String(raw) : String(raw).toLowerCase();
+    const value = condition.caseSensitive ? condition.value : condition.value.toLowerCase();
+
+    switch (condition.operator) {
+      case 'equals':
+        return text.trim() === value.trim();
+      case 'startsWith':
+        return text.startsWith(value);
+      case 'endsWith':
+        return text.endsWith(value);
+      case 'contains':
+      default:
+        return text.includes(value);
+    }
+  }
+
+  /**
+   * Check whether a rule matches a transaction
+   * @param {Object} rule - Categorization rule
+   * @param {Object} transaction - Transaction fields
+   * @returns {boolean} True when the rule applies
+   */
+  matchesRule(rule, transaction) {
+    if (rule.transactionType && rule.transactionType !== transaction.type) return false;
+    if (rule.minAmount !== undefined && rule.minAmount !== null && transaction.amount < rule.minAmount) return false;
+    if (rule.maxAmount !== undefined && rule.maxAmount !== null && transaction.amount > rule.maxAmount) return false;
+
+    const results = rule.conditions.map(condition => this.matchesCondition(condition, transaction));
+    return rule.matchType === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Work out what the rules would change on a transaction
+   * The first matching rule with a category sets it; tags from every matching rule are appended
+   * @param {Object} transaction - Transaction fields
+   * @param {Array} rules - Rules in evaluation order
+   * @returns {Object} { categoryId, tags, matchedRuleIds }
+   */
+  evaluate(transaction, rules) {
+    let categoryId = null;
+    const tags = [...(transaction.tags || [])];
+    const matchedRuleIds = [];
+
+    rules.forEach(rule => {
+      if (!this.matchesRule(rule, transaction)) return;
+      matchedRuleIds.push(rule._id);
+      if (!categoryId && rule.categoryId) {
+        categoryId = rule.categoryId;
+      }
+      (rule.addTags || []).forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+    });
+
+    return { categoryId, tags, matchedRuleIds };
+  }
+
+  /**
+   * Apply rules to transaction fields when no category was given
+   * @param {Object} transaction - Transaction fields (mutated in place)
+   * @param {Array} rules - Rules in evaluation order
+   * @returns {boolean} True when the rules changed the category or tags
+   */
+  applyRules(transaction, rules) {
+    const hasSplits = transaction.splits && transaction.splits.length > 0;
+    if (transaction.type === 'transfer' || transaction.categoryId || hasSplits || rules.length === 0) return false;
+
+    const { categoryId, tags } = this.evaluate(transaction, rules);
+    const addedTags = tags.length > (transaction.tags || []).length;
+    if (!categoryId && !addedTags) return false;
+
+    if (categoryId) transaction.categoryId = categoryId;
+    transaction.tags = tags;
+    return true;
+  }
+
+  /**
+   * Apply a user's rules to a new transaction
+   * @param {string} userId - User ID
+   * @param {Object} transaction - Transaction fields (mutated in place)
+   * @returns {Object} The same transaction fields
+   */
+  async categorize(userId, transaction) {
+    if (transaction.categoryId) return transaction;
+    const rules = await this.getActiveRules(userId);
+    this.applyRules(transaction, rules);
+    return transaction;
+  }
+
+  /**
+   * Re-run rules on the user's existing uncategorized transactions
+   * @param {string} userId - User ID
+   * @returns {Object} Counts of scanned and updated transactions
+   */
+  async applyToUncategorized(userId) {
+    const rules = await this.getActiveRules(userId);
+    const transactions = await Transaction.find({
+      userId,
+      type: { $ne: 'transfer' },
+      categoryId: null,
+      'splits.0': { $exists: false }
+    });
+
+    if (rules.length === 0 || transactions.length === 0) {
+      return { scanned: transactions.length, updated: 0 };
+    }
+
+    const operations = [];
+    const auditEntries = [];
+    transactions.forEach(transaction => {
+      const fields = transaction.toObject();
+      if (!this.applyRules(fields, rules)) return;
+      auditEntries.push({ userId, actorId: userId, entityType: 'transaction', before: transaction, after: fields });
+      operations.push({
+        updateOne: {
+          filter: { _id: transaction._id, userId },
+          update: { $set: { categoryId: fields.categoryId || null, tags: fields.tags } }
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await Transaction.bulkWrite(operations);
+      await auditService.recordMany(auditEntries);
+    }
+
+    console.log(`🏷️ Categorization rules updated ${operations.length} of ${transactions.length} uncategorized transactions`);
+    return { scanned: transactions.length, updated: operations.length };
+  }
+}
+
+module.exports = new CategorizationRuleService();
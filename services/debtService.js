@@ -0,0 +1,203 @@
+const Debt = require('../models/Debt');
+const { monthlyRate, nextDueDate, buildSchedule, simulatePayoff } = require('../utils/amortization');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class DebtService {
+  /**
+   * Work out what is owed today from the starting principal, monthly interest and recorded payments
+   * Interest is charged on each due date on the balance carried into that month; payments made during
+   * the month are applied after it. Payments whose transaction is in the trash are left out
+   * @param {Object} debt - Debt document
+   * @param {Date} now - Reference date
+   * @returns {Object} { balance, interestCharged, totalPaid }
+   */
+  getCurrentBalance(debt, now = new Date()) {
+    const rate = monthlyRate(debt.apr);
+    const payments = (debt.payments || []).filter(p => !p.trashed).sort((a, b) => a.date - b.date);
+    const start = new Date(debt.startDate);
+    let balance = debt.principal;
+    let interestCharged = 0;
+    let next = 0;
+
+    const applyPaymentsBefore = (until, inclusive) => {
+      while (next < payments.length && (inclusive ? payments[next].date <= until : payments[next].date < until)) {
+        balance -= payments[next].amount;
+        next++;
+      }
+    };
+
+    // Payments dated before the debt was added are already reflected in the principal
+    while (next < payments.length && payments[next].date < start) next++;
+    for (let due = nextDueDate(debt.dueDay, start); due <= now; due = nextDueDate(debt.dueDay, due)) {
+      const interest = round(Math.max(0, balance) * rate);
+      balance += interest;
+      interestCharged += interest;
+      applyPaymentsBefore(due, false);
+    }
+    applyPaymentsBefore(now, true);
+
+    return {
+      balance: round(Math.max(0, balance)),
+      interestCharged: round(interestCharged),
+      totalPaid: round(payments.reduce((sum, p) => sum + p.amount, 0))
+    };
+  }
+
+  /**
+   * A debt as returned by the API, with its balance and the payoff at the minimum payment
+   * @param {Object} debt - Debt document
+   * @returns {Object} Debt fields plus summary
+   */
+  withSummary(debt) {
+    const now = new Date();
+    const { balance, interestCharged, totalPaid } = this.getCurrentBalance(debt, now);
+    const atMinimum = buildSchedule({
+      balance,
+      apr: debt.apr,
+      payment: debt.minimumPayment,
+      dueDay: debt.dueDay,
+      from: now
+    });
+
+    return {
+      ...debt.toObject(),
+      summary: {
+        currentBalance: balance,
+        totalPaid,
+        interestCharged,
+        nextDueDate: balance > 0 ? nextDueDate(debt.dueDay, now) : null,
+        monthsToPayoffAtMinimum: atMinimum.months,
+        payoffDateAtMinimum: atMinimum.payoffDate,
+        interestAtMinimum: atMinimum.totalInterest,
+        paysOffAtMinimum: atMinimum.paysOff
+      }
+    };
+  }
+
+  /**
+   * Amortization schedule for a debt from its current balance
+   * @param {Object} debt - Debt document
+   * @param {number} payment - Monthly payment (defaults to the minimum payment)
+   * @returns {Object} Result of buildSchedule plus the balance and payment used
+   */
+  getSchedule(debt, payment) {
+    const now = new Date();
+    const { balance } = this.getCurrentBalance(debt, now);
+    const monthlyPayment = payment || debt.minimumPayment;
+    return {
+      currentBalance: balance,
+      monthlyPayment,
+      ...buildSchedule({ balance, apr: debt.apr, payment: monthlyPayment, dueDay: debt.dueDay, from: now })
+    };
+  }
+
+  /**
+   * Compare paying off every open debt with the avalanche (highest APR first) and snowball
+   * (smallest balance first) strategies for the same monthly amount
+   * @param {string} userId - User ID
+   * @param {Object} options - { monthlyPayment } total paid per month (defaults to the sum of minimums)
+   * @returns {Object} Plan, or { error, status } when the payment is too low
+   */
+  async getPayoffPlan(userId, { monthlyPayment } = {}) {
+    const debts = await Debt.find({ userId, archived: false });
+    const open = debts
+      .map(debt => ({
+        id: debt._id,
+        name: debt.name,
+        balance: this.getCurrentBalance(debt).balance,
+        apr: debt.apr,
+        minimumPayment: debt.minimumPayment
+      }))
+      .filter(debt => debt.balance > 0);
+
+    const minimumPaymentsTotal = round(open.reduce((sum, debt) => sum + debt.minimumPayment, 0));
+    const payment = monthlyPayment ?? minimumPaymentsTotal;
+    if (payment < minimumPaymentsTotal) {
+      return { error: `Monthly payment must cover the minimum payments of ${minimumPaymentsTotal.toFixed(2)}`, status: 400 };
+    }
+
+    const avalanche = simulatePayoff(
+      [...open].sort((a, b) => b.apr - a.apr || a.balance - b.balance),
+      payment
+    );
+    const snowball = simulatePayoff(
+      [...open].sort((a, b) => a.balance - b.balance || b.apr - a.apr),
+      payment
+    );
+
+    let recommended = null;
+    if (avalanche.paysOff && snowball.paysOff) {
+      recommended = snowball.totalInterest < avalanche.totalInterest ? 'snowball' : 'avalanche';
+    }
+
+    return {
+      totalBalance: round(open.reduce((sum, debt) => sum + debt.balance, 0)),
+      minimumPaymentsTotal,
+      monthlyPayment: payment,
+      avalanche,
+      snowball,
+      recommended,
+      interestSavedWithAvalanche: recommended ? round(snowball.totalInterest - avalanche.totalInterest) : null
+    };
+  }
+
+  /**
+   * Record a payment against a debt, marking it paid off once nothing is owed
+   * @param {Object} debt - Debt document
+   * @param {Object} payment - { amount, date, source, transactionId, note }
+   * @returns {Object} The saved debt
+   */
+  async addPayment(debt, payment) {
+    debt.payments.push(payment);
+    this.updatePaidOff(debt);
+    await debt.save();
+    return debt;
+  }
+
+  /**
+   * Keep paidOffAt in step with the current balance
+   * @param {Object} debt - Debt document (saved by the caller)
+   */
+  updatePaidOff(debt) {
+    const { balance } = this.getCurrentBalance(debt);
+    if (balance === 0 && !debt.paidOffAt) {
+      debt.paidOffAt = new Date();
+      console.log(`🎉 Debt "${debt.name}" paid off for user ${debt.userId}`);
+    } else if (balance > 0 && debt.paidOffAt) {
+      debt.paidOffAt = undefined;
+    }
+  }
+
+  /**
+   * Stop or resume counting payments linked to transactions moved to or restored from the trash
+   * @param {string} userId - User ID
+   * @param {Array} transactionIds - Trashed or restored transaction IDs
+   * @param {boolean} trashed - Whether the transactions are now in the trash
+   * @returns {number} Debts updated
+   */
+  async setTransactionPaymentsTrashed(userId, transactionIds, trashed) {
+    const result = await Debt.updateMany(
+      { userId, 'payments.transactionId': { $in: transactionIds } },
+      { $set: { 'payments.$[linked].trashed': trashed } },
+      { arrayFilters: [{ 'linked.transactionId': { $in: transactionIds } }] }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Drop payments linked to transactions that no longer exist
+   * @param {string} userId - User ID
+   * @param {Array} transactionIds - Deleted transaction IDs
+   * @returns {number} Debts updated
+   */
+  async removeTransactionPayments(userId, transactionIds) {
+    const result = await Debt.updateMany(
+      { userId, 'payments.transactionId': { $in: transactionIds } },
+      { $pull: { payments: { transactionId: { $in: transactionIds } } } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new DebtService();
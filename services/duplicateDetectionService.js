@@ -0,0 +1,221 @@
+const Transaction = require('../models/Transaction');
+const goalService = require('./goalService');
+const debtService = require('./debtService');
+const attachmentService = require('./attachmentService');
+const auditService = require('./auditService');
+
+const DEFAULT_WINDOW_DAYS = 3;
+const DEFAULT_MIN_SIMILARITY = 0.6;
+const DEFAULT_LOOKBACK_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DuplicateDetectionService {
+  /**
+   * Normalize a title for comparison: lowercase letters only, single spaces
+   * @param {string} title - Transaction title
+   * @returns {string} Normalized title
+   */
+  normalizeTitle(title = '') {
+    return title.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  }
+
+  /**
+   * Similarity of two titles between 0 and 1 (Dice coefficient over character bigrams)
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Similarity score
+   */
+  titleSimilarity(a, b) {
+    const left = this.normalizeTitle(a);
+    const right = this.normalizeTitle(b);
+    if (!left || !right) return left === right ? 1 : 0;
+    if (left === right || left.includes(right) || right.includes(left)) return 1;
+
+    const bigrams = (text) => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let overlap = 0;
+    leftGrams.forEach((count, gram) => {
+      overlap += Math.min(count, rightGrams.get(gram) || 0);
+    });
+    const total = (left.length - 1) + (right.length - 1);
+    return total > 0 ? (2 * overlap) / total : 0;
+  }
+
+  /**
+   * Decide whether two transactions are likely the same real-world movement
+   * @param {Object} a - Transaction
+   * @param {Object} b - Transaction
+   * @param {Object} options - { windowDays, minSimilarity }
+   * @returns {boolean} True when they look like duplicates
+   */
+  isLikelyDuplicate(a, b, { windowDays, minSimilarity }) {
+    if (a.type !== b.type) return false;
+    if (Math.round(a.amount * 100) !== Math.round(b.amount * 100)) return false;
+    if (Math.abs(new Date(a.date) - new Date(b.date)) > windowDays * DAY_MS) return false;
+
+    // Two distinct bank records (e.g. two coffees on the same day) are never duplicates of each other
+    if (a.externalId && b.externalId) return false;
+
+    return this.titleSimilarity(a.title, b.title) >= minSimilarity;
+  }
+
+  /**
+   * Find groups of likely duplicate transactions for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - { startDate, endDate, windowDays, minSimilarity }
+   * @returns {Array} Groups, each with the transactions involved and a suggested record to keep
+   */
+  async findDuplicates(userId, options = {}) {
+    const windowDays = options.windowDays ?? DEFAULT_WINDOW_DAYS;
+    const minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+    const endDate = options.endDate || new Date();
+    const startDate = options.startDate || new Date(endDate.getTime() - DEFAULT_LOOKBACK_DAYS * DAY_MS);
+
+    const transactions = await Transaction.find({
+      userId,
+      duplicateOf: null,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: 1 });
+
+    // Only transactions with the same type and amount can match, so compare within those buckets
+    const buckets = new Map();
+    transactions.forEach(t => {
+      const key = `${t.type}:${Math.round(t.amount * 100)}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(t);
+    });
+
+    const groups = [];
+    buckets.forEach(bucket => {
+      if (bucket.length < 2) return;
+
+      // Union-find so chains of pairwise matches end up in a single group
+      const parent = bucket.map((_, i) => i);
+      const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          if (new Date(bucket[j].date) - new Date(bucket[i].date) > windowDays * DAY_MS) break;
+          if (this.isLikelyDuplicate(bucket[i], bucket[j], { windowDays, minSimilarity })) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
+
+      const clusters = new Map();
+      bucket.forEach((t, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(t);
+      });
+
+      clusters.forEach(members => {
+        if (members.length < 2) return;
+        groups.push({
+          amount: members[0].amount,
+          type: members[0].type,
+          suggestedKeepId: this.suggestKeeper(members)._id,
+          transactions: members
+        });
+      });
+    });
+
+    return groups.sort((a, b) => new Date(b.transactions[0].date) - new Date(a.transactions[0].date));
+  }
+
+  /**
+   * Pick the record to keep: prefer bank-imported, then categorized, then described, then oldest
+   * @param {Array} members - Transactions in a duplicate group
+   * @returns {Object} Transaction to keep
+   */
+  suggestKeeper(members) {
+    const score = (t) => (t.externalId ? 4 : 0) + (t.categoryId ? 2 : 0) + (t.description ? 1 : 0);
+    return [...members].sort((a, b) => score(b) - score(a) || new Date(a.createdAt) - new Date(b.createdAt))[0];
+  }
+
+  /**
+   * Merge duplicates into one transaction
+   * @param {string} userId - User ID
+   * @param {string} keepId - Transaction to keep
+   * @param {Array} duplicateIds - Transactions to remove or link
+   * @param {string} mode - 'delete' removes the duplicates, 'link' keeps them marked as duplicateOf the kept one
+   * @returns {Object} { kept, merged } or { error, status }
+   */
+  async mergeDuplicates(userId, keepId, duplicateIds, mode = 'delete') {
+    const ids = [...new Set(duplicateIds.map(String))].filter(id => id !== String(keepId));
+    if (ids.length === 0) {
+      return { error: 'At least one duplicate different from the kept transaction is required', status: 400 };
+    }
+
+    const kept = await Transaction.findOne({ _id: keepId, userId, duplicateOf: null });
+    if (!kept) {
+      return { error: 'Transaction to keep not found', status: 404 };
+    }
+
+    const duplicates = await Transaction.find({ _id: { $in: ids }, userId });
+    if (duplicates.length !== ids.length) {
+      return { error: 'One or more duplicate transactions not found', status: 404 };
+    }
+
+    const keptBefore = kept.toObject();
+    // Carry over details the kept record is missing
+    if (!kept.categoryId) {
+      const withCategory = duplicates.find(t => t.categoryId);
+      if (withCategory) kept.categoryId = withCategory.categoryId;
+    }
+    if (!kept.description) {
+      const withDescription = duplicates.find(t => t.description);
+      if (withDescription) kept.description = withDescription.description;
+    }
+    await kept.save();
+
+    // Anything linked to one of the duplicates is re-pointed to the kept transaction
+    const relinked = await Transaction.find({ userId, duplicateOf: { $in: ids } });
+    const audit = (before, after) => ({ userId, actorId: userId, entityType: 'transaction', before, after });
+    const auditEntries = [
+      audit(keptBefore, kept),
+      ...relinked.map(t => audit(t, { ...t.toObject(), duplicateOf: kept._id }))
+    ];
+
+    if (mode === 'link') {
+      await Transaction.updateMany(
+        { _id: { $in: ids }, userId },
+        { duplicateOf: kept._id }
+      );
+      await Transaction.updateMany(
+        { userId, duplicateOf: { $in: ids } },
+        { duplicateOf: kept._id }
+      );
+      auditEntries.push(...duplicates.map(t => audit(t, { ...t.toObject(), duplicateOf: kept._id })));
+    } else {
+      await Transaction.updateMany(
+        { userId, duplicateOf: { $in: ids } },
+        { duplicateOf: kept._id }
+      );
+      // Merged duplicates go to the trash like any other deleted transaction
+      const deletedAt = new Date();
+      await Transaction.updateMany({ _id: { $in: ids }, userId }, { deletedAt });
+      auditEntries.push(...duplicates.map(t => ({ ...audit(t, { ...t.toObject(), deletedAt }), action: 'delete' })));
+      await goalService.setTransactionContributionsTrashed(userId, ids, true);
+      await debtService.setTransactionPaymentsTrashed(userId, ids, true);
+      // Receipts of the deleted duplicates still belong to the purchase
+      await attachmentService.moveToTransaction(userId, ids, kept._id);
+    }
+
+    await auditService.recordMany(auditEntries);
+
+    console.log(`🔗 Merged ${ids.length} duplicate(s) into transaction ${kept._id} (${mode})`);
+    return { kept, merged: ids.length, mode };
+  }
+}
+
+module.exports = new DuplicateDetectionService();
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatMoney } = require('../utils/currency');
 
 class EmailService {
   constructor() {
@@ -121,7 +122,7 @@ class EmailService {
     }
   }
 
-  async sendTransactionAlert(email, name, transaction) {
+  async sendTransactionAlert(email, name, transaction, reason) {
     const mailOptions = {
       from: process.env.FROM_EMAIL || 'noreply@balancio.com',
       to: email,
@@ -129,8 +130,9 @@ class EmailService {
       html: `
         <h2>Transaction Alert</h2>
         <p>Hi ${name},</p>
-        <p>A new ${transaction.type} of $${transaction.amount} has been recorded.</p>
-        <p>Description: ${transaction.description}</p>
+        <p>A new ${transaction.type} of ${formatMoney(Number(transaction.amount), transaction.currency)} has been recorded.</p>
+        ${reason ? `<p><strong>Why you are seeing this:</strong> ${reason}.</p>` : ''}
+        <p>Description: ${transaction.description || transaction.title}</p>
         <p>Best regards,<br>The Balancio Team</p>
       `
     };
@@ -138,8 +140,10 @@ class EmailService {
     try {
       await this.transporter.sendMail(mailOptions);
       console.log('Transaction alert sent to:', email);
+      return { success: true };
     } catch (error) {
       console.error('Error sending transaction alert:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -150,21 +154,37 @@ class EmailService {
       spent,
       remaining,
       percentageUsed,
-      monthlyData
+      monthlyData,
+      categoryName,
+      message,
+      currency
     } = budgetData;
     
+    const isInfo = alertType === 'info';
     const isWarning = alertType === 'warning';
     const isCritical = alertType === 'critical';
     
-    const alertColor = isCritical ? '#dc2626' : '#f59e0b';
-    const alertIcon = isCritical ? '🚨' : '⚠️';
-    const alertTitle = isCritical ? 'Critical Budget Alert' : 'Budget Warning';
-    const alertMessage = isCritical 
-      ? 'You have reached the critical spending threshold for this month'
-      : 'You are approaching your monthly budget limit';
+    // Budgets can run over weeks, pay periods or quarters; older callers only pass month/year
+    const period = monthlyData.period || { name: 'Monthly', unit: 'month', label: `${monthlyData.month}/${monthlyData.year}` };
+    
+    // Category budget alerts reuse the same layout, labelled with the category
+    const budgetLabel = categoryName ? `${categoryName} Budget` : 'Budget';
+    const alertColor = isCritical ? '#dc2626' : isInfo ? '#2563eb' : '#f59e0b';
+    const alertIcon = isCritical ? '🚨' : isInfo ? 'ℹ️' : '⚠️';
+    const alertTitle = isCritical ? `Critical ${budgetLabel} Alert` : isInfo ? `${budgetLabel} Milestone` : `${budgetLabel} Warning`;
+    // A threshold's own message replaces the default text
+    const alertMessage = message ? message.replace(/\.$/, '') : isInfo
+      ? `You have used ${percentageUsed.toFixed(1)}% of your ${period.name.toLowerCase()} ${categoryName ? `${categoryName} ` : ''}budget`
+      : categoryName
+      ? (isCritical
+        ? `You have reached the critical spending threshold for ${categoryName} this ${period.unit}`
+        : `You are approaching your ${period.name.toLowerCase()} ${categoryName} budget limit`)
+      : (isCritical
+        ? `You have reached the critical spending threshold for this ${period.unit}`
+        : `You are approaching your ${period.name.toLowerCase()} budget limit`);
     
     const progressBarWidth = Math.min(percentageUsed, 100);
-    const progressBarColor = isCritical ? '#dc2626' : isWarning ? '#f59e0b' : '#10b981';
+    const progressBarColor = isCritical ? '#dc2626' : isWarning ? '#f59e0b' : isInfo ? '#2563eb' : '#10b981';
     
     const mailOptions = {
       from: process.env.FROM_EMAIL || 'noreply@balancio.com',
@@ -197,8 +217,8 @@ class EmailService {
               <!-- Budget Progress -->
               <div style="background-color: #f8fafc; border: 2px solid ${alertColor}; border-radius: 12px; padding: 24px; margin: 30px 0;">
                 <div style="text-align: center; margin-bottom: 20px;">
-                  <h3 style="color: #1f2937; font-size: 18px; font-weight: 600; margin: 0 0 8px 0;">Monthly Budget Progress</h3>
-                  <p style="color: #6b7280; font-size: 14px; margin: 0;">${monthlyData.month}/${monthlyData.year}</p>
+                  <h3 style="color: #1f2937; font-size: 18px; font-weight: 600; margin: 0 0 8px 0;">${period.name} ${budgetLabel} Progress</h3>
+                  <p style="color: #6b7280; font-size: 14px; margin: 0;">${period.label}</p>
                 </div>
                 
                 <!-- Progress Bar -->
@@ -209,17 +229,17 @@ class EmailService {
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 20px;">
                   <div style="text-align: center;">
                     <p style="color: #6b7280; font-size: 12px; font-weight: 600; margin: 0 0 4px 0; text-transform: uppercase;">Budget</p>
-                    <p style="color: #1f2937; font-size: 20px; font-weight: 700; margin: 0;">$${budget.toFixed(2)}</p>
+                    <p style="color: #1f2937; font-size: 20px; font-weight: 700; margin: 0;">${formatMoney(budget, currency)}</p>
                   </div>
                   <div style="text-align: center;">
                     <p style="color: #6b7280; font-size: 12px; font-weight: 600; margin: 0 0 4px 0; text-transform: uppercase;">Spent</p>
-                    <p style="color: ${alertColor}; font-size: 20px; font-weight: 700; margin: 0;">$${spent.toFixed(2)}</p>
+                    <p style="color: ${alertColor}; font-size: 20px; font-weight: 700; margin: 0;">${formatMoney(spent, currency)}</p>
                   </div>
                 </div>
                 
                 <div style="text-align: center; margin-top: 20px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
                   <p style="color: #6b7280; font-size: 12px; font-weight: 600; margin: 0 0 4px 0; text-transform: uppercase;">Remaining</p>
-                  <p style="color: ${remaining > 0 ? '#10b981' : '#dc2626'}; font-size: 24px; font-weight: 700; margin: 0;">$${remaining.toFixed(2)}</p>
+                  <p style="color: ${remaining > 0 ? '#10b981' : '#dc2626'}; font-size: 24px; font-weight: 700; margin: 0;">${formatMoney(remaining, currency)}</p>
                   <p style="color: #6b7280; font-size: 14px; margin: 8px 0 0 0;">${percentageUsed.toFixed(1)}% of budget used</p>
                 </div>
               </div>
@@ -229,7 +249,9 @@ class EmailService {
                 <h3 style="color: #1d4ed8; font-size: 16px; font-weight: 600; margin: 0 0 12px 0;">💡 Recommended Actions:</h3>
                 <ul style="color: #4b5563; font-size: 14px; line-height: 1.6; margin: 0; padding-left: 20px;">
                   ${isCritical 
-                    ? '<li>Review and reduce non-essential expenses immediately</li><li>Consider adjusting your budget for next month</li><li>Look for opportunities to increase income</li>' 
+                    ? `<li>Review and reduce non-essential expenses immediately</li><li>Consider adjusting your budget for next ${period.unit}</li><li>Look for opportunities to increase income</li>` 
+                    : isInfo
+                    ? '<li>Check which categories are driving your spending</li><li>Plan the rest of your spending for this period</li>'
                     : '<li>Review your recent expenses and identify areas to cut back</li><li>Consider postponing non-essential purchases</li><li>Track daily spending more closely</li>'
                   }
                 </ul>
@@ -265,7 +287,170 @@ class EmailService {
     }
   }
 
+  async sendProjectedOverrunAlert(email, name, forecastData) {
+    const {
+      budget,
+      spent,
+      projectedSpend,
+      projectedOverrunAmount,
+      dailyRate,
+      upcomingRecurring,
+      message,
+      period,
+      currency
+    } = forecastData;
+
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@balancio.com',
+      to: email,
+      subject: '📈 Projected Budget Overrun - Balancio Budget Alert',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Projected Budget Overrun - Balancio</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f8fafc;">
+          <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+            
+            <!-- Header -->
+            <div style="background-color: #f59e0b; padding: 30px; text-align: center;">
+              <div style="font-size: 48px; margin-bottom: 16px;">📈</div>
+              <h1 style="color: white; font-size: 28px; font-weight: 600; margin: 0;">Projected Budget Overrun</h1>
+              <p style="color: rgba(255, 255, 255, 0.9); font-size: 16px; margin: 8px 0 0 0;">${period.label}</p>
+            </div>
+            
+            <!-- Content -->
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #1f2937; font-size: 24px; font-weight: 600; margin: 0 0 20px 0;">Hi ${name},</h2>
+              
+              <p style="color: #4b5563; font-size: 16px; margin: 0 0 30px 0; line-height: 1.6;">${message}. You haven't gone over yet, so there is still time to adjust.</p>
+              
+              <div style="background-color: #f8fafc; border: 2px solid #f59e0b; border-radius: 12px; padding: 24px; margin: 30px 0;">
+                <p style="color: #4b5563; font-size: 14px; margin: 0 0 8px 0;">Budget: <strong>${formatMoney(budget, currency)}</strong></p>
+                <p style="color: #4b5563; font-size: 14px; margin: 0 0 8px 0;">Spent so far: <strong>${formatMoney(spent, currency)}</strong></p>
+                <p style="color: #4b5563; font-size: 14px; margin: 0 0 8px 0;">Projected by the end of the ${period.unit}: <strong style="color: #dc2626;">${formatMoney(projectedSpend, currency)}</strong> (${formatMoney(projectedOverrunAmount, currency)} over)</p>
+                <p style="color: #6b7280; font-size: 13px; margin: 16px 0 0 0;">Based on about ${formatMoney(dailyRate, currency)} of spending per day plus ${formatMoney(upcomingRecurring.total, currency)} in upcoming recurring expenses.</p>
+              </div>
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${process.env.APP_URL || 'http://localhost:4200'}/dashboard" style="display: inline-block; background-color: #2563eb; color: white; text-decoration: none; padding: 14px 28px; border-radius: 6px; font-weight: 500; font-size: 16px;">View Dashboard</a>
+              </div>
+              
+              <p style="color: #6b7280; font-size: 13px; line-height: 1.5; margin: 20px 0 0 0; text-align: center;">You're receiving this alert because you have budget notifications enabled. You can manage your notification preferences in your account settings.</p>
+            </div>
+            
+            <!-- Footer -->
+            <div style="background-color: #f8fafc; padding: 20px 30px; text-align: center; border-top: 1px solid #e2e8f0;">
+              <p style="color: #6b7280; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} Balancio. All rights reserved.</p>
+              <p style="color: #9ca3af; font-size: 11px; margin: 4px 0 0 0;">This alert was sent to ${email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Projected overrun alert sent successfully to:', email);
+      console.log('📧 Message ID:', info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send projected overrun alert to:', email);
+      console.error('📋 Error details:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendGoalMilestoneEmail(email, name, goalData) {
+    const {
+      goalName,
+      milestone,
+      savedAmount,
+      targetAmount,
+      remaining,
+      deadline,
+      monthlyAmountNeeded,
+      currency
+    } = goalData;
+    
+    const completed = milestone >= 100;
+    const title = completed ? `Goal Reached: ${goalName}` : `${milestone}% of ${goalName}`;
+    const intro = completed
+      ? `Congratulations, you have saved the full ${formatMoney(targetAmount, currency)} for ${goalName}!`
+      : `You are ${milestone}% of the way to ${goalName}. Keep it up!`;
+    
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || 'noreply@balancio.com',
+      to: email,
+      subject: `🎯 ${title} - Balancio Savings Goal`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title} - Balancio</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f8fafc;">
+          <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+            
+            <!-- Header -->
+            <div style="background-color: #10b981; padding: 30px; text-align: center;">
+              <div style="font-size: 48px; margin-bottom: 16px;">${completed ? '🎉' : '🎯'}</div>
+              <h1 style="color: white; font-size: 28px; font-weight: 600; margin: 0;">${title}</h1>
+              <p style="color: rgba(255, 255, 255, 0.9); font-size: 16px; margin: 8px 0 0 0;">Balancio Savings Goal</p>
+            </div>
+            
+            <!-- Content -->
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #1f2937; font-size: 24px; font-weight: 600; margin: 0 0 20px 0;">Hi ${name},</h2>
+              
+              <p style="color: #4b5563; font-size: 16px; margin: 0 0 30px 0; line-height: 1.6;">${intro}</p>
+              
+              <div style="background-color: #f8fafc; border: 2px solid #10b981; border-radius: 12px; padding: 24px; margin: 30px 0;">
+                <div style="background-color: #e5e7eb; border-radius: 8px; height: 12px; margin: 0 0 20px 0; overflow: hidden;">
+                  <div style="background-color: #10b981; height: 100%; width: ${Math.min(milestone, 100)}%;"></div>
+                </div>
+                <p style="color: #4b5563; font-size: 14px; margin: 0 0 8px 0;">Saved: <strong>${formatMoney(savedAmount, currency)}</strong> of ${formatMoney(targetAmount, currency)}</p>
+                ${completed ? '' : `<p style="color: #4b5563; font-size: 14px; margin: 0 0 8px 0;">Still to go: <strong>${formatMoney(remaining, currency)}</strong></p>`}
+                ${!completed && deadline && monthlyAmountNeeded !== null
+                  ? `<p style="color: #6b7280; font-size: 13px; margin: 16px 0 0 0;">Save about ${formatMoney(monthlyAmountNeeded, currency)} a month to reach it by ${new Date(deadline).toDateString()}.</p>`
+                  : ''}
+              </div>
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${process.env.APP_URL || 'http://localhost:4200'}/goals" style="display: inline-block; background-color: #2563eb; color: white; text-decoration: none; padding: 14px 28px; border-radius: 6px; font-weight: 500; font-size: 16px;">View Goals</a>
+              </div>
+            </div>
+            
+            <!-- Footer -->
+            <div style="background-color: #f8fafc; padding: 20px 30px; text-align: center; border-top: 1px solid #e2e8f0;">
+              <p style="color: #6b7280; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} Balancio. All rights reserved.</p>
+              <p style="color: #9ca3af; font-size: 11px; margin: 4px 0 0 0;">This email was sent to ${email}</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Goal milestone email sent successfully to:', email);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send goal milestone email to:', email);
+      console.error('📋 Error details:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   async sendMonthlyReport(email, name, reportData, attachmentPath) {
+    const { currency } = reportData;
     console.log(`📧 Preparing email for ${email}`);
     console.log(`📄 Attachment path: ${attachmentPath || 'No attachment'}`);
     
@@ -304,18 +489,18 @@ class EmailService {
               <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin: 30px 0;">
                 <div style="background-color: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; padding: 20px; text-align: center;">
                   <h3 style="color: #15803d; font-size: 14px; font-weight: 600; margin: 0 0 8px 0; text-transform: uppercase;">Total Income</h3>
-                  <p style="color: #166534; font-size: 24px; font-weight: 700; margin: 0;">$${reportData.totalIncome.toFixed(2)}</p>
+                  <p style="color: #166534; font-size: 24px; font-weight: 700; margin: 0;">${formatMoney(reportData.totalIncome, currency)}</p>
                 </div>
                 
                 <div style="background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 20px; text-align: center;">
                   <h3 style="color: #dc2626; font-size: 14px; font-weight: 600; margin: 0 0 8px 0; text-transform: uppercase;">Total Expenses</h3>
-                  <p style="color: #991b1b; font-size: 24px; font-weight: 700; margin: 0;">$${reportData.totalExpenses.toFixed(2)}</p>
+                  <p style="color: #991b1b; font-size: 24px; font-weight: 700; margin: 0;">${formatMoney(reportData.totalExpenses, currency)}</p>
                 </div>
               </div>
               
               <div style="background-color: #eff6ff; border: 1px solid #bfdbfe; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0;">
                 <h3 style="color: #1d4ed8; font-size: 14px; font-weight: 600; margin: 0 0 8px 0; text-transform: uppercase;">Net Savings</h3>
-                <p style="color: #1e40af; font-size: 28px; font-weight: 700; margin: 0;">$${reportData.netSavings.toFixed(2)}</p>
+                <p style="color: #1e40af; font-size: 28px; font-weight: 700; margin: 0;">${formatMoney(reportData.netSavings, currency)}</p>
               </div>
               
               <!-- Top Categories -->
@@ -324,7 +509,7 @@ class EmailService {
                 ${reportData.topCategories.map(([category, amount]) => `
                   <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
                     <span style="color: #4b5563; font-size: 15px;">${category}</span>
-                    <span style="color: #1f2937; font-weight: 600;">$${amount.toFixed(2)}</span>
+                    <span style="color: #1f2937; font-weight: 600;">${formatMoney(amount, currency)}</span>
                   </div>
                 `).join('')}
               </div>
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { getBaseCurrency } = require('../utils/currency');
+const { parseRateFeed, toDay } = require('../utils/exchangeRateFeed');
+
+// Rate lookups kept in memory; the least recently used are dropped beyond this (one per currency pair and day)
+const MAX_CACHED_RATES = 5000;
+
+class ExchangeRateService {
+  constructor() {
+    // Lookups are repeated for every transaction of a day; cleared whenever rates are imported
+    this.cache = new Map();
+  }
+
+  /**
+   * Store rates, replacing any already loaded for the same pair and day
+   * @param {Array} rates - Normalized rates of { date, base, currency, rate }
+   * @param {string} source - Where the rates came from
+   * @returns {number} Rates written
+   */
+  async importRates(rates, source) {
+    if (rates.length === 0) return 0;
+
+    await ExchangeRate.bulkWrite(rates.map(({ date, base, currency, rate }) => ({
+      updateOne: {
+        filter: { base, currency, date },
+        update: { $set: { rate, source } },
+        upsert: true
+      }
+    })));
+    this.cache.clear();
+    return rates.length;
+  }
+
+  /**
+   * Load a CSV or JSON feed from disk
+   * @param {string} filePath - Path to a .csv or .json file
+   * @returns {Object} { imported, skipped, errors }
+   */
+  async loadFromFile(filePath) {
+    const format = path.extname(filePath).slice(1).toLowerCase();
+    const content = await fs.promises.readFile(filePath);
+    const { rates, errors } = parseRateFeed(content, format);
+    const imported = await this.importRates(rates, path.basename(filePath));
+
+    console.log(`💱 Loaded ${imported} exchange rates from ${filePath}${errors.length ? ` (${errors.length} rows skipped)` : ''}`);
+    return { imported, skipped: errors.length, errors };
+  }
+
+  /**
+   * Load the feeds listed in EXCHANGE_RATES_FILE (comma separated) and re-rate foreign-currency transactions
+   * @returns {Object} { imported, files }
+   */
+  async loadConfiguredFeeds() {
+    const files = (process.env.EXCHANGE_RATES_FILE || '').split(',').map(file => file.trim()).filter(Boolean);
+    let imported = 0;
+    for (const file of files) {
+      try {
+        imported += (await this.loadFromFile(file)).imported;
+      } catch (error) {
+        console.error(`❌ Could not load exchange rates from ${file}:`, error.message);
+      }
+    }
+    if (imported > 0) {
+      await this.refreshAllTransactionRates();
+    }
+    return { imported, files: files.length };
+  }
+
+  /**
+   * How many units of `currency` one unit of `base` bought on a day, from the latest rate on or before it
+   * (or the earliest one after it when the feed starts later)
+   */
+  async findStoredRate(base, currency, day) {
+    if (base === currency) return 1;
+    const before = await ExchangeRate.findOne({ base, currency, date: { $lte: day } }).sort({ date: -1 });
+    if (before) return before.rate;
+    const after = await ExchangeRate.findOne({ base, currency, date: { $gt: day } }).sort({ date: 1 });
+    return after ? after.rate : null;
+  }
+
+  /**
+   * Rate to convert an amount from one currency to another on a date
+   * Any feed base works as a pivot, so EUR-based and USD-based feeds can be mixed
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Target currency
+   * @param {Date} date - Date of the amount
+   * @returns {number|null} Multiplier, or null when no rate is known
+   */
+  async getRate(from, to, date = new Date()) {
+    if (from === to) return 1;
+
+    const day = toDay(date);
+    const key = `${from}:${to}:${day.getTime()}`;
+    if (this.cache.has(key)) {
+      // Re-insert so the Map's insertion order tracks recency
+      const cached = this.cache.get(key);
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    let rate = null;
+    const bases = await ExchangeRate.distinct('base');
+    for (const base of bases) {
+      const [fromRate, toRate] = await Promise.all([
+        this.findStoredRate(base, from, day),
+        this.findStoredRate(base, to, day)
+      ]);
+      if (fromRate && toRate) {
+        rate = toRate / fromRate;
+        break;
+      }
+    }
+
+    this.cache.set(key, rate);
+    if (this.cache.size > MAX_CACHED_RATES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return rate;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date} date - Date of the rate
+   * @returns {number|null} Converted amount rounded to cents, or null when no rate is known
+   */
+  async convert(amount, from, to, date) {
+    const rate = await this.getRate(from, to, date);
+    return rate === null ? null : Math.round(amount * rate * 100) / 100;
+  }
+
+  /**
+   * Fill in the currency and base-currency rate of transaction data before it is saved
+   * @param {Object} data - Transaction fields; currency defaults to the base currency
+   * @param {string} baseCurrency - The user's base currency
+   * @returns {string|null} Error message when no rate is known, otherwise null
+   */
+  async applyRate(data, baseCurrency) {
+    data.currency = data.currency ? String(data.currency).trim().toUpperCase() : baseCurrency;
+    const rate = await this.getRate(data.currency, baseCurrency, data.date ? new Date(data.date) : new Date());
+    if (rate === null) {
+      return `No exchange rate from ${data.currency} to ${baseCurrency} is available`;
+    }
+    data.exchangeRate = rate;
+    return null;
+  }
+
+  /**
+   * Recalculate the base-currency rate of a user's transactions, after a base currency change or new rates
+   * @param {string} userId - User ID
+   * @param {Object} options - { previousCurrency } the old base currency, given to legacy transactions without one
+   * @returns {Object} { updated, missing } where missing counts transactions left on their old rate
+   */
+  async refreshTransactionRates(userId, { previousCurrency } = {}) {
+    const user = await User.findById(userId).select('monthlyBudget.currency');
+    if (!user) return { updated: 0, missing: 0 };
+    const baseCurrency = getBaseCurrency(user);
+
+    if (previousCurrency) {
+      await Transaction.updateMany({ userId, currency: null }, { $set: { currency: previousCurrency } });
+    }
+    const { modifiedCount } = await Transaction.updateMany(
+      { userId, currency: baseCurrency, exchangeRate: { $ne: 1 } },
+      { $set: { exchangeRate: 1 } }
+    );
+
+    const foreign = await Transaction.find({ userId, currency: { $nin: [baseCurrency, null] } }).select('currency date exchangeRate');
+    const updates = [];
+    let missing = 0;
+    for (const transaction of foreign) {
+      const rate = await this.getRate(transaction.currency, baseCurrency, transaction.date);
+      if (rate === null) {
+        missing++;
+      } else if (rate !== transaction.exchangeRate) {
+        updates.push({ updateOne: { filter: { _id: transaction._id }, update: { $set: { exchangeRate: rate } } } });
+      }
+    }
+    if (updates.length > 0) {
+      await Transaction.bulkWrite(updates);
+    }
+
+    if (missing > 0) {
+      console.warn(`⚠️ ${missing} transactions of user ${userId} have no rate to ${baseCurrency} and keep their old rate`);
+    }
+    return { updated: modifiedCount + updates.length, missing };
+  }
+
+  /**
+   * Re-rate the transactions of every user with foreign-currency transactions
+   * @returns {Object} { users, updated, missing }
+   */
+  async refreshAllTransactionRates() {
+    const userIds = await Transaction.distinct('userId', { currency: { $ne: null } });
+    const results = { users: userIds.length, updated: 0, missing: 0 };
+    for (const userId of userIds) {
+      const { updated, missing } = await this.refreshTransactionRates(userId);
+      results.updated += updated;
+      results.missing += missing;
+    }
+    console.log(`💱 Re-rated ${results.updated} transactions for ${results.users} users`);
+    return results;
+  }
+}
+
+module.exports = new ExchangeRateService();
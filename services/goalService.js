@@ -0,0 +1,180 @@
+const Goal = require('../models/Goal');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const { getBaseCurrency, formatMoney } = require('../utils/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVG_DAYS_PER_MONTH = 30.44;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class GoalService {
+  /**
+   * Compute progress figures for a goal
+   * The projected completion date extrapolates the average monthly contribution since the first contribution
+   * Contributions whose transaction is in the trash are left out
+   * @param {Object} goal - Goal document
+   * @param {Date} now - Reference date
+   * @returns {Object} { savedAmount, remaining, progressPercentage, monthsLeft, monthlyAmountNeeded,
+   *   averageMonthlyContribution, projectedCompletionDate, onTrack }
+   */
+  computeProgress(goal, now = new Date()) {
+    const contributions = (goal.contributions || []).filter(c => !c.trashed);
+    const savedAmount = round(contributions.reduce((sum, c) => sum + c.amount, 0));
+    const remaining = round(Math.max(0, goal.targetAmount - savedAmount));
+    const progressPercentage = round((savedAmount / goal.targetAmount) * 100);
+
+    const monthsLeft = goal.deadline
+      ? round(Math.max(0, (new Date(goal.deadline) - now) / DAY_MS / AVG_DAYS_PER_MONTH))
+      : null;
+    // With less than a month left the whole remainder is due now
+    const monthlyAmountNeeded = goal.deadline
+      ? round(remaining / Math.max(1, monthsLeft))
+      : null;
+
+    const firstDate = contributions.reduce(
+      (earliest, c) => (!earliest || c.date < earliest ? c.date : earliest),
+      null
+    );
+    const monthsSaving = firstDate ? Math.max(1, (now - firstDate) / DAY_MS / AVG_DAYS_PER_MONTH) : null;
+    const averageMonthlyContribution = monthsSaving ? round(savedAmount / monthsSaving) : 0;
+
+    let projectedCompletionDate = null;
+    if (remaining === 0) {
+      projectedCompletionDate = goal.completedAt || now;
+    } else if (averageMonthlyContribution > 0) {
+      projectedCompletionDate = new Date(now.getTime() + (remaining / averageMonthlyContribution) * AVG_DAYS_PER_MONTH * DAY_MS);
+    }
+
+    const onTrack = goal.deadline
+      ? Boolean(projectedCompletionDate && projectedCompletionDate <= new Date(goal.deadline))
+      : null;
+
+    return {
+      savedAmount,
+      remaining,
+      progressPercentage,
+      monthsLeft,
+      monthlyAmountNeeded,
+      averageMonthlyContribution,
+      projectedCompletionDate,
+      onTrack
+    };
+  }
+
+  /**
+   * A goal as returned by the API, with its progress
+   * @param {Object} goal - Goal document
+   * @returns {Object} Goal fields plus progress
+   */
+  withProgress(goal) {
+    return { ...goal.toObject(), progress: this.computeProgress(goal) };
+  }
+
+  /**
+   * Record milestones the goal has passed, save it, then notify the user about the highest new one
+   * Notifying only after the save means a milestone is never announced without being stored. Each milestone is
+   * only ever announced once, even if a contribution is later removed
+   * @param {Object} goal - Goal document with pending changes
+   * @returns {number|null} The milestone announced, if any
+   */
+  async checkMilestones(goal) {
+    const progress = this.computeProgress(goal);
+    const reached = (goal.milestones || [])
+      .filter(m => progress.progressPercentage >= m && !goal.milestonesReached.includes(m))
+      .sort((a, b) => a - b);
+
+    if (progress.remaining === 0 && !goal.completedAt) {
+      goal.completedAt = new Date();
+    } else if (progress.remaining > 0 && goal.completedAt) {
+      goal.completedAt = undefined;
+    }
+    goal.milestonesReached.push(...reached);
+    await goal.save();
+    if (reached.length === 0) return null;
+
+    const milestone = reached[reached.length - 1];
+
+    try {
+      const user = await User.findById(goal.userId).select('name email settings monthlyBudget.currency');
+      if (!user) return milestone;
+
+      const currency = getBaseCurrency(user);
+      const message = milestone >= 100
+        ? `You reached your goal "${goal.name}" of ${formatMoney(goal.targetAmount, currency)}.`
+        : `You are ${milestone}% of the way to "${goal.name}" (${formatMoney(progress.savedAmount, currency)} of ${formatMoney(goal.targetAmount, currency)}).`;
+      const notification = new Notification({
+        userId: user._id,
+        title: milestone >= 100 ? 'Savings Goal Reached' : 'Savings Goal Milestone',
+        message,
+        type: 'success',
+        read: false
+      });
+      await notification.save();
+
+      if (user.settings.emailNotifications) {
+        await emailService.sendGoalMilestoneEmail(user.email, user.name, {
+          goalName: goal.name,
+          milestone,
+          savedAmount: progress.savedAmount,
+          targetAmount: goal.targetAmount,
+          remaining: progress.remaining,
+          deadline: goal.deadline,
+          monthlyAmountNeeded: progress.monthlyAmountNeeded,
+          currency
+        });
+      }
+      console.log(`🎯 Goal "${goal.name}" reached ${milestone}% for user ${goal.userId}`);
+    } catch (error) {
+      // The goal is already saved; a failed notification only costs the announcement
+      console.error('❌ Error sending goal milestone notification:', error);
+    }
+
+    return milestone;
+  }
+
+  /**
+   * Add a contribution to a goal, save it and announce any milestone it crosses
+   * @param {Object} goal - Goal document
+   * @param {Object} contribution - { amount, date, source, transactionId, note }
+   * @returns {Object} { goal, milestone }
+   */
+  async addContribution(goal, contribution) {
+    goal.contributions.push(contribution);
+    const milestone = await this.checkMilestones(goal);
+    return { goal, milestone };
+  }
+
+  /**
+   * Stop or resume counting contributions linked to transactions moved to or restored from the trash
+   * @param {string} userId - User ID
+   * @param {Array} transactionIds - Trashed or restored transaction IDs
+   * @param {boolean} trashed - Whether the transactions are now in the trash
+   * @returns {number} Goals updated
+   */
+  async setTransactionContributionsTrashed(userId, transactionIds, trashed) {
+    const result = await Goal.updateMany(
+      { userId, 'contributions.transactionId': { $in: transactionIds } },
+      { $set: { 'contributions.$[linked].trashed': trashed } },
+      { arrayFilters: [{ 'linked.transactionId': { $in: transactionIds } }] }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Drop contributions linked to transactions that no longer exist
+   * @param {string} userId - User ID
+   * @param {Array} transactionIds - Deleted transaction IDs
+   * @returns {number} Goals updated
+   */
+  async removeTransactionContributions(userId, transactionIds) {
+    const result = await Goal.updateMany(
+      { userId, 'contributions.transactionId': { $in: transactionIds } },
+      { $pull: { contributions: { transactionId: { $in: transactionIds } } } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new GoalService();
@@ -4,6 +4,8 @@ const Category = require('../models/Category');
 const emailService = require('./emailService');
 const reportGeneratorService = require('./reportGeneratorService');
 const fs = require('fs');
+const { getCategoryLines } = require('../utils/transactionSplits');
+const { getBaseCurrency, toBaseAmount } = require('../utils/currency');
 
 class MonthlyReportService {
   async generateMonthlyReports() {
@@ -73,8 +75,11 @@ class MonthlyReportService {
     console.log(`🔍 Searching transactions for user ${userId}`);
     console.log(`📅 Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
     
+    // Transfers only move money between accounts, so they are not income or spending
     const transactions = await Transaction.find({
       userId,
+      type: { $in: ['income', 'expense'] },
+      duplicateOf: null,
       date: { $gte: startDate, $lte: endDate }
     });
     
@@ -91,17 +96,22 @@ class MonthlyReportService {
       return { hasData: false };
     }
 
-    const totalIncome = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+    // Everything is reported in the user's base currency, at the rate of each transaction's date
+    const user = await User.findById(userId).select('monthlyBudget.currency');
+    const totalIncome = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + toBaseAmount(t), 0);
+    const totalExpenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + toBaseAmount(t), 0);
     const netSavings = totalIncome - totalExpenses;
 
     const categories = await Category.find({ userId });
     const categorySpending = {};
     
     transactions.filter(t => t.type === 'expense').forEach(t => {
-      const category = categories.find(c => c._id.toString() === t.categoryId);
-      const categoryName = category ? category.name : 'Other';
-      categorySpending[categoryName] = (categorySpending[categoryName] || 0) + t.amount;
+      // Split transactions count towards each of their categories
+      getCategoryLines(t).forEach(line => {
+        const category = line.categoryId && categories.find(c => c._id.toString() === line.categoryId.toString());
+        const categoryName = category ? category.name : 'Other';
+        categorySpending[categoryName] = (categorySpending[categoryName] || 0) + toBaseAmount(t, line.amount);
+      });
     });
 
     const topCategories = Object.entries(categorySpending)
@@ -111,6 +121,7 @@ class MonthlyReportService {
     return {
       hasData: true,
       month: reportDate.toLocaleString('default', { month: 'long', year: 'numeric' }),
+      currency: getBaseCurrency(user),
       totalIncome,
       totalExpenses,
       netSavings,
@@ -0,0 +1,246 @@
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const budgetAlertService = require('./budgetAlertService');
+const exchangeRateService = require('./exchangeRateService');
+const auditService = require('./auditService');
+const { getBaseCurrency } = require('../utils/currency');
+
+// Safety net so a misconfigured rule can never loop forever while catching up
+const MAX_CATCH_UP_OCCURRENCES = 1000;
+
+class RecurringTransactionService {
+  /**
+   * Get the occurrence that follows a given one
+   * Monthly and yearly rules keep the start day, clamped to shorter months
+   * @param {Object} rule - Recurring transaction
+   * @param {Date} fromDate - Current occurrence date
+   * @returns {Date} Following occurrence date
+   */
+  advance(rule, fromDate) {
+    const interval = rule.interval || 1;
+    const date = new Date(fromDate);
+
+    switch (rule.frequency) {
+      case 'daily':
+        date.setDate(date.getDate() + interval);
+        break;
+      case 'weekly':
+        date.setDate(date.getDate() + interval * 7);
+        break;
+      case 'monthly':
+      case 'yearly': {
+        const months = rule.frequency === 'monthly' ? interval : interval * 12;
+        const targetMonth = date.getMonth() + months;
+        const daysInMonth = new Date(date.getFullYear(), targetMonth + 1, 0).getDate();
+        date.setDate(1);
+        date.setMonth(targetMonth);
+        date.setDate(Math.min(new Date(rule.startDate).getDate(), daysInMonth));
+        break;
+      }
+      default:
+        throw new Error(`Unsupported frequency: ${rule.frequency}`);
+    }
+
+    return date;
+  }
+
+  /**
+   * Check whether a rule may still post an occurrence on the given date
+   * @param {Object} rule - Recurring transaction
+   * @param {number} occurrencesCount - Occurrences already posted
+   * @param {Date} date - Occurrence date
+   * @returns {boolean} True when the occurrence is within the rule's limits
+   */
+  isWithinLimits(rule, occurrencesCount, date) {
+    if (rule.maxOccurrences && occurrencesCount >= rule.maxOccurrences) return false;
+    if (rule.endDate && date > new Date(rule.endDate)) return false;
+    return true;
+  }
+
+  /**
+   * Work out the first run date after the last posted occurrence
+   * Used when a rule is created or its schedule is edited
+   * @param {Object} rule - Recurring transaction
+   * @returns {Date|null} Next run date, or null when the rule is finished
+   */
+  getNextRunDate(rule) {
+    let date = new Date(rule.startDate);
+    if (rule.lastRunDate) {
+      const lastRun = new Date(rule.lastRunDate);
+      let steps = 0;
+      while (date <= lastRun && steps < MAX_CATCH_UP_OCCURRENCES * 10) {
+        date = this.advance(rule, date);
+        steps++;
+      }
+    }
+
+    return this.isWithinLimits(rule, rule.occurrencesCount || 0, date) ? date : null;
+  }
+
+  /**
+   * Get the upcoming occurrence dates of a rule without posting anything
+   * @param {Object} rule - Recurring transaction
+   * @param {number} count - Number of dates to return
+   * @returns {Date[]} Upcoming dates
+   */
+  getUpcomingDates(rule, count = 5) {
+    const dates = [];
+    if (!rule.active || !rule.nextRunDate) return dates;
+
+    let date = new Date(rule.nextRunDate);
+    let occurrencesCount = rule.occurrencesCount || 0;
+    while (dates.length < count && this.isWithinLimits(rule, occurrencesCount, date)) {
+      dates.push(date);
+      date = this.advance(rule, date);
+      occurrencesCount++;
+    }
+    return dates;
+  }
+
+  /**
+   * Post every occurrence of a rule that is due, catching up on missed runs
+   * @param {Object} rule - Recurring transaction document
+   * @param {Date} now - Reference time
+   * @returns {Array} Created transactions
+   */
+  async materializeRule(rule, now = new Date()) {
+    const created = [];
+
+    const user = await User.findById(rule.userId).select('monthlyBudget.currency');
+    const baseCurrency = getBaseCurrency(user);
+
+    while (rule.active && rule.nextRunDate && rule.nextRunDate <= now && created.length < MAX_CATCH_UP_OCCURRENCES) {
+      const runDate = rule.nextRunDate;
+      // Leave the occurrence due until a rate for its date is available
+      const rated = { currency: rule.currency, date: runDate };
+      const rateError = await exchangeRateService.applyRate(rated, baseCurrency);
+      if (rateError) {
+        console.warn(`⚠️ Recurring transaction ${rule._id} not posted: ${rateError}`);
+        break;
+      }
+
+      const occurrencesCount = rule.occurrencesCount + 1;
+      const followingDate = this.advance(rule, runDate);
+      const nextRunDate = this.isWithinLimits(rule, occurrencesCount, followingDate) ? followingDate : null;
+
+      // Claim the occurrence atomically so overlapping runs never post it twice
+      const claimed = await RecurringTransaction.findOneAndUpdate(
+        { _id: rule._id, active: true, nextRunDate: runDate },
+        {
+          occurrencesCount,
+          lastRunDate: runDate,
+          nextRunDate,
+          active: nextRunDate !== null
+        },
+        { new: true }
+      );
+
+      if (!claimed) {
+        console.log(`⏭️ Recurring transaction ${rule._id} already processed elsewhere`);
+        break;
+      }
+
+      const transaction = new Transaction({
+        userId: rule.userId,
+        title: rule.title,
+        amount: rule.amount,
+        currency: rated.currency,
+        exchangeRate: rated.exchangeRate,
+        type: rule.type,
+        categoryId: rule.categoryId,
+        description: rule.description,
+        date: runDate,
+        recurringTransactionId: rule._id
+      });
+      try {
+        await transaction.save();
+      } catch (error) {
+        await this.releaseClaim(rule, claimed);
+        throw error;
+      }
+      await auditService.record({ userId: rule.userId, entityType: 'transaction', source: 'recurring', after: transaction });
+      created.push(transaction);
+
+      rule = claimed;
+    }
+
+    return created;
+  }
+
+  /**
+   * Hand an occurrence back after its transaction could not be saved, so the next run posts it
+   * Only undone while the rule is still exactly as the claim left it
+   * @param {Object} rule - Rule as it was before the claim
+   * @param {Object} claimed - Rule as returned by the claim
+   */
+  async releaseClaim(rule, claimed) {
+    const update = {
+      occurrencesCount: rule.occurrencesCount,
+      nextRunDate: rule.nextRunDate,
+      active: true
+    };
+    if (rule.lastRunDate) {
+      update.lastRunDate = rule.lastRunDate;
+    } else {
+      update.$unset = { lastRunDate: 1 };
+    }
+
+    try {
+      await RecurringTransaction.updateOne(
+        { _id: rule._id, occurrencesCount: claimed.occurrencesCount, nextRunDate: claimed.nextRunDate },
+        update
+      );
+    } catch (error) {
+      console.error(`❌ Error releasing recurring transaction ${rule._id} after a failed save:`, error);
+    }
+  }
+
+  /**
+   * Materialize all due recurring transactions (for scheduled tasks)
+   * @param {Date} now - Reference time
+   * @returns {Object} Summary of the run
+   */
+  async processDueTransactions(now = new Date()) {
+    console.log('🔁 Processing due recurring transactions');
+
+    const rules = await RecurringTransaction.find({
+      active: true,
+      nextRunDate: { $lte: now }
+    });
+
+    const results = {
+      rulesProcessed: rules.length,
+      transactionsCreated: 0,
+      errors: 0
+    };
+    const usersWithExpenses = new Set();
+
+    for (const rule of rules) {
+      try {
+        const created = await this.materializeRule(rule, now);
+        results.transactionsCreated += created.length;
+        if (created.some(t => t.type === 'expense')) {
+          usersWithExpenses.add(rule.userId.toString());
+        }
+      } catch (error) {
+        console.error(`❌ Error processing recurring transaction ${rule._id}:`, error);
+        results.errors++;
+      }
+    }
+
+    // Same check POST /api/transactions runs, once per user after their expenses are posted
+    for (const userId of usersWithExpenses) {
+      try {
+        await budgetAlertService.checkAndSendBudgetAlert(userId);
+      } catch (budgetError) {
+        console.error(`❌ Error checking budget after recurring transactions for user ${userId}:`, budgetError);
+      }
+    }
+
+    console.log(`✅ Recurring transactions processed: ${results.transactionsCreated} created from ${results.rulesProcessed} rules (${results.errors} errors)`);
+    return results;
+  }
+}
+
+module.exports = new RecurringTransactionService();
@@ -2,6 +2,7 @@ const ExcelJS = require('exceljs');
 const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const { formatMoney } = require('../utils/currency');
 
 class ReportGeneratorService {
   async generateExcelReport(reportData, userEmail) {
@@ -33,7 +34,7 @@ class ReportGeneratorService {
     worksheet.addRow(['Total Income', reportData.totalIncome, '100%', '✓', '', 'Primary income source']);
     worksheet.addRow(['Total Expenses', reportData.totalExpenses, `${((reportData.totalExpenses / (reportData.totalIncome || 1)) * 100).toFixed(1)}%`, reportData.totalExpenses < reportData.totalIncome ? '✓' : '⚠', '', 'Monitor spending']);
     worksheet.addRow(['Net Savings', Math.abs(reportData.netSavings), `${savingsRate}%`, reportData.netSavings >= 0 ? '✓' : '❌', '', reportData.netSavings >= 0 ? 'Great savings!' : 'Reduce expenses']);
-    worksheet.addRow(['Transactions', reportData.transactionCount, '', '📊', '', `Avg: $${(reportData.totalExpenses / reportData.transactionCount || 0).toFixed(2)}`]);
+    worksheet.addRow(['Transactions', reportData.transactionCount, '', '📊', '', `Avg: ${formatMoney(reportData.totalExpenses / reportData.transactionCount || 0, reportData.currency)}`]);
 
     // Category Breakdown Section
     worksheet.addRow([]);
@@ -86,6 +87,7 @@ class ReportGeneratorService {
     ];
 
     // Add borders and formatting to all data cells
+    const moneyFormat = `#,##0.00 "${reportData.currency || 'USD'}"`;
     worksheet.eachRow((row, rowNumber) => {
       if (rowNumber > 1) {
         row.eachCell((cell) => {
@@ -96,7 +98,7 @@ class ReportGeneratorService {
             right: { style: 'thin' }
           };
           if (typeof cell.value === 'number' && cell.value > 1) {
-            cell.numFmt = '$#,##0.00';
+            cell.numFmt = moneyFormat;
           }
         });
       }
@@ -178,19 +180,19 @@ class ReportGeneratorService {
           <div class="summary-grid">
             <div class="summary-card income">
               <h3>Total Income</h3>
-              <div class="amount">$${reportData.totalIncome.toFixed(2)}</div>
+              <div class="amount">${formatMoney(reportData.totalIncome, reportData.currency)}</div>
               <div>${reportData.transactionCount} transactions</div>
             </div>
             
             <div class="summary-card expense">
               <h3>Total Expenses</h3>
-              <div class="amount">$${reportData.totalExpenses.toFixed(2)}</div>
+              <div class="amount">${formatMoney(reportData.totalExpenses, reportData.currency)}</div>
               <div>${((reportData.totalExpenses / (reportData.totalIncome || 1)) * 100).toFixed(1)}% of income</div>
             </div>
             
             <div class="summary-card savings">
               <h3>Net ${reportData.netSavings >= 0 ? 'Savings' : 'Deficit'}</h3>
-              <div class="amount">$${Math.abs(reportData.netSavings).toFixed(2)}</div>
+              <div class="amount">${formatMoney(Math.abs(reportData.netSavings), reportData.currency)}</div>
               <div>${reportData.netSavings >= 0 ? 'Great job saving money!' : 'Consider reducing expenses'}</div>
             </div>
           </div>
@@ -212,7 +214,7 @@ class ReportGeneratorService {
                   return `
                     <tr>
                       <td><strong>${category}</strong></td>
-                      <td class="amount">$${amount.toFixed(2)}</td>
+                      <td class="amount">${formatMoney(amount, reportData.currency)}</td>
                       <td class="percentage">${percentage}%</td>
                       <td>
                         <div class="progress-bar">
@@ -230,8 +232,8 @@ class ReportGeneratorService {
             <h3>Financial Insights</h3>
             <ul>
               <li>Your largest expense category is <strong>${reportData.topCategories[0] ? reportData.topCategories[0][0] : 'N/A'}</strong></li>
-              <li>You ${reportData.netSavings >= 0 ? 'saved' : 'overspent by'} <strong>$${Math.abs(reportData.netSavings).toFixed(2)}</strong> this month</li>
-              <li>Average transaction amount: <strong>$${(reportData.totalExpenses / reportData.transactionCount || 0).toFixed(2)}</strong></li>
+              <li>You ${reportData.netSavings >= 0 ? 'saved' : 'overspent by'} <strong>${formatMoney(Math.abs(reportData.netSavings), reportData.currency)}</strong> this month</li>
+              <li>Average transaction amount: <strong>${formatMoney(reportData.totalExpenses / reportData.transactionCount || 0, reportData.currency)}</strong></li>
               <li>Savings rate: <strong>${((reportData.netSavings / (reportData.totalIncome || 1)) * 100).toFixed(1)}%</strong></li>
             </ul>
           </div>
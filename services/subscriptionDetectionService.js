@@ -0,0 +1,247 @@
+const Subscription = require('../models/Subscription');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { normalizeMerchant } = require('../utils/merchants');
+const { getBaseCurrency, formatMoney } = require('../utils/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Two years and a bit, so yearly charges can be seen twice
+const LOOKBACK_DAYS = 760;
+// Charges more than this far from both the merchant's median amount and the charges either side of them are
+// one-off purchases, not the subscription
+const AMOUNT_TOLERANCE = 0.25;
+// Share of gaps between charges that must match the cadence
+const MIN_MATCHING_INTERVALS = 0.75;
+// Price changes smaller than this are rounding or currency noise
+const MIN_PRICE_CHANGE = 0.01;
+
+const CADENCES = [
+  { cadence: 'weekly', days: 7, tolerance: 2, months: null, minOccurrences: 4 },
+  { cadence: 'biweekly', days: 14, tolerance: 3, months: null, minOccurrences: 3 },
+  { cadence: 'monthly', days: 30.44, tolerance: 5, months: 1, minOccurrences: 3 },
+  { cadence: 'quarterly', days: 91.31, tolerance: 10, months: 3, minOccurrences: 3 },
+  { cadence: 'yearly', days: 365.25, tolerance: 20, months: 12, minOccurrences: 2 }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Next charge after `date`: calendar months keep the day of month (clamped), shorter cadences add days
+const addCadence = (date, { days, months }) => {
+  if (!months) return new Date(date.getTime() + days * DAY_MS);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), daysInMonth));
+};
+
+class SubscriptionDetectionService {
+  /**
+   * Find periodic charges in a list of expense transactions
+   * Transactions are grouped by merchant; isolated charges far from the merchant's usual amount are ignored, and
+   * the gaps between the rest must fit one cadence. A new price kept for consecutive charges stays in, so price
+   * increases of any size are seen. Charges that stopped more than two cycles ago are left out
+   * @param {Array} transactions - Expense transactions sorted by date
+   * @param {Date} now - Reference date
+   * @returns {Array} Detections of { merchantKey, name, categoryId, cadence, amount, currency, averageAmount, occurrences,
+   *   firstChargeDate, lastChargeDate, nextExpectedDate, transactionIds, priceIncrease }
+   */
+  detect(transactions, now = new Date()) {
+    const byMerchant = new Map();
+    transactions.forEach(transaction => {
+      const key = normalizeMerchant(transaction.title);
+      if (!key) return;
+      if (!byMerchant.has(key)) byMerchant.set(key, []);
+      byMerchant.get(key).push(transaction);
+    });
+
+    const detections = [];
+    byMerchant.forEach((group, merchantKey) => {
+      if (group.length < 2) return;
+
+      const usual = median(group.map(t => t.amount));
+      const near = (amount, reference) => Math.abs(amount - reference) <= reference * AMOUNT_TOLERANCE;
+      const charges = group.filter((t, i) =>
+        near(t.amount, usual) ||
+        (i > 0 && near(t.amount, group[i - 1].amount)) ||
+        (i < group.length - 1 && near(t.amount, group[i + 1].amount))
+      );
+      if (charges.length < 2) return;
+
+      const intervals = charges.slice(1).map((t, i) => (t.date - charges[i].date) / DAY_MS);
+      const typical = median(intervals);
+      const match = CADENCES.find(c => Math.abs(typical - c.days) <= c.tolerance);
+      if (!match || charges.length < match.minOccurrences) return;
+
+      const matching = intervals.filter(days => Math.abs(days - match.days) <= match.tolerance).length;
+      if (matching / intervals.length < MIN_MATCHING_INTERVALS) return;
+
+      const last = charges[charges.length - 1];
+      if ((now - last.date) / DAY_MS > match.days * 2 + match.tolerance) return;
+
+      // The most recent change in price, if it went up and is still the current price
+      let priceIncrease = null;
+      for (let i = charges.length - 1; i > 0; i--) {
+        const previous = charges[i - 1].amount;
+        const current = charges[i].amount;
+        if (Math.abs(current - previous) < MIN_PRICE_CHANGE) continue;
+        if (current > previous) {
+          priceIncrease = {
+            previousAmount: previous,
+            newAmount: current,
+            percentage: round(((current - previous) / previous) * 100),
+            date: charges[i].date
+          };
+        }
+        break;
+      }
+
+      detections.push({
+        merchantKey,
+        name: last.title,
+        categoryId: last.categoryId || null,
+        cadence: match.cadence,
+        amount: last.amount,
+        currency: last.currency,
+        averageAmount: round(charges.reduce((sum, t) => sum + t.amount, 0) / charges.length),
+        occurrences: charges.length,
+        firstChargeDate: charges[0].date,
+        lastChargeDate: last.date,
+        nextExpectedDate: addCadence(last.date, match),
+        transactionIds: charges.map(t => t._id),
+        priceIncrease
+      });
+    });
+
+    return detections;
+  }
+
+  /**
+   * Scan a user's history and sync the detected subscriptions
+   * New charges become candidates; confirmed and dismissed subscriptions keep their status but get fresh
+   * figures. Candidates that are no longer detected are dropped. A price increase on a confirmed
+   * subscription creates one notification
+   * @param {string} userId - User ID
+   * @returns {Object} { detected, created, updated, removed, priceIncreases }
+   */
+  async scanUser(userId) {
+    const now = new Date();
+    const transactions = await Transaction.find({
+      userId,
+      type: 'expense',
+      duplicateOf: null,
+      // Charges posted by a recurring transaction are already known to the user
+      recurringTransactionId: null,
+      date: { $gte: new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS), $lte: now }
+    })
+      .select('title amount currency date categoryId')
+      .sort({ date: 1 });
+
+    // Charges saved before currencies were tracked are in the base currency
+    const user = await User.findById(userId).select('monthlyBudget.currency');
+    const baseCurrency = getBaseCurrency(user);
+    transactions.forEach(transaction => {
+      if (!transaction.currency) transaction.currency = baseCurrency;
+    });
+
+    const detections = this.detect(transactions, now);
+    const existing = await Subscription.find({ userId });
+    const results = { detected: detections.length, created: 0, updated: 0, removed: 0, priceIncreases: 0 };
+
+    for (const detection of detections) {
+      const { priceIncrease, ...fields } = detection;
+      let subscription = existing.find(s => s.merchantKey === detection.merchantKey);
+
+      if (subscription) {
+        // Keep a name or category the user may have changed
+        delete fields.name;
+        if (subscription.categoryId) delete fields.categoryId;
+        subscription.set(fields);
+        results.updated++;
+      } else {
+        subscription = new Subscription({ userId, ...fields });
+        results.created++;
+      }
+
+      const knownIncrease = subscription.priceIncrease && subscription.priceIncrease.date;
+      if (priceIncrease && (!knownIncrease || knownIncrease.getTime() !== priceIncrease.date.getTime())) {
+        subscription.priceIncrease = priceIncrease;
+        results.priceIncreases++;
+      }
+
+      if (subscription.status === 'confirmed' && subscription.priceIncrease && subscription.priceIncrease.newAmount &&
+          !subscription.priceIncrease.notifiedAt) {
+        await this.notifyPriceIncrease(subscription);
+      }
+
+      await subscription.save();
+    }
+
+    const detectedKeys = detections.map(d => d.merchantKey);
+    const { deletedCount } = await Subscription.deleteMany({
+      userId,
+      status: 'candidate',
+      merchantKey: { $nin: detectedKeys }
+    });
+    results.removed = deletedCount;
+
+    console.log(`🔁 Subscription scan for user ${userId}: ${results.detected} detected, ${results.created} new, ${results.priceIncreases} price increase(s)`);
+    return results;
+  }
+
+  /**
+   * Tell the user a confirmed subscription now costs more
+   * @param {Object} subscription - Subscription document (saved by the caller)
+   */
+  async notifyPriceIncrease(subscription) {
+    const { previousAmount, newAmount, percentage } = subscription.priceIncrease;
+    const notification = new Notification({
+      userId: subscription.userId,
+      title: `${subscription.name} Price Increase`,
+      message: `${subscription.name} went up from ${formatMoney(previousAmount, subscription.currency)} to ${formatMoney(newAmount, subscription.currency)} (+${percentage}%).`,
+      type: 'warning',
+      read: false
+    });
+    await notification.save();
+    subscription.priceIncrease.notifiedAt = new Date();
+  }
+
+  /**
+   * Scan every user's history (for scheduled tasks)
+   * @returns {Object} { totalUsers, priceIncreases, errors }
+   */
+  async scanAllUsers() {
+    const users = await User.find().select('_id');
+    const results = { totalUsers: users.length, priceIncreases: 0, errors: 0 };
+
+    for (const user of users) {
+      try {
+        const result = await this.scanUser(user._id);
+        results.priceIncreases += result.priceIncreases;
+      } catch (error) {
+        console.error(`❌ Error scanning subscriptions for user ${user._id}:`, error);
+        results.errors++;
+      }
+    }
+
+    console.log(`📊 Subscription scan complete for ${results.totalUsers} users (${results.errors} errors)`);
+    return results;
+  }
+
+  /**
+   * Approximate monthly cost of a subscription, in its own currency
+   * @param {Object} subscription - Subscription document
+   * @returns {number} Cost per month
+   */
+  monthlyCost(subscription) {
+    const { days } = CADENCES.find(c => c.cadence === subscription.cadence);
+    return round(subscription.amount * (30.44 / days));
+  }
+}
+
+module.exports = new SubscriptionDetectionService();
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const User = require('../models/User');
+const { escapeRegex } = require('../utils/transactionQuery');
+const { getBaseCurrency, baseAmountExpression } = require('../utils/currency');
+const { replaceTagsPipeline } = require('../utils/tags');
+const auditService = require('./auditService');
+
+class TagService {
+  /**
+   * Tags the user has used, most used first
+   * @param {string} userId - User ID
+   * @param {Object} options - { search } prefix to autocomplete, { limit } maximum number of tags
+   * @returns {Array} [{ tag, count, lastUsed }]
+   */
+  async listTags(userId, { search, limit = 20 } = {}) {
+    const pipeline = [
+      { $match: { userId: new mongoose.Types.ObjectId(userId), 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' }
+    ];
+    if (search && search.trim()) {
+      pipeline.push({ $match: { tags: new RegExp(`^${escapeRegex(search.trim().toLowerCase())}`) } });
+    }
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } },
+      { $sort: { count: -1, lastUsed: -1, _id: 1 } },
+      { $limit: limit }
+    );
+
+    const tags = await Transaction.aggregate(pipeline);
+    return tags.map(({ _id, count, lastUsed }) => ({ tag: _id, count, lastUsed }));
+  }
+
+  /**
+   * Replace one or more tags with another on every transaction and categorization rule of the user
+   * Renaming is a merge of a single tag; transactions that already had the target keep it once
+   * @param {string} userId - User ID
+   * @param {Array} sources - Normalized tags to replace
+   * @param {string} target - Normalized tag to replace them with
+   * @returns {Object} { transactions, rules } counts of updated documents
+   */
+  async mergeTags(userId, sources, target) {
+    const replaced = sources.filter(tag => tag !== target);
+    if (replaced.length === 0) {
+      return { transactions: 0, rules: 0 };
+    }
+
+    const affected = await Transaction.find({ userId, tags: { $in: replaced } }).select('tags');
+    const [transactions, rules] = await Promise.all([
+      Transaction.updateMany({ userId, tags: { $in: replaced } }, replaceTagsPipeline('tags', replaced, target)),
+      // Rules keep adding the tag under its new name
+      CategorizationRule.updateMany({ userId, addTags: { $in: replaced } }, replaceTagsPipeline('addTags', replaced, target))
+    ]);
+
+    const updated = await Transaction.find({ _id: { $in: affected.map(t => t._id) } }).select('tags');
+    await auditService.recordMany(affected.map(before => ({
+      userId,
+      actorId: userId,
+      entityType: 'transaction',
+      before,
+      after: updated.find(t => t._id.equals(before._id))
+    })).filter(entry => entry.after));
+
+    console.log(`🏷️ Merged tags ${replaced.join(', ')} into ${target} on ${transactions.modifiedCount} transactions`);
+    return { transactions: transactions.modifiedCount, rules: rules.modifiedCount };
+  }
+
+  /**
+   * Income and expense per tag in the base currency
+   * A transaction with several tags counts towards each of them, so tag totals can add up to more than the overall total
+   * @param {string} userId - User ID
+   * @param {Object} filter - Transaction filter (dates, tags) from buildTransactionFilter
+   * @returns {Object} { currency, tags: [{ tag, income, expense, net, count }] }
+   */
+  async getTagSummary(userId, filter) {
+    const [user, rows] = await Promise.all([
+      User.findById(userId).select('monthlyBudget.currency'),
+      Transaction.aggregate([
+        // Transfers only move money between accounts, so they are not income or spending
+        { $match: { ...filter, type: { $in: ['income', 'expense'] }, 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        // When filtering by tags, only those tags are summarized (not the other tags of the same transactions)
+        ...(filter.tags ? [{ $match: { tags: { $in: filter.tags.$in || filter.tags.$all } } }] : []),
+        {
+          $group: {
+            _id: '$tags',
+            income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, baseAmountExpression(), 0] } },
+            expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, baseAmountExpression(), 0] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { expense: -1, income: -1, _id: 1 } }
+      ])
+    ]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      currency: getBaseCurrency(user),
+      tags: rows.map(({ _id, income, expense, count }) => ({
+        tag: _id,
+        income: round(income),
+        expense: round(expense),
+        net: round(income - expense),
+        count
+      }))
+    };
+  }
+}
+
+module.exports = new TagService();
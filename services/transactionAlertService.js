@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const TransactionAlertRule = require('../models/TransactionAlertRule');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const { getCategoryLines, unwindCategoryLines } = require('../utils/transactionSplits');
+const { getBaseCurrency, formatMoney, toBaseAmount } = require('../utils/currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "Usual" is the average line in the category over this many days before the transaction
+const USUAL_HISTORY_DAYS = 90;
+// Fewer past transactions than this is not enough to call anything unusual
+const MIN_USUAL_SAMPLES = 3;
+
+class TransactionAlertService {
+  /**
+   * Get a user's active transaction alert rules
+   * @param {string} userId - User ID
+   * @returns {Array} Rules
+   */
+  async getActiveRules(userId) {
+    return TransactionAlertRule.find({ userId, active: true }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Average amount of a category's lines over the days before a transaction
+   * @param {string} userId - User ID
+   * @param {Object} transaction - Transaction being checked (excluded from the average)
+   * @param {string} categoryId - Category ID
+   * @returns {Object|null} { average, count }, or null when there is too little history
+   */
+  async getUsualAmount(userId, transaction, categoryId) {
+    const date = new Date(transaction.date || Date.now());
+    const [usual] = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: transaction.type,
+          duplicateOf: null,
+          _id: { $ne: transaction._id },
+          date: { $gte: new Date(date.getTime() - USUAL_HISTORY_DAYS * DAY_MS), $lte: date }
+        }
+      },
+      ...unwindCategoryLines(),
+      { $match: { categoryId: new mongoose.Types.ObjectId(categoryId) } },
+      { $group: { _id: null, average: { $avg: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    if (!usual || usual.count < MIN_USUAL_SAMPLES) return null;
+    return { average: usual.average, count: usual.count };
+  }
+
+  /**
+   * Work out which rules a transaction trips
+   * Category-scoped rules look at that category's line of a split transaction; the rest look at the whole amount.
+   * Amounts are compared in the base currency
+   * @param {string} userId - User ID
+   * @param {Object} transaction - Transaction document
+   * @param {Array} rules - Active rules
+   * @param {string} currency - The user's base currency, used in the reasons
+   * @returns {Array} Hits of { rule, amount, categoryId, reason }
+   */
+  async evaluate(userId, transaction, rules, currency) {
+    const hits = [];
+    const lines = getCategoryLines(transaction)
+      .filter(line => line.categoryId)
+      .map(line => ({ categoryId: line.categoryId, amount: toBaseAmount(transaction, line.amount) }));
+    // One usual-amount lookup per category, however many rules watch it
+    const usualByCategory = new Map();
+    const usualFor = async (categoryId) => {
+      const key = categoryId.toString();
+      if (!usualByCategory.has(key)) {
+        usualByCategory.set(key, await this.getUsualAmount(userId, transaction, categoryId));
+      }
+      return usualByCategory.get(key);
+    };
+
+    for (const rule of rules) {
+      if (rule.transactionType && rule.transactionType !== transaction.type) continue;
+
+      const candidates = rule.categoryId
+        ? lines.filter(line => line.categoryId.toString() === rule.categoryId.toString())
+        : rule.condition === 'amountAbove'
+          ? [{ categoryId: null, amount: toBaseAmount(transaction) }]
+          : lines;
+
+      for (const line of candidates) {
+        if (rule.condition === 'amountAbove') {
+          if (line.amount > rule.amount) {
+            hits.push({
+              rule,
+              amount: line.amount,
+              categoryId: line.categoryId,
+              reason: `over your limit of ${formatMoney(rule.amount, currency)}`
+            });
+            break;
+          }
+        } else if (rule.condition === 'multipleOfUsual') {
+          const usual = await usualFor(line.categoryId);
+          if (usual && line.amount > usual.average * rule.multiplier) {
+            hits.push({
+              rule,
+              amount: line.amount,
+              categoryId: line.categoryId,
+              usualAmount: Math.round(usual.average * 100) / 100,
+              reason: `${(line.amount / usual.average).toFixed(1)}x your usual ${formatMoney(usual.average, currency)}`
+            });
+            break;
+          }
+        }
+      }
+    }
+
+    return hits;
+  }
+
+  /**
+   * Evaluate a user's rules against a created or updated transaction and notify on every hit
+   * Each rule fires at most once per transaction, so editing a flagged transaction does not alert again
+   * @param {string} userId - User ID
+   * @param {Object} transaction - Saved transaction document
+   * @returns {Array} Alerts sent, one per rule hit
+   */
+  async checkTransaction(userId, transaction) {
+    if (transaction.type === 'transfer') return [];
+
+    const alreadyFired = (transaction.alertRuleIds || []).map(id => id.toString());
+    const rules = (await this.getActiveRules(userId)).filter(rule => !alreadyFired.includes(rule._id.toString()));
+    if (rules.length === 0) return [];
+
+    const user = await User.findById(userId).select('name email settings monthlyBudget.currency');
+    if (!user) return [];
+
+    const currency = getBaseCurrency(user);
+    const hits = await this.evaluate(userId, transaction, rules, currency);
+    if (hits.length === 0) return [];
+
+    const categoryIds = hits.map(hit => hit.categoryId).filter(Boolean);
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('name');
+    const categoryName = (id) => id && categories.find(c => c._id.toString() === id.toString())?.name;
+
+    const alerts = [];
+    for (const hit of hits) {
+      const name = categoryName(hit.categoryId);
+      const reason = `${name ? `${name} ` : ''}${transaction.type} of ${formatMoney(hit.amount, currency)} is ${hit.reason}`;
+      console.log(`🔔 Transaction alert "${hit.rule.name}" for user ${userId}: ${reason}`);
+
+      const notification = new Notification({
+        userId: user._id,
+        title: `Transaction Alert: ${hit.rule.name}`,
+        message: `"${transaction.title}" - ${reason}.`,
+        type: 'warning',
+        read: false
+      });
+      await notification.save();
+
+      let emailResult = null;
+      if (user.settings.emailNotifications) {
+        emailResult = await emailService.sendTransactionAlert(user.email, user.name, transaction, reason);
+      }
+
+      alerts.push({
+        ruleId: hit.rule._id,
+        ruleName: hit.rule.name,
+        amount: hit.amount,
+        categoryId: hit.categoryId,
+        usualAmount: hit.usualAmount,
+        reason,
+        emailSent: Boolean(emailResult && emailResult.success)
+      });
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id, userId },
+      { $addToSet: { alertRuleIds: { $each: hits.map(hit => hit.rule._id) } } }
+    );
+
+    return alerts;
+  }
+}
+
+module.exports = new TransactionAlertService();
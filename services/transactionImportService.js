@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ImportProfile = require('../models/ImportProfile');
+const budgetAlertService = require('./budgetAlertService');
+const categorizationRuleService = require('./categorizationRuleService');
+const exchangeRateService = require('./exchangeRateService');
+const auditService = require('./auditService');
+const { getBaseCurrency } = require('../utils/currency');
+const { validateTransaction } = require('../utils/transactionValidation');
+
+const SIGN_CONVENTIONS = ['negative-is-expense', 'positive-is-expense', 'debit-credit-columns'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+const MAPPING_FIELDS = ['columns', 'signConvention', 'dateFormat', 'decimalSeparator', 'delimiter', 'hasHeader', 'skipRows'];
+const IMPORT_FORMATS = ['csv', 'ofx', 'qfx', 'qif'];
+
+class TransactionImportService {
+  /**
+   * Work out the statement format from the request or the file extension
+   * @param {string} format - Explicit format, if any
+   * @param {string} fileName - Uploaded file name
+   * @returns {string|null} One of IMPORT_FORMATS, or null when unknown
+   */
+  detectFormat(format, fileName = '') {
+    if (format) {
+      const normalized = String(format).toLowerCase();
+      return IMPORT_FORMATS.includes(normalized) ? normalized : null;
+    }
+    const extension = fileName.split('.').pop().toLowerCase();
+    return IMPORT_FORMATS.includes(extension) ? extension : 'csv';
+  }
+
+  /**
+   * Check that a column mapping can be used to read a statement
+   * @param {Object} mapping - Column mapping (same shape as ImportProfile)
+   * @returns {string|null} Error message, or null when the mapping is usable
+   */
+  validateMapping(mapping) {
+    const columns = mapping.columns || {};
+    const hasColumn = (ref) => ref !== undefined && ref !== null && ref !== '';
+
+    if (mapping.signConvention && !SIGN_CONVENTIONS.includes(mapping.signConvention)) {
+      return `Sign convention must be one of ${SIGN_CONVENTIONS.join(', ')}`;
+    }
+    if (mapping.dateFormat && !DATE_FORMATS.includes(mapping.dateFormat)) {
+      return `Date format must be one of ${DATE_FORMATS.join(', ')}`;
+    }
+    if (!hasColumn(columns.date)) {
+      return 'A date column is required';
+    }
+    if (!hasColumn(columns.title) && !hasColumn(columns.description)) {
+      return 'A title or description column is required';
+    }
+    if (mapping.signConvention === 'debit-credit-columns') {
+      if (!hasColumn(columns.debit) || !hasColumn(columns.credit)) {
+        return 'Debit and credit columns are required for the debit-credit-columns convention';
+      }
+    } else if (!hasColumn(columns.amount)) {
+      return 'An amount column is required';
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the mapping for an import from a saved profile or the request, saving it if asked
+   * @param {string} userId - User ID
+   * @param {Object} options - { profileId, mapping, saveProfileAs }
+   * @returns {Object} { mapping, profile } or { error }
+   */
+  async resolveMapping(userId, { profileId, mapping, saveProfileAs }) {
+    let resolved = null;
+    let profile = null;
+
+    if (profileId) {
+      profile = await ImportProfile.findOne({ _id: profileId, userId });
+      if (!profile) {
+        return { error: 'Import profile not found', status: 404 };
+      }
+      resolved = profile.toObject();
+    }
+
+    if (mapping) {
+      resolved = { ...(resolved || {}), ...mapping };
+    }
+
+    if (!resolved) {
+      return { error: 'Either profileId or mapping is required', status: 400 };
+    }
+
+    const mappingError = this.validateMapping(resolved);
+    if (mappingError) {
+      return { error: mappingError, status: 400 };
+    }
+
+    if (saveProfileAs) {
+      const update = {};
+      MAPPING_FIELDS.forEach(field => {
+        if (resolved[field] !== undefined) update[field] = resolved[field];
+      });
+      profile = await ImportProfile.findOneAndUpdate(
+        { userId, name: saveProfileAs },
+        update,
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    return { mapping: resolved, profile };
+  }
+
+  /**
+   * Parse a bank amount such as "1,234.56", "-12.00", "(12.00)" or "1.234,56"
+   * @param {string} value - Raw amount
+   * @param {string} decimalSeparator - '.' or ','
+   * @returns {number|null} Parsed amount, or null when empty/invalid
+   */
+  parseAmount(value, decimalSeparator = '.') {
+    if (value === undefined || value === null) return null;
+    let text = String(value).trim();
+    if (!text) return null;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+      negative = true;
+      text = text.slice(0, -1);
+    }
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    text = text.replace(/[^0-9.+-]/g, '');
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return null;
+    return negative ? -Math.abs(amount) : amount;
+  }
+
+  /**
+   * Parse a statement date in the given format
+   * @param {string} value - Raw date
+   * @param {string} format - One of DATE_FORMATS
+   * @returns {Date|null} Parsed date, or null when invalid
+   */
+  parseDate(value, format = 'YYYY-MM-DD') {
+    if (!value) return null;
+    const parts = String(value).trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+    if (parts.length < 3) return null;
+
+    const order = format.split(/[^A-Z]+/);
+    const part = (token) => parts[order.indexOf(token)];
+    let year = part('YYYY');
+    const month = part('MM');
+    const day = part('DD');
+    if (year < 100) year += 2000;
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * Read a CSV statement into candidate transactions using a column mapping
+   * @param {Buffer} buffer - Uploaded file contents
+   * @param {Object} mapping - Column mapping
+   * @returns {Object} { rows } or { error } when the file cannot be read
+   */
+  parseCsv(buffer, mapping) {
+    let records;
+    try {
+      records = parse(buffer, {
+        delimiter: mapping.delimiter || ',',
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true,
+        from_line: (mapping.skipRows || 0) + 1
+      });
+    } catch (error) {
+      return { error: `Could not parse CSV: ${error.message}` };
+    }
+
+    const hasHeader = mapping.hasHeader !== false;
+    const header = hasHeader ? records.shift() || [] : [];
+    const columns = mapping.columns || {};
+
+    const indexOf = (ref) => {
+      if (ref === undefined || ref === null || ref === '') return -1;
+      if (typeof ref === 'number' || /^\d+$/.test(String(ref))) return Number(ref);
+      return header.findIndex(name => name.toLowerCase() === String(ref).toLowerCase());
+    };
+
+    const missing = Object.entries(columns)
+      .filter(([, ref]) => ref !== undefined && ref !== null && ref !== '' && indexOf(ref) === -1)
+      .map(([field, ref]) => `${field} (${ref})`);
+    if (missing.length > 0) {
+      return { error: `Columns not found in file: ${missing.join(', ')}` };
+    }
+
+    const firstDataLine = (mapping.skipRows || 0) + (hasHeader ? 2 : 1);
+    const rows = records.map((record, i) => {
+      const cell = (field) => {
+        const index = indexOf(columns[field]);
+        return index === -1 ? undefined : record[index];
+      };
+      return {
+        row: firstDataLine + i,
+        ...this.mapRecord(cell, mapping)
+      };
+    });
+
+    return { rows };
+  }
+
+  /**
+   * Turn one statement line into transaction fields
+   * @param {Function} cell - Returns the raw value for a mapped field
+   * @param {Object} mapping - Column mapping
+   * @returns {Object} { transaction, error }
+   */
+  mapRecord(cell, mapping) {
+    const decimalSeparator = mapping.decimalSeparator || '.';
+    const description = cell('description');
+    const title = cell('title') || description;
+    const date = this.parseDate(cell('date'), mapping.dateFormat);
+
+    let signedAmount;
+    if (mapping.signConvention === 'debit-credit-columns') {
+      const debit = this.parseAmount(cell('debit'), decimalSeparator);
+      const credit = this.parseAmount(cell('credit'), decimalSeparator);
+      signedAmount = debit ? -Math.abs(debit) : credit ? Math.abs(credit) : null;
+    } else {
+      signedAmount = this.parseAmount(cell('amount'), decimalSeparator);
+      if (signedAmount !== null && mapping.signConvention === 'positive-is-expense') {
+        signedAmount = -signedAmount;
+      }
+    }
+
+    const result = this.buildRow(null, {
+      title,
+      signedAmount,
+      date,
+      description: cell('title') ? description : undefined
+    });
+    if (!date) {
+      result.error = `Invalid date "${cell('date') || ''}"`;
+    }
+    return { transaction: result.transaction, error: result.error };
+  }
+
+  /**
+   * Build a row from transaction fields, validated with the same rules as POST /api/transactions
+   * @param {number} row - Position in the file
+   * @param {Object} fields - { title, signedAmount, date, description, externalId }
+   * @returns {Object} { row, transaction, error }
+   */
+  buildRow(row, { title, signedAmount, date, description, externalId }) {
+    const transaction = {
+      title,
+      amount: signedAmount === null ? null : Math.round(Math.abs(signedAmount) * 100) / 100,
+      type: signedAmount === null ? null : signedAmount < 0 ? 'expense' : 'income',
+      date,
+      description: description && description !== title ? description : undefined,
+      externalId
+    };
+
+    let error = null;
+    if (!date) {
+      error = 'Invalid date';
+    } else if (signedAmount === null) {
+      error = 'Missing or invalid amount';
+    } else {
+      error = validateTransaction(transaction);
+    }
+    return { row, transaction, error };
+  }
+
+  /**
+   * Read an OFX/QFX statement (SGML 1.x or XML 2.x)
+   * The FITID of each transaction becomes its externalId, scoped to the account
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Object} { rows } or { error } when the file cannot be read
+   */
+  parseOfx(buffer) {
+    const text = buffer.toString('utf8');
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi);
+    if (!blocks) {
+      return { error: 'No transactions found in OFX file' };
+    }
+
+    // SGML OFX does not close leaf elements, so read each value up to the next tag or line break
+    const tag = (source, name) => {
+      const match = source.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      if (!match) return undefined;
+      return match[1].trim()
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&') || undefined;
+    };
+
+    const accountId = tag(text, 'ACCTID') || 'default';
+
+    const rows = blocks.map((block, i) => {
+      const posted = tag(block, 'DTPOSTED') || '';
+      const match = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+      const date = match ? this.parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD') : null;
+      const fitId = tag(block, 'FITID');
+      const name = tag(block, 'NAME') || tag(block, 'PAYEE');
+      const memo = tag(block, 'MEMO');
+
+      return this.buildRow(i + 1, {
+        title: name || memo,
+        signedAmount: this.parseAmount(tag(block, 'TRNAMT')),
+        date,
+        description: memo,
+        externalId: fitId ? `ofx:${accountId}:${fitId}` : undefined
+      });
+    });
+
+    return { rows };
+  }
+
+  /**
+   * Read a QIF statement
+   * QIF has no transaction ids, so a stable hash of each entry (with its position among
+   * identical entries) stands in for one
+   * @param {Buffer} buffer - Uploaded file contents
+   * @param {string} dateFormat - Date order used by the bank, MM/DD/YYYY by default
+   * @returns {Object} { rows } or { error } when the file cannot be read
+   */
+  parseQif(buffer, dateFormat = 'MM/DD/YYYY') {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      return { error: `Date format must be one of ${DATE_FORMATS.join(', ')}` };
+    }
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    const entries = [];
+    let current = {};
+
+    lines.forEach(line => {
+      if (!line || line.startsWith('!')) return;
+      const code = line[0];
+      const value = line.slice(1).trim();
+      if (code === '^') {
+        if (Object.keys(current).length > 0) entries.push(current);
+        current = {};
+      } else if (!(code in current)) {
+        current[code] = value;
+      }
+    });
+    if (Object.keys(current).length > 0) entries.push(current);
+
+    if (entries.length === 0) {
+      return { error: 'No transactions found in QIF file' };
+    }
+
+    const seen = {};
+    const rows = entries.map((entry, i) => {
+      const rawDate = (entry.D || '').replace(/'/g, '/');
+      const rawAmount = entry.T !== undefined ? entry.T : entry.U;
+      const key = [entry.D, rawAmount, entry.P, entry.N].join('|');
+      seen[key] = (seen[key] || 0) + 1;
+      const hash = crypto.createHash('sha1').update(`${key}|${seen[key]}`).digest('hex');
+
+      return this.buildRow(i + 1, {
+        title: entry.P || entry.M,
+        signedAmount: this.parseAmount(rawAmount),
+        date: this.parseDate(rawDate, dateFormat),
+        description: entry.M,
+        externalId: `qif:${hash}`
+      });
+    });
+
+    return { rows };
+  }
+
+  /**
+   * Flag rows whose externalId was already imported, or repeats within the same file
+   * Rows whose transaction is in the trash also get inTrash and the trashed transaction's ID
+   * @param {string} userId - User ID
+   * @param {Array} rows - Parsed rows
+   * @returns {Array} Rows with duplicate set where applicable
+   */
+  async markAlreadyImported(userId, rows) {
+    const externalIds = rows.map(r => r.transaction.externalId).filter(Boolean);
+    if (externalIds.length === 0) return rows;
+
+    // Trashed transactions count as imported too (the unique externalId index covers them): restoring them is the way back
+    const existing = await Transaction.find({ userId, externalId: { $in: externalIds } })
+      .select('externalId deletedAt')
+      .setOptions({ withDeleted: true });
+    const imported = new Set(existing.map(t => t.externalId));
+    const trashed = new Map(existing.filter(t => t.deletedAt).map(t => [t.externalId, t._id]));
+
+    return rows.map(r => {
+      const externalId = r.transaction.externalId;
+      if (!externalId) return r;
+      const duplicate = imported.has(externalId);
+      imported.add(externalId);
+      if (trashed.has(externalId)) {
+        return { ...r, duplicate: true, inTrash: true, trashedTransactionId: trashed.get(externalId) };
+      }
+      return duplicate ? { ...r, duplicate: true } : r;
+    });
+  }
+
+  /**
+   * Fill in category and tags from the user's categorization rules
+   * @param {string} userId - User ID
+   * @param {Array} rows - Parsed rows (transactions are updated in place)
+   * @returns {Array} The same rows
+   */
+  async categorizeRows(userId, rows) {
+    const rules = await categorizationRuleService.getActiveRules(userId);
+    rows.forEach(r => categorizationRuleService.applyRules(r.transaction, rules));
+    return rows;
+  }
+
+  /**
+   * Set the statement currency on every valid row with its rate into the user's base currency
+   * Rows dated where no rate is known are reported as invalid
+   * @param {string} userId - User ID
+   * @param {Array} rows - Parsed rows (transactions are updated in place)
+   * @param {string} currency - Statement currency (defaults to the base currency)
+   * @returns {Array} The same rows
+   */
+  async rateRows(userId, rows, currency) {
+    const user = await User.findById(userId).select('monthlyBudget.currency');
+    const baseCurrency = getBaseCurrency(user);
+    for (const r of rows) {
+      if (r.error) continue;
+      r.transaction.currency = currency;
+      const rateError = await exchangeRateService.applyRate(r.transaction, baseCurrency);
+      if (rateError) r.error = rateError;
+    }
+    return rows;
+  }
+
+  /**
+   * Summarize parsed rows for the dry-run preview
+   * @param {Array} rows - Parsed rows
+   * @returns {Object} Preview summary
+   */
+  summarize(rows) {
+    const valid = rows.filter(r => !r.error && !r.duplicate);
+    const sum = (type) => Math.round(valid
+      .filter(r => r.transaction.type === type)
+      .reduce((total, r) => total + r.transaction.amount, 0) * 100) / 100;
+
+    return {
+      totalRows: rows.length,
+      validRows: valid.length,
+      invalidRows: rows.filter(r => r.error).length,
+      duplicateRows: rows.filter(r => !r.error && r.duplicate).length,
+      inTrashRows: rows.filter(r => !r.error && r.inTrash).length,
+      totalIncome: sum('income'),
+      totalExpenses: sum('expense')
+    };
+  }
+
+  /**
+   * Save the valid rows of an import and re-evaluate budget alerts once
+   * @param {string} userId - User ID
+   * @param {Array} rows - Parsed rows
+   * @param {Object} defaults - Fields applied to every transaction (e.g. categoryId)
+   * @returns {Array} Created transactions
+   */
+  async commitImport(userId, rows, defaults = {}) {
+    const documents = rows
+      .filter(r => !r.error && !r.duplicate)
+      .map(r => ({ ...defaults, ...r.transaction, userId }));
+
+    if (documents.length === 0) {
+      return [];
+    }
+
+    let created;
+    try {
+      // Unordered so a concurrent import of the same file only loses the rows it raced on
+      created = await Transaction.insertMany(documents, { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000 || !error.insertedDocs) throw error;
+      created = error.insertedDocs;
+    }
+
+    await auditService.recordMany(created.map(transaction => ({
+      userId,
+      actorId: userId,
+      entityType: 'transaction',
+      source: 'import',
+      after: transaction
+    })));
+
+    if (created.some(t => t.type === 'expense')) {
+      try {
+        console.log('🔍 Checking budget after transaction import');
+        await budgetAlertService.checkAndSendBudgetAlert(userId);
+      } catch (budgetError) {
+        console.error('❌ Error checking budget after import:', budgetError);
+        // Don't fail the import if budget check fails
+      }
+    }
+
+    return created;
+  }
+}
+
+module.exports = new TransactionImportService();
@@ -0,0 +1,156 @@
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const attachmentService = require('./attachmentService');
+const goalService = require('./goalService');
+const debtService = require('./debtService');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Trashable models by audit entity type
+const MODELS = {
+  transaction: Transaction,
+  category: Category
+};
+
+// Goal contributions and debt payments linked to transactions stop counting while they are in the trash
+const setLinkedTrashed = async (entityType, userId, ids, trashed) => {
+  if (entityType !== 'transaction') return;
+  await goalService.setTransactionContributionsTrashed(userId, ids, trashed);
+  await debtService.setTransactionPaymentsTrashed(userId, ids, trashed);
+};
+
+class TrashService {
+  /**
+   * Days deleted records stay in the trash before they are purged (TRASH_RETENTION_DAYS)
+   * @returns {number} Retention window in days
+   */
+  getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Move one of the user's records to the trash
+   * @param {string} entityType - transaction or category
+   * @param {string} userId - User ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} The trashed record, or null when no live record matched
+   */
+  async moveToTrash(entityType, userId, id) {
+    const record = await MODELS[entityType].findOneAndUpdate(
+      { _id: id, userId },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+    if (!record) return null;
+
+    await setLinkedTrashed(entityType, userId, [record._id], true);
+    await auditService.record({
+      userId,
+      actorId: userId,
+      entityType,
+      action: 'delete',
+      before: { ...record.toObject(), deletedAt: undefined },
+      after: record
+    });
+    return record;
+  }
+
+  /**
+   * Records of the user in the trash, most recently deleted first
+   * @param {string} entityType - transaction or category
+   * @param {string} userId - User ID
+   * @returns {Array} Records with the date they will be purged
+   */
+  async list(entityType, userId) {
+    const retentionMs = this.getRetentionDays() * DAY_MS;
+    const records = await MODELS[entityType].find({ userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+    return records.map(record => ({
+      ...record.toObject(),
+      purgeAt: new Date(record.deletedAt.getTime() + retentionMs)
+    }));
+  }
+
+  /**
+   * Find one of the user's trashed records
+   * @param {string} entityType - transaction or category
+   * @param {string} userId - User ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} Trashed record
+   */
+  async findTrashed(entityType, userId, id) {
+    return MODELS[entityType].findOne({ _id: id, userId, deletedAt: { $ne: null } });
+  }
+
+  /**
+   * Take a record out of the trash
+   * @param {string} entityType - transaction or category
+   * @param {string} userId - User ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} The restored record, or null when it is not in the trash
+   */
+  async restore(entityType, userId, id) {
+    const trashed = await this.findTrashed(entityType, userId, id);
+    if (!trashed) return null;
+
+    const record = await MODELS[entityType].findOneAndUpdate(
+      { _id: id, userId, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1 } },
+      { new: true }
+    );
+    if (!record) return null;
+
+    await setLinkedTrashed(entityType, userId, [record._id], false);
+    await auditService.record({ userId, actorId: userId, entityType, action: 'restore', before: trashed, after: record });
+    return record;
+  }
+
+  /**
+   * Permanently delete records that have been in the trash longer than the retention window
+   * Attachments, goal contributions and debt payments of purged transactions are deleted with them
+   * @param {Date} now - Reference time
+   * @returns {Object} Counts of purged transactions and categories
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.getRetentionDays() * DAY_MS);
+    const results = {};
+
+    for (const [entityType, Model] of Object.entries(MODELS)) {
+      const expired = await Model.find({ deletedAt: { $lte: cutoff } });
+      if (expired.length === 0) {
+        results[entityType] = 0;
+        continue;
+      }
+
+      if (entityType === 'transaction') {
+        const byUser = new Map();
+        expired.forEach(record => {
+          const userId = record.userId.toString();
+          byUser.set(userId, [...(byUser.get(userId) || []), record._id]);
+        });
+        for (const [userId, ids] of byUser) {
+          await attachmentService.removeForTransactions(userId, ids);
+          await goalService.removeTransactionContributions(userId, ids);
+          await debtService.removeTransactionPayments(userId, ids);
+        }
+      }
+
+      await Model.deleteMany({ _id: { $in: expired.map(record => record._id) }, deletedAt: { $lte: cutoff } });
+      await auditService.recordMany(expired.map(record => ({
+        userId: record.userId,
+        entityType,
+        action: 'purge',
+        source: 'system',
+        before: record
+      })));
+      results[entityType] = expired.length;
+    }
+
+    console.log(`🗑️ Purged ${results.transaction} transactions and ${results.category} categories from the trash`);
+    return results;
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,151 @@
+// Schedules stop here so a payment that barely covers interest can't loop for centuries
+const MAX_MONTHS = 600;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Day `day` of a month, clamped to the month's length (a 31st due day falls on Feb 28/29)
+const dueDate = (year, month, day) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, daysInMonth));
+};
+
+/**
+ * First due date strictly after a date
+ * @param {number} dueDay - Day of month payments are due
+ * @param {Date} after - Reference date
+ * @returns {Date} Next due date
+ */
+const nextDueDate = (dueDay, after) => {
+  const candidate = dueDate(after.getFullYear(), after.getMonth(), dueDay);
+  return candidate > after ? candidate : dueDate(after.getFullYear(), after.getMonth() + 1, dueDay);
+};
+
+/**
+ * Monthly interest rate for an APR given in percent
+ * @param {number} apr - Annual percentage rate, e.g. 19.99
+ * @returns {number} Monthly rate as a fraction
+ */
+const monthlyRate = (apr) => (apr || 0) / 100 / 12;
+
+/**
+ * Amortization schedule paying a fixed amount every month until the balance is cleared
+ * Interest accrues monthly on the outstanding balance; the last payment only covers what is left
+ * @param {Object} options - { balance, apr, payment, dueDay, from }
+ * @returns {Object} { schedule, months, totalInterest, totalPaid, payoffDate, paysOff }
+ */
+const buildSchedule = ({ balance, apr, payment, dueDay = 1, from = new Date() }) => {
+  const rate = monthlyRate(apr);
+  const schedule = [];
+  let remaining = balance;
+  let totalInterest = 0;
+  let date = nextDueDate(dueDay, from);
+
+  // A payment that doesn't cover the first month's interest never pays the debt off
+  if (remaining > 0 && payment <= remaining * rate) {
+    return { schedule, months: null, totalInterest: null, totalPaid: null, payoffDate: null, paysOff: false };
+  }
+
+  while (remaining > 0.005 && schedule.length < MAX_MONTHS) {
+    const interest = round(remaining * rate);
+    const amount = Math.min(payment, round(remaining + interest));
+    const principal = round(amount - interest);
+    remaining = round(remaining - principal);
+    totalInterest += interest;
+
+    schedule.push({
+      period: schedule.length + 1,
+      date,
+      payment: round(amount),
+      interest,
+      principal,
+      balance: Math.max(0, remaining)
+    });
+    date = dueDate(date.getFullYear(), date.getMonth() + 1, dueDay);
+  }
+
+  const paysOff = remaining <= 0.005;
+  return {
+    schedule,
+    months: paysOff ? schedule.length : null,
+    totalInterest: round(totalInterest),
+    totalPaid: round(schedule.reduce((sum, row) => sum + row.payment, 0)),
+    payoffDate: paysOff && schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+    paysOff
+  };
+};
+
+/**
+ * Simulate paying several debts with one monthly amount
+ * Every debt gets its minimum payment; whatever is left goes to the first unpaid debt in `order`.
+ * Once a debt is cleared its minimum rolls into the extra payment for the next one
+ * @param {Array} debts - { id, name, balance, apr, minimumPayment }, already in payoff order
+ * @param {number} monthlyPayment - Total paid towards all debts each month
+ * @param {Date} from - Start of the simulation
+ * @returns {Object} { months, payoffDate, totalInterest, totalPaid, paysOff, debts }
+ */
+const simulatePayoff = (debts, monthlyPayment, from = new Date()) => {
+  const state = debts.map(debt => ({
+    ...debt,
+    remaining: debt.balance,
+    interestPaid: 0,
+    totalPaid: 0,
+    monthsToPayoff: debt.balance > 0 ? null : 0
+  }));
+  let month = 0;
+
+  while (state.some(debt => debt.remaining > 0.005) && month < MAX_MONTHS) {
+    month++;
+    state.forEach(debt => {
+      if (debt.remaining <= 0.005) return;
+      const interest = round(debt.remaining * monthlyRate(debt.apr));
+      debt.remaining = round(debt.remaining + interest);
+      debt.interestPaid += interest;
+    });
+
+    let budget = monthlyPayment;
+    const pay = (debt, amount) => {
+      const paid = round(Math.min(amount, debt.remaining, budget));
+      debt.remaining = round(debt.remaining - paid);
+      debt.totalPaid += paid;
+      budget = round(budget - paid);
+    };
+
+    state.forEach(debt => {
+      if (debt.remaining > 0.005) pay(debt, debt.minimumPayment);
+    });
+    for (const debt of state) {
+      if (budget <= 0) break;
+      if (debt.remaining > 0.005) pay(debt, budget);
+    }
+
+    state.forEach(debt => {
+      if (debt.monthsToPayoff === null && debt.remaining <= 0.005) debt.monthsToPayoff = month;
+    });
+  }
+
+  const addMonths = (months) => new Date(from.getFullYear(), from.getMonth() + months, from.getDate());
+  const paysOff = state.every(debt => debt.monthsToPayoff !== null);
+  return {
+    months: paysOff ? month : null,
+    payoffDate: paysOff ? addMonths(month) : null,
+    totalInterest: round(state.reduce((sum, debt) => sum + debt.interestPaid, 0)),
+    totalPaid: round(state.reduce((sum, debt) => sum + debt.totalPaid, 0)),
+    paysOff,
+    debts: state.map(debt => ({
+      debtId: debt.id,
+      name: debt.name,
+      startingBalance: round(debt.balance),
+      monthsToPayoff: debt.monthsToPayoff,
+      payoffDate: debt.monthsToPayoff !== null ? addMonths(debt.monthsToPayoff) : null,
+      interestPaid: round(debt.interestPaid)
+    }))
+  };
+};
+
+module.exports = {
+  MAX_MONTHS,
+  monthlyRate,
+  nextDueDate,
+  buildSchedule,
+  simulatePayoff
+};
@@ -0,0 +1,172 @@
+const PERIOD_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'quarterly'];
+
+const PERIOD_NAMES = {
+  weekly: { name: 'Weekly', unit: 'week' },
+  biweekly: { name: 'Bi-weekly', unit: 'pay period' },
+  monthly: { name: 'Monthly', unit: 'month' },
+  quarterly: { name: 'Quarterly', unit: 'quarter' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Whole calendar days between two dates, unaffected by DST shifts
+const daysBetween = (from, to) => Math.round(
+  (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+    Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS
+);
+
+// Day `day` of a month, clamped to the month's length (a 31st start falls on Feb 28/29)
+const monthDay = (year, month, day) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, daysInMonth));
+};
+
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Normalize a budget period definition, filling in defaults
+ * @param {Object} definition - { frequency, startDay, anchorDate }
+ * @returns {Object} Complete definition
+ */
+const normalizePeriod = (definition = {}) => {
+  return {
+    frequency: definition.frequency || 'monthly',
+    // Weekly periods default to Monday, monthly ones to the 1st
+    startDay: definition.startDay ?? 1,
+    anchorDate: definition.anchorDate ? new Date(definition.anchorDate) : null
+  };
+};
+
+/**
+ * Validate a budget period definition
+ * @param {Object} definition - { frequency, startDay, anchorDate }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePeriod = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    return 'Period must be an object';
+  }
+  const { frequency, startDay, anchorDate } = definition;
+  if (!PERIOD_FREQUENCIES.includes(frequency)) {
+    return `Period frequency must be one of ${PERIOD_FREQUENCIES.join(', ')}`;
+  }
+  if (frequency === 'weekly' && startDay !== undefined && (!Number.isInteger(startDay) || startDay < 0 || startDay > 6)) {
+    return 'Weekly periods need a startDay between 0 (Sunday) and 6 (Saturday)';
+  }
+  if (frequency === 'monthly' && startDay !== undefined && (!Number.isInteger(startDay) || startDay < 1 || startDay > 31)) {
+    return 'Monthly periods need a startDay between 1 and 31';
+  }
+  if (frequency === 'biweekly') {
+    if (!anchorDate) {
+      return 'Bi-weekly periods need an anchorDate (a pay date)';
+    }
+    if (isNaN(new Date(anchorDate).getTime())) {
+      return 'Invalid anchorDate';
+    }
+  }
+  return null;
+};
+
+/**
+ * Start of the period containing a date
+ * @param {Object} definition - Budget period definition
+ * @param {Date} date - Reference date
+ * @returns {Date} Period start (local midnight)
+ */
+const getPeriodStart = (definition, date = new Date()) => {
+  const { frequency, startDay, anchorDate } = normalizePeriod(definition);
+  const day = startOfDay(date);
+
+  switch (frequency) {
+    case 'weekly': {
+      const back = (day.getDay() - startDay + 7) % 7;
+      return new Date(day.getFullYear(), day.getMonth(), day.getDate() - back);
+    }
+    case 'biweekly': {
+      const anchor = startOfDay(anchorDate);
+      const cycles = Math.floor(daysBetween(anchor, day) / 14);
+      return new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + cycles * 14);
+    }
+    case 'quarterly':
+      return new Date(day.getFullYear(), Math.floor(day.getMonth() / 3) * 3, 1);
+    case 'monthly':
+    default: {
+      const candidate = monthDay(day.getFullYear(), day.getMonth(), startDay);
+      return candidate <= day ? candidate : monthDay(day.getFullYear(), day.getMonth() - 1, startDay);
+    }
+  }
+};
+
+/**
+ * Start of the period following the one that starts at `start`
+ * @param {Object} definition - Budget period definition
+ * @param {Date} start - Start of a period
+ * @returns {Date} Start of the next period
+ */
+const getNextPeriodStart = (definition, start) => {
+  const { frequency, startDay } = normalizePeriod(definition);
+
+  switch (frequency) {
+    case 'weekly':
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    case 'biweekly':
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 14);
+    case 'quarterly':
+      return new Date(start.getFullYear(), start.getMonth() + 3, 1);
+    case 'monthly':
+    default:
+      return monthDay(start.getFullYear(), start.getMonth() + 1, startDay);
+  }
+};
+
+/**
+ * The window of the period containing a date
+ * @param {Object} definition - Budget period definition
+ * @param {Date} date - Reference date
+ * @returns {Object} { frequency, startDate, endDate, label, name, unit }
+ */
+const getPeriodWindow = (definition, date = new Date()) => {
+  const { frequency } = normalizePeriod(definition);
+  const startDate = getPeriodStart(definition, date);
+  const endDate = new Date(getNextPeriodStart(definition, startDate).getTime() - 1);
+  return {
+    frequency,
+    startDate,
+    endDate,
+    label: `${formatDate(startDate)} to ${formatDate(endDate)}`,
+    ...PERIOD_NAMES[frequency]
+  };
+};
+
+/**
+ * Start dates of every period from the one containing `since` up to and including the one starting at `until`
+ * @param {Object} definition - Budget period definition
+ * @param {Date} since - First date to cover
+ * @param {Date} until - Start of the last period (usually the current one)
+ * @returns {Array} Period start dates
+ */
+const getPeriodBoundaries = (definition, since, until) => {
+  const boundaries = [];
+  let cursor = getPeriodStart(definition, since);
+  while (cursor <= until) {
+    boundaries.push(cursor);
+    cursor = getNextPeriodStart(definition, cursor);
+  }
+  return boundaries;
+};
+
+module.exports = {
+  PERIOD_FREQUENCIES,
+  normalizePeriod,
+  validatePeriod,
+  getPeriodStart,
+  getNextPeriodStart,
+  getPeriodWindow,
+  getPeriodBoundaries
+};
@@ -0,0 +1,87 @@
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNELS = ['email', 'in-app', 'both'];
+
+// What every budget gets until the user configures its own list; matches the old warning/critical defaults
+const DEFAULT_THRESHOLDS = [
+  { percentage: 80, severity: 'warning', channel: 'both' },
+  { percentage: 95, severity: 'critical', channel: 'both' }
+];
+
+/**
+ * Convert the old { warning, critical } pair into a threshold list
+ * @param {Object} alertThresholds - { warning, critical } percentages
+ * @returns {Array} Thresholds
+ */
+const fromLegacyThresholds = (alertThresholds = {}) => [
+  { percentage: alertThresholds.warning ?? 80, severity: 'warning', channel: 'both' },
+  { percentage: alertThresholds.critical ?? 95, severity: 'critical', channel: 'both' }
+];
+
+/**
+ * The thresholds of a budget in ascending order, falling back to the defaults
+ * @param {Object} budget - Overall or category budget
+ * @returns {Array} Thresholds of { percentage, severity, channel, message }
+ */
+const resolveThresholds = (budget) => {
+  const thresholds = budget && budget.thresholds && budget.thresholds.length > 0
+    ? budget.thresholds
+    : DEFAULT_THRESHOLDS;
+  return thresholds
+    .map(t => ({
+      percentage: t.percentage,
+      severity: t.severity || 'warning',
+      channel: t.channel || 'both',
+      message: t.message || undefined
+    }))
+    .sort((a, b) => a.percentage - b.percentage);
+};
+
+/**
+ * Validate a threshold list from the API
+ * @param {Array} thresholds - Thresholds to check
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateThresholds = (thresholds) => {
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    return 'Thresholds must be a non-empty array';
+  }
+  const seen = new Set();
+  for (const threshold of thresholds) {
+    if (!threshold || typeof threshold.percentage !== 'number' || threshold.percentage <= 0) {
+      return 'Every threshold needs a percentage greater than 0';
+    }
+    if (seen.has(threshold.percentage)) {
+      return `Duplicate threshold at ${threshold.percentage}%`;
+    }
+    seen.add(threshold.percentage);
+    if (threshold.severity !== undefined && !SEVERITIES.includes(threshold.severity)) {
+      return `Threshold severity must be one of ${SEVERITIES.join(', ')}`;
+    }
+    if (threshold.channel !== undefined && !CHANNELS.includes(threshold.channel)) {
+      return `Threshold channel must be one of ${CHANNELS.join(', ')}`;
+    }
+    if (threshold.message !== undefined && typeof threshold.message !== 'string') {
+      return 'Threshold message must be a string';
+    }
+  }
+  return null;
+};
+
+/**
+ * Keep only the known threshold fields, sorted by percentage
+ * @param {Array} thresholds - Validated thresholds
+ * @returns {Array} Thresholds ready to store
+ */
+const normalizeThresholds = (thresholds) => thresholds
+  .map(({ percentage, severity, channel, message }) => ({ percentage, severity, channel, message }))
+  .sort((a, b) => a.percentage - b.percentage);
+
+module.exports = {
+  SEVERITIES,
+  CHANNELS,
+  DEFAULT_THRESHOLDS,
+  fromLegacyThresholds,
+  resolveThresholds,
+  validateThresholds,
+  normalizeThresholds
+};
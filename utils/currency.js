@@ -0,0 +1,48 @@
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * The currency a user's budgets, reports and exports are expressed in
+ * @param {Object} user - User document
+ * @returns {string} ISO 4217 code
+ */
+const getBaseCurrency = (user) => (user && user.monthlyBudget && user.monthlyBudget.currency) || DEFAULT_CURRENCY;
+
+/**
+ * Whether a value looks like an ISO 4217 currency code (e.g. EUR)
+ * @param {string} code - Currency code
+ * @returns {boolean}
+ */
+const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Format an amount with its currency symbol (e.g. $1,234.50, €12.00)
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code (USD when missing)
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency) => {
+  const code = currency || DEFAULT_CURRENCY;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(2)} ${code}`;
+  }
+};
+
+/**
+ * Amount of a transaction (or one of its split lines) in the user's base currency
+ * Transactions saved before currencies were tracked have no rate and are already in the base currency
+ * @param {Object} transaction - Transaction document or plain object
+ * @param {number} amount - Amount in the transaction's currency (defaults to the transaction amount)
+ * @returns {number} Converted amount
+ */
+const toBaseAmount = (transaction, amount = transaction.amount) => amount * (transaction.exchangeRate || 1);
+
+/**
+ * Aggregation expression for an amount field converted into the base currency with the transaction's rate
+ * @param {string} field - Amount field path (defaults to '$amount')
+ * @returns {Object} $multiply expression
+ */
+const baseAmountExpression = (field = '$amount') => ({ $multiply: [field, { $ifNull: ['$exchangeRate', 1] }] });
+
+module.exports = { DEFAULT_CURRENCY, getBaseCurrency, isCurrencyCode, formatMoney, toBaseAmount, baseAmountExpression };
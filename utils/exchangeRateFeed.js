@@ -0,0 +1,64 @@
+const { parse } = require('csv-parse/sync');
+const { isCurrencyCode } = require('./currency');
+
+// Rates are stored per day
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Check and normalize one rate
+ * @param {Object} row - { date, base, currency, rate }
+ * @returns {Object} { rate } or { error }
+ */
+const normalizeRate = (row) => {
+  const date = toDay(row.date);
+  const base = String(row.base || '').trim().toUpperCase();
+  const currency = String(row.currency || '').trim().toUpperCase();
+  const rate = Number(row.rate);
+
+  if (!date) return { error: `Invalid date "${row.date}"` };
+  if (!isCurrencyCode(base) || !isCurrencyCode(currency)) return { error: `Invalid currency pair "${row.base}/${row.currency}"` };
+  if (base === currency) return { error: `Rate from ${base} to itself` };
+  if (!(rate > 0)) return { error: `Invalid rate "${row.rate}" for ${base}/${currency}` };
+  return { rate: { date, base, currency, rate } };
+};
+
+/**
+ * Parse an exchange-rate feed
+ * CSV files need date, base, currency and rate columns. JSON files hold an array of the same objects, or
+ * snapshots in the common { date, base, rates: { EUR: 0.92, ... } } shape (one object or an array of them)
+ * @param {string|Buffer} content - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { rates, errors } where errors lists the rows that were skipped
+ */
+const parseRateFeed = (content, format) => {
+  let rows;
+  if (format === 'csv') {
+    rows = parse(content, { columns: header => header.map(column => column.trim().toLowerCase()), skip_empty_lines: true, trim: true });
+  } else if (format === 'json') {
+    const data = JSON.parse(content.toString());
+    rows = (Array.isArray(data) ? data : [data]).flatMap(entry => entry && entry.rates
+      ? Object.entries(entry.rates).map(([currency, rate]) => ({ date: entry.date, base: entry.base, currency, rate }))
+      : [entry]);
+  } else {
+    throw new Error(`Unsupported exchange rate feed format "${format}"`);
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const result = normalizeRate(row || {});
+    if (result.error) {
+      errors.push({ row: index + 1, message: result.error });
+    } else {
+      rates.push(result.rate);
+    }
+  });
+
+  return { rates, errors };
+};
+
+module.exports = { parseRateFeed, toDay };
@@ -0,0 +1,13 @@
+/**
+ * Merchant key for a transaction title: store numbers, punctuation and case are ignored,
+ * so "UBER *TRIP 4821" and "Uber Trip" count as one merchant
+ * @param {string} title - Transaction title
+ * @returns {string} Normalized merchant key
+ */
+const normalizeMerchant = (title = '') => title
+  .toLowerCase()
+  .replace(/[#*]?\d{3,}/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+module.exports = { normalizeMerchant };
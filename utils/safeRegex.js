@@ -0,0 +1,78 @@
+// User-supplied patterns run on the request path (new transactions, every imported row), so they are kept to
+// shapes that cannot backtrack catastrophically and only ever see a bounded slice of text
+const MAX_REGEX_LENGTH = 100;
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+const MAX_REGEX_INPUT_LENGTH = 200;
+
+/**
+ * Check that a user-supplied regular expression compiles and is simple enough to run safely
+ * Rejected: backreferences, repeated groups that contain a quantifier or an alternation (e.g. (a+)+ or (a|ab)*)
+ * and more than MAX_UNBOUNDED_QUANTIFIERS of *, + or {n,}
+ * @param {string} pattern - Pattern from a rule condition
+ * @returns {string|null} Error message, or null when the pattern is allowed
+ */
+const checkRegexPattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.length > MAX_REGEX_LENGTH) {
+    return `Regular expressions can be at most ${MAX_REGEX_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `Invalid regular expression: ${pattern}`;
+  }
+
+  const groups = []; // open groups: { repeats, alternation } seen inside them so far
+  let lastGroup = null; // the group just closed, while a quantifier could still follow it
+  let unbounded = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const quantifier = c === '{' ? pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+
+    if (c === '*' || c === '+' || c === '?' || quantifier) {
+      const repeats = c !== '?' && !(quantifier && !quantifier[2] && Number(quantifier[1]) <= 1);
+      if (repeats && lastGroup && (lastGroup.repeats || lastGroup.alternation)) {
+        return 'Regular expressions cannot repeat a group that itself contains a repetition or alternation';
+      }
+      if (c === '*' || c === '+' || (quantifier && quantifier[2] && !quantifier[3])) unbounded++;
+      if (repeats && groups.length > 0) groups[groups.length - 1].repeats = true;
+      if (quantifier) i += quantifier[0].length - 1;
+      if (pattern[i + 1] === '?') i++; // lazy modifier
+      lastGroup = null;
+      continue;
+    }
+
+    lastGroup = null;
+    if (c === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) {
+        return 'Regular expressions cannot use backreferences';
+      }
+      i++;
+    } else if (c === '[') {
+      // Skip the character class; it compiled, so it is closed
+      for (i++; pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (c === '(') {
+      groups.push({ repeats: false, alternation: false });
+      if (pattern[i + 1] === '?') i++; // (?: (?= (?! (?<
+    } else if (c === ')') {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      if (parent) {
+        parent.repeats = parent.repeats || group.repeats;
+        parent.alternation = parent.alternation || group.alternation;
+      }
+      lastGroup = group;
+    } else if (c === '|' && groups.length > 0) {
+      groups[groups.length - 1].alternation = true;
+    }
+  }
+
+  if (unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+    return `Regular expressions can use at most ${MAX_UNBOUNDED_QUANTIFIERS} of *, + or {n,}`;
+  }
+  return null;
+};
+
+module.exports = { MAX_REGEX_LENGTH, MAX_REGEX_INPUT_LENGTH, checkRegexPattern };
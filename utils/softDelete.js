@@ -0,0 +1,50 @@
+// Query operations that only see records outside the trash unless asked otherwise
+const FILTERED_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Mongoose plugin for soft deletes: records get a deletedAt date instead of being removed, and every query and
+ * aggregation leaves them out. Queries that filter on deletedAt themselves (the trash, purging, restoring) are left
+ * alone, and { withDeleted: true } (query.setOptions / aggregate.option) includes trashed records too.
+ * @param {Object} schema - Mongoose schema
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({ deletedAt: { type: Date } });
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(FILTERED_OPERATIONS, function() {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Mongoose-level option only, not something to send to the server
+      delete options.withDeleted;
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) return;
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = { softDeletePlugin };
@@ -0,0 +1,60 @@
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+
+// Tags are compared case-insensitively, so "Vacation 2026" and "vacation  2026" are the same tag
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Validate a list of tags
+ * @param {Array} tags - Tags from a request body
+ * @returns {string|null} Error message, or null when the tags are valid (or not given)
+ */
+const validateTags = (tags) => {
+  if (tags === undefined || tags === null) return null;
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    return 'Tags must be an array of non-empty strings';
+  }
+  if (tags.length > MAX_TAGS) {
+    return `A transaction can have at most ${MAX_TAGS} tags`;
+  }
+  if (tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+    return `Tags can be at most ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Normalize and de-duplicate tags, keeping their order
+ * @param {Array} tags - Valid tags
+ * @returns {Array} Normalized tags
+ */
+const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag))];
+
+/**
+ * Aggregation update replacing any of the source tags with the target, without leaving the same tag twice
+ * @param {string} field - Tag array field (e.g. 'tags')
+ * @param {Array} sources - Normalized tags to replace
+ * @param {string} target - Normalized tag to replace them with
+ * @returns {Array} Update pipeline
+ */
+const replaceTagsPipeline = (field, sources, target) => [{
+  $set: {
+    [field]: {
+      $reduce: {
+        input: {
+          $map: {
+            input: `$${field}`,
+            as: 'tag',
+            in: { $cond: [{ $in: ['$$tag', sources] }, target, '$$tag'] }
+          }
+        },
+        initialValue: [],
+        in: {
+          $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }]
+        }
+      }
+    }
+  }
+}];
+
+module.exports = { MAX_TAG_LENGTH, normalizeTag, validateTags, normalizeTags, replaceTagsPipeline };
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { normalizeTag } = require('./tags');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Repeated query params (?search=a&search=b) arrive as arrays; only tags may be given more than once
+const SINGLE_VALUE_PARAMS = ['startDate', 'endDate', 'type', 'categoryId', 'accountId', 'tagMode', 'minAmount', 'maxAmount', 'search', 'includeDuplicates'];
+
+// Escape user input so it can be used safely inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a date query param; date-only end dates cover the whole day
+const parseDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Build a Transaction filter from listing query parameters
+ * @param {string} userId - User ID
+ * @param {Object} query - Request query (startDate, endDate, type, categoryId, accountId, tags, tagMode, minAmount, maxAmount, search, includeDuplicates)
+ * @returns {Object} { filter } or { error } when a parameter is invalid
+ */
+const buildTransactionFilter = (userId, query = {}) => {
+  const repeated = SINGLE_VALUE_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const { startDate, endDate, type, categoryId, accountId, tags, tagMode, minAmount, maxAmount, search, includeDuplicates } = query;
+  // Cast ids up front so the filter also works in aggregation pipelines
+  const filter = { userId: new mongoose.Types.ObjectId(userId) };
+
+  // Duplicates merged in link mode are hidden unless explicitly asked for
+  if (includeDuplicates !== 'true') {
+    filter.duplicateOf = null;
+  }
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      const start = parseDate(startDate);
+      if (!start) return { error: 'Invalid startDate' };
+      filter.date.$gte = start;
+    }
+    if (endDate) {
+      const end = parseDate(endDate, true);
+      if (!end) return { error: 'Invalid endDate' };
+      filter.date.$lte = end;
+    }
+  }
+
+  if (type) {
+    if (!['income', 'expense', 'transfer'].includes(type)) {
+      return { error: 'Type must be income, expense or transfer' };
+    }
+    filter.type = type;
+  }
+
+  if (categoryId) {
+    if (categoryId === 'none') {
+      filter.categoryId = null;
+      filter['splits.0'] = { $exists: false };
+    } else if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return { error: 'Invalid categoryId' };
+    } else {
+      // Split transactions match when any of their lines is in the category
+      const id = new mongoose.Types.ObjectId(categoryId);
+      filter.$and = [{ $or: [{ categoryId: id }, { 'splits.categoryId': id }] }];
+    }
+  }
+
+  if (accountId) {
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return { error: 'Invalid accountId' };
+    }
+    const id = new mongoose.Types.ObjectId(accountId);
+    filter.$and = [...(filter.$and || []), { $or: [{ accountId: id }, { toAccountId: id }] }];
+  }
+
+  if (tags) {
+    // Comma-separated (tags=a,b) or repeated (tags=a&tags=b); any of them matches unless tagMode=all
+    const list = [...new Set([].concat(tags).join(',').split(',').filter(tag => tag.trim()).map(normalizeTag))];
+    if (tagMode !== undefined && !['any', 'all'].includes(tagMode)) {
+      return { error: 'tagMode must be either any or all' };
+    }
+    if (list.length > 0) {
+      filter.tags = tagMode === 'all' ? { $all: list } : { $in: list };
+    }
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) {
+      const min = parseFloat(minAmount);
+      if (isNaN(min)) return { error: 'minAmount must be a number' };
+      filter.amount.$gte = min;
+    }
+    if (maxAmount !== undefined) {
+      const max = parseFloat(maxAmount);
+      if (isNaN(max)) return { error: 'maxAmount must be a number' };
+      filter.amount.$lte = max;
+    }
+  }
+
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  return { filter };
+};
+
+// Cursors are opaque base64 strings holding the last seen (date, _id) pair
+const encodeCursor = (transaction) => {
+  const payload = JSON.stringify({ d: transaction.date.toISOString(), i: transaction._id.toString() });
+  return Buffer.from(payload).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { d, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(d);
+    if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(i)) return null;
+    return { date, _id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Restrict a filter to the page after the given cursor (sorted by date desc, _id desc)
+ * @param {Object} filter - Transaction filter
+ * @param {Object} position - Decoded cursor
+ * @returns {Object} Filter for the next page
+ */
+const applyCursor = (filter, position) => ({
+  $and: [
+    filter,
+    {
+      $or: [
+        { date: { $lt: position.date } },
+        { date: position.date, _id: { $lt: position._id } }
+      ]
+    }
+  ]
+});
+
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+module.exports = {
+  buildTransactionFilter,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  parseLimit,
+  escapeRegex
+};
@@ -0,0 +1,66 @@
+const { baseAmountExpression } = require('./currency');
+
+/**
+ * Get the category lines of a transaction: its splits, or a single line for the whole amount
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {Array} Lines of { categoryId, amount }
+ */
+const getCategoryLines = (transaction) => {
+  if (transaction.splits && transaction.splits.length > 0) {
+    return transaction.splits.map(split => ({ categoryId: split.categoryId, amount: split.amount }));
+  }
+  return [{ categoryId: transaction.categoryId, amount: transaction.amount }];
+};
+
+/**
+ * Aggregation stages that replace each transaction with one document per category line,
+ * exposing categoryId and amount at the top level so existing $group stages keep working
+ * Line amounts are converted into the user's base currency with the transaction's rate
+ * @returns {Array} Pipeline stages
+ */
+const unwindCategoryLines = () => [
+  {
+    $addFields: {
+      categoryLines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ categoryId: '$categoryId', amount: '$amount' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$categoryLines' },
+  {
+    $addFields: {
+      categoryId: '$categoryLines.categoryId',
+      amount: baseAmountExpression('$categoryLines.amount')
+    }
+  }
+];
+
+/**
+ * Validate split lines against the transaction amount
+ * @param {Array} splits - Split lines
+ * @param {number} amount - Transaction amount
+ * @returns {string|null} Error message, or null when the splits are valid
+ */
+const validateSplits = (splits, amount) => {
+  if (splits === undefined || splits === null) return null;
+  if (!Array.isArray(splits)) return 'Splits must be an array';
+  if (splits.length === 0) return null;
+  if (splits.length < 2) return 'A split transaction needs at least two lines';
+
+  for (const split of splits) {
+    if (!split || !split.categoryId) return 'Every split line needs a categoryId';
+    if (!(split.amount > 0)) return 'Split amounts must be greater than 0';
+  }
+
+  const total = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  if (Math.abs(total - Number(amount)) > 0.005) {
+    return `Split amounts (${total.toFixed(2)}) must add up to the transaction amount (${Number(amount).toFixed(2)})`;
+  }
+  return null;
+};
+
+module.exports = { getCategoryLines, unwindCategoryLines, validateSplits };
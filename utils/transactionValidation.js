@@ -0,0 +1,70 @@
+const { validateSplits } = require('./transactionSplits');
+const { isCurrencyCode } = require('./currency');
+const { validateTags } = require('./tags');
+
+/**
+ * Validate the account fields of a transaction
+ * Transfers move money between two different accounts and are never split
+ * @param {Object} data - Transaction fields (type, splits, accountId, toAccountId)
+ * @returns {string|null} Error message, or null when the fields are valid
+ */
+const validateTransfer = ({ type, splits, accountId, toAccountId }) => {
+  if (type === 'transfer') {
+    if (!accountId || !toAccountId) {
+      return 'Transfers need both accountId and toAccountId';
+    }
+    if (String(accountId) === String(toAccountId)) {
+      return 'Cannot transfer to the same account';
+    }
+    if (splits && splits.length > 0) {
+      return 'Transfers cannot be split';
+    }
+  } else if (toAccountId) {
+    return 'toAccountId is only allowed on transfers';
+  }
+  return null;
+};
+
+/**
+ * Validate the fields of a new transaction
+ * Shared by POST /api/transactions and the importers so both apply the same rules
+ * @param {Object} data - Transaction fields (title, amount, type, date, currency, tags, splits, accountId, toAccountId)
+ * @returns {string|null} Error message, or null when the transaction is valid
+ */
+const validateTransaction = (data) => {
+  const { title, amount, type, date, currency, tags, splits, accountId, toAccountId } = data;
+
+  if (!title || !amount || !type) {
+    return 'Title, amount, and type are required';
+  }
+
+  if (amount <= 0) {
+    return 'Amount must be greater than 0';
+  }
+
+  if (!['income', 'expense', 'transfer'].includes(type)) {
+    return 'Type must be income, expense or transfer';
+  }
+
+  const transferError = validateTransfer({ type, splits, accountId, toAccountId });
+  if (transferError) {
+    return transferError;
+  }
+
+  if (date !== undefined && date !== null && isNaN(new Date(date).getTime())) {
+    return 'Invalid date';
+  }
+
+  if (currency !== undefined && currency !== null && !isCurrencyCode(String(currency).trim().toUpperCase())) {
+    return 'Currency must be a 3-letter ISO code such as EUR';
+  }
+
+  const tagError = validateTags(tags);
+  if (tagError) {
+    return tagError;
+  }
+
+  return validateSplits(splits, amount);
+};
+
+module.exports = { validateTransaction, validateTransfer };